@@ -0,0 +1,485 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const alerts = require('../modules/alerts');
+const email = require('../modules/email');
+const webhooks = require('../modules/webhooks');
+
+const ALERT_STATES = ['open', 'resolved', 'all'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Helper function to keep channel secrets out of API responses
+function publicChannel({ secret, ...channel }) {
+  return { ...channel, has_secret: Boolean(secret) };
+}
+
+// GET /api/alerts - Get raised alerts, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { state = 'open', ruleId, certificateId, acknowledged, limit } = req.query;
+    
+    if (!ALERT_STATES.includes(state)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid state. Supported states: ${ALERT_STATES.join(', ')}`
+      });
+    }
+    
+    const raised = await db.getAlerts({
+      state,
+      ruleId: parseInt(ruleId, 10) || null,
+      certificateId: parseInt(certificateId, 10) || null,
+      acknowledged: acknowledged === undefined ? null : acknowledged === 'true' || acknowledged === '1',
+      limit: parseInt(limit, 10) || null
+    });
+    
+    return res.json({
+      success: true,
+      data: raised
+    });
+  }
+  catch (err) {
+    console.error('API alerts error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve alerts'
+    });
+  }
+});
+
+// POST /api/alerts/evaluate - Evaluate the alert rules now
+router.post('/evaluate', async (req, res) => {
+  try {
+    const { raised, resolved } = await alerts.evaluateAlerts();
+    
+    return res.json({
+      success: true,
+      data: {
+        raised: raised.map(({ certificate, ...alert }) => alert),
+        resolved
+      }
+    });
+  }
+  catch (err) {
+    console.error('API evaluate alerts error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to evaluate alert rules'
+    });
+  }
+});
+
+// POST /api/alerts/:id/acknowledge - Acknowledge an open alert
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid alert ID'
+      });
+    }
+    
+    // The "by" field or the X-CertifyEye-User header
+    const { actor, errors } = alerts.normalizeActor((req.body || {}).by || req.get('X-CertifyEye-User'));
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    const acknowledged = await db.acknowledgeAlerts({ alertId: id }, actor);
+    
+    if (acknowledged.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No open, unacknowledged alert with this ID'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: { acknowledged: [id] }
+    });
+  }
+  catch (err) {
+    console.error('API acknowledge alert error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to acknowledge alert'
+    });
+  }
+});
+
+// POST /api/alerts/test-email - Send a test email to check the SMTP settings
+router.post('/test-email', async (req, res) => {
+  try {
+    if (!email.isConfigured()) {
+      return res.status(400).json({
+        success: false,
+        error: 'SMTP is not configured, set CERTIFYEYE_SMTP_HOST'
+      });
+    }
+    
+    const info = await email.sendTestEmail(((req.body || {}).to || '').trim());
+    
+    return res.json({
+      success: true,
+      data: {
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected
+      }
+    });
+  }
+  catch (err) {
+    console.error('API test email error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to send test email'
+    });
+  }
+});
+
+// GET /api/alerts/rules - Get the alert rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await db.getAlertRules();
+    
+    return res.json({
+      success: true,
+      data: rules
+    });
+  }
+  catch (err) {
+    console.error('API alert rules error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve alert rules'
+    });
+  }
+});
+
+// POST /api/alerts/rules - Create an alert rule
+router.post('/rules', async (req, res) => {
+  try {
+    const { rule, errors } = alerts.normalizeRule(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    const id = await db.saveAlertRule(rule);
+    
+    return res.json({
+      success: true,
+      data: await db.getAlertRuleById(id)
+    });
+  }
+  catch (err) {
+    console.error('API create alert rule error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to create alert rule'
+    });
+  }
+});
+
+// PUT /api/alerts/rules/:id - Replace an alert rule
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule ID'
+      });
+    }
+    
+    if (!await db.getAlertRuleById(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+    
+    const { rule, errors } = alerts.normalizeRule(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    await db.saveAlertRule({ ...rule, id });
+    
+    return res.json({
+      success: true,
+      data: await db.getAlertRuleById(id)
+    });
+  }
+  catch (err) {
+    console.error('API update alert rule error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to update alert rule'
+    });
+  }
+});
+
+// DELETE /api/alerts/rules/:id - Delete an alert rule and the alerts it raised
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rule ID'
+      });
+    }
+    
+    const deleted = await db.deleteAlertRule(id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      message: 'Alert rule deleted successfully'
+    });
+  }
+  catch (err) {
+    console.error('API delete alert rule error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to delete alert rule'
+    });
+  }
+});
+
+// GET /api/alerts/channels - Get the notification channels
+router.get('/channels', async (req, res) => {
+  try {
+    const channels = await db.getNotificationChannels();
+    
+    return res.json({
+      success: true,
+      data: channels.map(publicChannel)
+    });
+  }
+  catch (err) {
+    console.error('API notification channels error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve notification channels'
+    });
+  }
+});
+
+// POST /api/alerts/channels - Create a notification channel
+router.post('/channels', async (req, res) => {
+  try {
+    const { channel, errors } = webhooks.normalizeChannel(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    const id = await db.saveNotificationChannel(channel);
+    
+    return res.json({
+      success: true,
+      data: publicChannel(await db.getNotificationChannelById(id))
+    });
+  }
+  catch (err) {
+    console.error('API create notification channel error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to create notification channel'
+    });
+  }
+});
+
+// PUT /api/alerts/channels/:id - Replace a notification channel
+router.put('/channels/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid channel ID'
+      });
+    }
+    
+    const existing = await db.getNotificationChannelById(id);
+    
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+    
+    const { channel, errors } = webhooks.normalizeChannel(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    // The secret is never returned, so leaving it out keeps the stored one; null or '' removes it
+    const secret = (req.body || {}).secret === undefined ? existing.secret : channel.secret;
+    await db.saveNotificationChannel({ ...channel, secret, id });
+    
+    return res.json({
+      success: true,
+      data: publicChannel(await db.getNotificationChannelById(id))
+    });
+  }
+  catch (err) {
+    console.error('API update notification channel error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to update notification channel'
+    });
+  }
+});
+
+// DELETE /api/alerts/channels/:id - Delete a notification channel and its delivery log
+router.delete('/channels/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid channel ID'
+      });
+    }
+    
+    const deleted = await db.deleteNotificationChannel(id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      message: 'Notification channel deleted successfully'
+    });
+  }
+  catch (err) {
+    console.error('API delete notification channel error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to delete notification channel'
+    });
+  }
+});
+
+// POST /api/alerts/channels/:id/test - Send a test message to a notification channel
+router.post('/channels/:id/test', async (req, res) => {
+  try {
+    const channel = await db.getNotificationChannelById(parseInt(req.params.id, 10) || 0);
+    
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found'
+      });
+    }
+    
+    const outcome = await webhooks.sendTest(channel);
+    
+    if (outcome.status !== 'delivered') {
+      return res.status(502).json({
+        success: false,
+        error: outcome.error,
+        data: outcome
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: outcome
+    });
+  }
+  catch (err) {
+    console.error('API test notification channel error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to test notification channel'
+    });
+  }
+});
+
+// GET /api/alerts/deliveries - Get the notification delivery log, newest first
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { channelId, status, limit } = req.query;
+    
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid status. Supported statuses: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+    
+    const deliveries = await db.getDeliveries({
+      channelId: parseInt(channelId, 10) || null,
+      status,
+      limit: parseInt(limit, 10) || 100
+    });
+    
+    return res.json({
+      success: true,
+      data: deliveries
+    });
+  }
+  catch (err) {
+    console.error('API notification deliveries error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve notification deliveries'
+    });
+  }
+});
+
+module.exports = router;
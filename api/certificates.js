@@ -1,64 +1,136 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../modules/database');
+const metadata = require('../modules/metadata');
+const alerts = require('../modules/alerts');
 
-// GET /api/certificates - Get all certificates with optional filtering
+// Page size when the request does not set a limit, and the largest page allowed
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Query parameters passed to db.queryCertificates as filters ('hostname' is the older name of 'host')
+const FILTER_PARAMS = {
+  hostname: 'host',
+  host: 'host',
+  port: 'port',
+  protocol: 'protocol',
+  issuer: 'issuer',
+  san: 'san',
+  hostnameStatus: 'hostnameStatus',
+  trustStatus: 'trustStatus',
+  trustError: 'trustError',
+  status: 'status',
+  grade: 'grade',
+  spkiSha256: 'spkiSha256',
+  fingerprint: 'fingerprint',
+  weakKey: 'weakKey',
+  expiresIn: 'expiresIn',
+  expiresAfter: 'expiresAfter',
+  expiresBefore: 'expiresBefore',
+  scannedAfter: 'scannedAfter',
+  scannedBefore: 'scannedBefore',
+  owner: 'owner',
+  team: 'team',
+  contactEmail: 'contactEmail',
+  environment: 'environment',
+  tag: 'tag',
+  notes: 'notes',
+  muted: 'muted',
+  snoozed: 'snoozed'
+};
+
+// Filters given as true or false
+const BOOLEAN_FILTERS = ['weakKey', 'muted', 'snoozed'];
+
+const DATE_FILTERS = ['expiresAfter', 'expiresBefore', 'scannedAfter', 'scannedBefore'];
+
+// GET /api/certificates - Get certificates with optional filtering, sorting and paging
 router.get('/', async (req, res) => {
   try {
-    const { hostname, port, issuer, expiresIn, status, page, limit, sortBy, sortDirection } = req.query;
+    const { page, limit, offset, sort, sortBy, sortDirection } = req.query;
     
-    // Get all certificates from the database
-    let certs = await db.getAllCertificates();
+    const filters = {};
+    for (const [param, filter] of Object.entries(FILTER_PARAMS)) {
+      if (req.query[param] !== undefined) {
+        filters[filter] = req.query[param];
+      }
+    }
+    
+    if (filters.port !== undefined && isNaN(parseInt(filters.port, 10))) {
+      return res.status(400).json({ success: false, error: 'Invalid port' });
+    }
     
-    // Apply filters if provided
-    if (hostname) {
-      certs = certs.filter(cert => cert.host && cert.host.includes(hostname));
+    if (filters.expiresIn !== undefined && isNaN(parseInt(filters.expiresIn, 10))) {
+      return res.status(400).json({ success: false, error: 'Invalid expiresIn, expected a number of days' });
     }
     
-    if (port) {
-      const portNum = parseInt(port, 10);
-      certs = certs.filter(cert => cert.port === portNum);
+    for (const name of DATE_FILTERS) {
+      if (filters[name] !== undefined && isNaN(new Date(filters[name]))) {
+        return res.status(400).json({ success: false, error: `Invalid ${name} date` });
+      }
     }
     
-    if (issuer) {
-      certs = certs.filter(cert => cert.issuer && cert.issuer.includes(issuer));
+    if (filters.fingerprint !== undefined && !db.normalizeFingerprint(filters.fingerprint)) {
+      return res.status(400).json({ success: false, error: 'Invalid fingerprint' });
     }
     
-    if (expiresIn) {
-      const days = parseInt(expiresIn, 10);
-      certs = certs.filter(cert => cert.days_remaining <= days);
+    if (filters.environment !== undefined) {
+      const invalid = [].concat(filters.environment).find(value => value !== 'none' && !metadata.ENVIRONMENTS.includes(value));
+      if (invalid !== undefined) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid environment: ${invalid}. Expected one of ${metadata.ENVIRONMENTS.join(', ')} or none`
+        });
+      }
     }
     
-    if (status && Array.isArray(status)) {
-      certs = certs.filter(cert => status.includes(cert.status));
-    } else if (status) {
-      certs = certs.filter(cert => cert.status === status);
+    for (const name of BOOLEAN_FILTERS) {
+      if (filters[name] !== undefined) {
+        filters[name] = filters[name] === 'true' || filters[name] === '1';
+      }
     }
     
-    // Apply sorting
-    if (sortBy) {
-      certs.sort((a, b) => {
-        if (a[sortBy] < b[sortBy]) return sortDirection === 'desc' ? 1 : -1;
-        if (a[sortBy] > b[sortBy]) return sortDirection === 'desc' ? -1 : 1;
-        return 0;
+    // sort=days_remaining,-host sorts by each field in turn, '-' for descending;
+    // sortBy and sortDirection are the older single-field form
+    const sortSpec = sort || (sortBy ? `${sortDirection === 'desc' ? '-' : ''}${sortBy}` : 'days_remaining');
+    const sortFields = String(sortSpec).split(',').map(field => field.trim()).filter(field => field.length > 0)
+      .map(field => (field.startsWith('-')
+        ? { field: field.slice(1), direction: 'desc' }
+        : { field, direction: 'asc' }));
+    
+    const unknownSort = sortFields.find(({ field }) => !db.CERTIFICATE_SORTS[field]);
+    if (unknownSort) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort field: ${unknownSort.field}. Supported fields: ${Object.keys(db.CERTIFICATE_SORTS).join(', ')}`
       });
     }
     
-    // Apply pagination
-    const pageNum = parseInt(page, 10) || 1;
-    const limitNum = parseInt(limit, 10) || certs.length;
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = startIndex + limitNum;
-    const paginatedCerts = certs.slice(startIndex, endIndex);
+    const limitNum = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    if (limitNum < 1) {
+      return res.status(400).json({ success: false, error: 'Invalid limit' });
+    }
+    
+    // An explicit offset wins over the page number
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const offsetNum = offset !== undefined ? Math.max(parseInt(offset, 10) || 0, 0) : (pageNum - 1) * limitNum;
+    
+    const { rows, total } = await db.queryCertificates({
+      filters,
+      sort: sortFields,
+      limit: limitNum,
+      offset: offsetNum
+    });
     
     return res.json({
       success: true,
-      data: paginatedCerts,
+      data: rows,
       pagination: {
-        total: certs.length,
-        page: pageNum,
+        total,
+        page: Math.floor(offsetNum / limitNum) + 1,
         limit: limitNum,
-        pages: Math.ceil(certs.length / limitNum)
+        offset: offsetNum,
+        pages: Math.ceil(total / limitNum)
       }
     });
   } 
@@ -72,6 +144,26 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/certificates/stats - Count endpoints by live status, muted endpoints left out unless includeMuted=true
+router.get('/stats', async (req, res) => {
+  try {
+    const includeMuted = req.query.includeMuted === 'true' || req.query.includeMuted === '1';
+    
+    return res.json({
+      success: true,
+      data: await db.countCertificatesByStatus({ includeMuted })
+    });
+  } 
+  catch (err) {
+    console.error('API certificate stats error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to count certificates'
+    });
+  }
+});
+
 // GET /api/certificates/:id - Get certificate by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -108,6 +200,366 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// PATCH /api/certificates/:id/metadata - Set the owner, team, contact email, environment, tags or notes of an endpoint
+router.patch('/:id/metadata', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid certificate ID'
+      });
+    }
+    
+    // Fields left out of the body keep their value, null or '' clears them
+    const { values, errors } = metadata.normalizeMetadata(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    const found = await db.updateCertificateMetadata(id, values);
+    
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    const cert = await db.getCertificateById(id);
+    
+    return res.json({
+      success: true,
+      data: cert
+    });
+  } 
+  catch (err) {
+    console.error('API certificate metadata error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to update certificate metadata'
+    });
+  }
+});
+
+// Helper function to read who takes an action: the "by" field or the X-CertifyEye-User header
+function actorFrom(req) {
+  return alerts.normalizeActor((req.body || {}).by || req.get('X-CertifyEye-User'));
+}
+
+// Helper function to validate the ID and actor of an endpoint action, answering 400 when invalid
+function parseEndpointAction(req, res) {
+  const id = parseInt(req.params.id, 10);
+  
+  if (isNaN(id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid certificate ID'
+    });
+    return null;
+  }
+  
+  const { actor, errors } = actorFrom(req);
+  
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+    return null;
+  }
+  
+  return { id, actor };
+}
+
+// POST /api/certificates/:id/acknowledge - Acknowledge every open alert of an endpoint
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    const action = parseEndpointAction(req, res);
+    if (!action) return;
+    
+    if (!await db.getCertificateById(action.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    const acknowledged = await db.acknowledgeAlerts({ certificateId: action.id }, action.actor);
+    
+    return res.json({
+      success: true,
+      data: { acknowledged: acknowledged.map(alert => alert.id) }
+    });
+  } 
+  catch (err) {
+    console.error('API acknowledge certificate alerts error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to acknowledge alerts'
+    });
+  }
+});
+
+// PUT /api/certificates/:id/snooze - Raise no alerts for an endpoint until a date
+router.put('/:id/snooze', async (req, res) => {
+  try {
+    const action = parseEndpointAction(req, res);
+    if (!action) return;
+    
+    const { until, errors } = alerts.normalizeSnooze((req.body || {}).until);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    if (!await db.snoozeCertificate(action.id, until, action.actor)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: await db.getCertificateById(action.id)
+    });
+  } 
+  catch (err) {
+    console.error('API snooze certificate error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to snooze certificate'
+    });
+  }
+});
+
+// DELETE /api/certificates/:id/snooze - Lift the snooze of an endpoint
+router.delete('/:id/snooze', async (req, res) => {
+  try {
+    const action = parseEndpointAction(req, res);
+    if (!action) return;
+    
+    if (!await db.snoozeCertificate(action.id, null, action.actor)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: await db.getCertificateById(action.id)
+    });
+  } 
+  catch (err) {
+    console.error('API unsnooze certificate error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to lift the snooze'
+    });
+  }
+});
+
+// PUT /api/certificates/:id/mute - Raise no alerts for an endpoint until it is unmuted
+router.put('/:id/mute', async (req, res) => {
+  try {
+    const action = parseEndpointAction(req, res);
+    if (!action) return;
+    
+    const { reason, errors } = alerts.normalizeMuteReason((req.body || {}).reason);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    if (!await db.muteCertificate(action.id, reason, action.actor)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: await db.getCertificateById(action.id)
+    });
+  } 
+  catch (err) {
+    console.error('API mute certificate error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to mute certificate'
+    });
+  }
+});
+
+// DELETE /api/certificates/:id/mute - Unmute an endpoint
+router.delete('/:id/mute', async (req, res) => {
+  try {
+    const action = parseEndpointAction(req, res);
+    if (!action) return;
+    
+    if (!await db.muteCertificate(action.id, null, action.actor)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: await db.getCertificateById(action.id)
+    });
+  } 
+  catch (err) {
+    console.error('API unmute certificate error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to unmute certificate'
+    });
+  }
+});
+
+// GET /api/certificates/:id/actions - Get who acknowledged, snoozed or muted an endpoint and when
+router.get('/:id/actions', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid certificate ID'
+      });
+    }
+    
+    if (!await db.getCertificateById(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: await db.getEndpointActions(id, parseInt(req.query.limit, 10) || null)
+    });
+  } 
+  catch (err) {
+    console.error('API certificate actions error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve certificate actions'
+    });
+  }
+});
+
+// GET /api/certificates/:id/observations - Get the scan history of an endpoint
+router.get('/:id/observations', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid certificate ID'
+      });
+    }
+    
+    const cert = await db.getCertificateById(id);
+    
+    if (!cert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    const observations = await db.getCertificateObservations(id);
+    
+    return res.json({
+      success: true,
+      data: observations
+    });
+  } 
+  catch (err) {
+    console.error('API certificate observations error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve certificate observations'
+    });
+  }
+});
+
+// GET /api/certificates/:fingerprint/endpoints - Get every endpoint a certificate is deployed on
+router.get('/:fingerprint/endpoints', async (req, res) => {
+  try {
+    const fingerprint = db.normalizeFingerprint(req.params.fingerprint);
+    
+    if (!fingerprint) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid fingerprint, expected a SHA-256 fingerprint (64 hex digits, colons optional)'
+      });
+    }
+    
+    const certificate = await db.getX509Certificate(fingerprint);
+    
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
+    
+    const endpoints = await db.getEndpointsByFingerprint(fingerprint);
+    
+    return res.json({
+      success: true,
+      data: {
+        certificate,
+        endpoints: endpoints.map(endpoint => ({
+          id: endpoint.id,
+          host: endpoint.host,
+          port: endpoint.port,
+          protocol: endpoint.protocol,
+          role: endpoint.role,
+          position: endpoint.position,
+          status: endpoint.status,
+          lastScanned: endpoint.last_scanned
+        }))
+      }
+    });
+  } 
+  catch (err) {
+    console.error('API certificate endpoints error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve certificate endpoints'
+    });
+  }
+});
+
 // DELETE /api/certificates/:id - Delete certificate
 router.delete('/:id', async (req, res) => {
   try {
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const changes = require('../modules/changes');
+
+// GET /api/changes - Get certificate change events, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { type, host, certificateId, since, limit } = req.query;
+    
+    if (type && !changes.CHANGE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid change type. Supported types: ${changes.CHANGE_TYPES.join(', ')}`
+      });
+    }
+    
+    if (since && isNaN(new Date(since))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since timestamp'
+      });
+    }
+    
+    const events = await db.getCertificateChanges({
+      type,
+      host,
+      certificateId: parseInt(certificateId, 10) || null,
+      since: since ? new Date(since).toISOString() : null,
+      limit: parseInt(limit, 10) || null
+    });
+    
+    return res.json({
+      success: true,
+      data: events
+    });
+  } 
+  catch (err) {
+    console.error('API changes error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve certificate changes'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const digests = require('../modules/digests');
+const scheduler = require('../modules/scheduler');
+
+// GET /api/digests - Get the digest schedules
+router.get('/', async (req, res) => {
+  try {
+    const list = await db.getDigests();
+    
+    return res.json({
+      success: true,
+      data: list
+    });
+  }
+  catch (err) {
+    console.error('API digests error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve digests'
+    });
+  }
+});
+
+// POST /api/digests - Create a digest
+router.post('/', async (req, res) => {
+  try {
+    const { digest, errors } = digests.normalizeDigest(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    const id = await db.saveDigest(digest);
+    scheduler.scheduleDigest(await db.getDigestById(id));
+    
+    return res.json({
+      success: true,
+      data: await db.getDigestById(id)
+    });
+  }
+  catch (err) {
+    console.error('API create digest error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to create digest'
+    });
+  }
+});
+
+// GET /api/digests/reports - Get archived digests, newest first, without their HTML
+router.get('/reports', async (req, res) => {
+  try {
+    const { digestId, limit } = req.query;
+    
+    const reports = await db.getDigestReports({
+      digestId: parseInt(digestId, 10) || null,
+      limit: parseInt(limit, 10) || 100
+    });
+    
+    return res.json({
+      success: true,
+      data: reports
+    });
+  }
+  catch (err) {
+    console.error('API digest reports error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve digest reports'
+    });
+  }
+});
+
+// GET /api/digests/reports/:id - Get an archived digest with its HTML
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await db.getDigestReportById(parseInt(req.params.id, 10) || 0);
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Digest report not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: report
+    });
+  }
+  catch (err) {
+    console.error('API digest report error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to retrieve digest report'
+    });
+  }
+});
+
+// PUT /api/digests/:id - Replace a digest
+router.put('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid digest ID'
+      });
+    }
+    
+    if (!await db.getDigestById(id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Digest not found'
+      });
+    }
+    
+    const { digest, errors } = digests.normalizeDigest(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; ')
+      });
+    }
+    
+    await db.saveDigest({ ...digest, id });
+    scheduler.scheduleDigest(await db.getDigestById(id));
+    
+    return res.json({
+      success: true,
+      data: await db.getDigestById(id)
+    });
+  }
+  catch (err) {
+    console.error('API update digest error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to update digest'
+    });
+  }
+});
+
+// DELETE /api/digests/:id - Delete a digest; its archived reports are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    
+    if (isNaN(id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid digest ID'
+      });
+    }
+    
+    scheduler.cancelDigest(id);
+    const deleted = await db.deleteDigest(id);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Digest not found'
+      });
+    }
+    
+    return res.json({
+      success: true,
+      message: 'Digest deleted successfully'
+    });
+  }
+  catch (err) {
+    console.error('API delete digest error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to delete digest'
+    });
+  }
+});
+
+// POST /api/digests/:id/run - Build, archive and send a digest now
+router.post('/:id/run', async (req, res) => {
+  try {
+    const digest = await db.getDigestById(parseInt(req.params.id, 10) || 0);
+    
+    if (!digest) {
+      return res.status(404).json({
+        success: false,
+        error: 'Digest not found'
+      });
+    }
+    
+    const result = await scheduler.runDigestNow(digest.id);
+    
+    return res.json({
+      success: true,
+      data: result
+    });
+  }
+  catch (err) {
+    console.error('API run digest error:', err);
+    return res.status(500).json({
+      success: false,
+      error: err.message || 'Internal server error',
+      message: 'Failed to run digest'
+    });
+  }
+});
+
+module.exports = router;
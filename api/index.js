@@ -4,12 +4,15 @@ const router = express.Router();
 // Import API route modules
 const scanRoutes = require('./scan');
 const certificateRoutes = require('./certificates');
+const changeRoutes = require('./changes');
+const alertRoutes = require('./alerts');
+const digestRoutes = require('./digests');
 
 // API middleware for CORS and content type
 router.use((req, res, next) => {
   // Allow cross-origin requests from the UI application
   res.header('Access-Control-Allow-Origin', 'http://localhost:3001');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
   res.header('Access-Control-Allow-Credentials', 'true');
   
@@ -27,6 +30,9 @@ router.use((req, res, next) => {
 // Register API routes
 router.use('/scan', scanRoutes);
 router.use('/certificates', certificateRoutes);
+router.use('/changes', changeRoutes);
+router.use('/alerts', alertRoutes);
+router.use('/digests', digestRoutes);
 
 // Basic health check endpoint
 router.get('/health', (req, res) => {
@@ -44,7 +50,11 @@ router.get('/', (req, res) => {
     message: 'Welcome to CertifyEye API',
     endpoints: {
       '/api/scan': 'Scan hosts for SSL certificates',
+      '/api/scan/history': 'Recorded scan runs',
       '/api/certificates': 'Manage certificate data',
+      '/api/changes': 'Certificate change events (renewed, replaced, downgraded, reverted)',
+      '/api/alerts': 'Raised alerts and alert rules',
+      '/api/digests': 'Digest schedules and archived digests',
       '/api/health': 'API health check'
     }
   });
@@ -2,12 +2,14 @@ const express = require('express');
 const router = express.Router();
 const scanner = require('../modules/scanner');
 const db = require('../modules/database');
+const pipeline = require('../modules/pipeline');
+const starttls = require('../modules/starttls');
 
 // POST /api/scan - Handle scanning requests from the UI
 router.post('/', async (req, res) => {
   try {
     console.log('Received scan request:', JSON.stringify(req.body, null, 2));
-    const { hosts, ports, type, ipRange, fileContent } = req.body;
+    const { hosts, ports, type, ipRange, fileContent, protocol = 'auto' } = req.body;
     
     let hostsToScan = [];
     
@@ -20,14 +22,12 @@ router.post('/', async (req, res) => {
         .filter(h => h.length > 0);
     } 
     else if (type === 'range' && ipRange) {
-      // Handle IP range by splitting into individual IPs
+      // Handle one or more IP ranges (CIDR or dash notation), expanded below
       console.log('Processing IP range:', ipRange);
-      // For now, we'll just add the endpoints as individual hosts
-      const [start, end] = ipRange.split('-').map(ip => ip.trim());
-      if (start && end) {
-        // Basic single IP processing (add more robust handling in production)
-        hostsToScan = [start, end];
-      }
+      hostsToScan = ipRange.replace(/\s*-\s*/g, '-')
+        .split(/[,;\n\s]/)
+        .map(r => r.trim())
+        .filter(r => r.length > 0);
     } 
     else if (type === 'file' && fileContent) {
       // Parse hosts from file content
@@ -64,29 +64,48 @@ router.post('/', async (req, res) => {
       });
     }
     
+    if (!starttls.isValidProtocol(protocol)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported protocol: ${protocol}`,
+        protocols: ['auto', ...Object.keys(starttls.PROTOCOLS)]
+      });
+    }
+    
+    // Expand IP ranges into individual hosts so each address is its own endpoint
+    try {
+      hostsToScan = scanner.expandHosts(hostsToScan);
+    } catch (rangeErr) {
+      return res.status(400).json({
+        success: false,
+        error: rangeErr.message
+      });
+    }
+    
     console.log(`Starting scan for ${hostsToScan.length} hosts on ${portsToScan.length} ports`);
     console.log('Hosts to scan:', hostsToScan);
     console.log('Ports to scan:', portsToScan);
     
     // Start scanning
-    console.log(`API: Starting actual scan with scanner.scanHosts...`);
+    console.log(`API: Starting scan run...`);
     let results = [];
+    let runId = null;
     
     try {
-      results = await scanner.scanHosts(hostsToScan, portsToScan);
-      console.log(`API: Scan complete, got ${results.length} results`);
-      
-      // Save results to database
-      for (const cert of results) {
-        if (cert.status !== 'error') {
-          await db.saveCertificate(cert);
-          console.log(`API: Saved certificate for ${cert.host}:${cert.port} to database`);
-        } else {
-          console.log(`API: Skipping error result for ${cert.hostname}:${cert.port}`);
-        }
-      }
+      // Endpoints that fail are recorded in the scan run but not saved as certificates
+      const run = await pipeline.runScan({
+        trigger: 'api',
+        hosts: hostsToScan,
+        ports: portsToScan,
+        protocol,
+        saveErrors: false
+      });
+      results = run.results;
+      runId = run.runId;
+      console.log(`API: Scan run ${runId} complete, got ${results.length} results`);
     } catch (scanError) {
       console.error(`API: Scan failed with error:`, scanError);
+      runId = scanError.runId || null;
       // Create an error result for tracking
       if (hostsToScan.length > 0) {
         results.push({
@@ -115,9 +134,10 @@ router.post('/', async (req, res) => {
     const processedResults = results.map(cert => {
       // Create a consistent certificate object with all required fields
       return {
-        id: cert.id || Math.floor(Math.random() * 1000000),  // Generate an ID if not present
+        id: cert.certificateId || Math.floor(Math.random() * 1000000),  // Generate an ID if not saved
         hostname: cert.host || cert.hostname || cert.commonName || 'unknown',
         port: cert.port || 443,
+        protocol: cert.protocol || 'tls',
         issuer: cert.issuer || 'Unknown',
         subject: cert.subject || 'Unknown',
         commonName: cert.commonName || '',
@@ -129,6 +149,25 @@ router.post('/', async (req, res) => {
         selfSigned: cert.selfSigned || false,
         daysRemaining: typeof cert.daysRemaining === 'number' ? cert.daysRemaining : 0,
         keyUsage: cert.keyUsage || '',
+        extendedKeyUsage: cert.extendedKeyUsage || '',
+        serialNumber: cert.serialNumber || null,
+        pem: cert.pem || null,
+        subjectAltNames: cert.subjectAltNames || [],
+        hostnameStatus: cert.hostnameStatus || null,
+        trustStatus: cert.trustStatus || null,
+        trustError: cert.trustError || null,
+        chain: cert.chain || [],
+        tlsProtocols: cert.tlsProtocols || null,
+        tlsCiphers: cert.tlsCiphers || null,
+        keyAlgorithm: cert.keyAlgorithm || null,
+        keySize: cert.keySize || null,
+        keyExponent: cert.keyExponent || null,
+        keyCurve: cert.keyCurve || null,
+        spkiSha256: cert.spkiSha256 || null,
+        weakKey: cert.weakKey || false,
+        weakKeyReason: cert.weakKeyReason || null,
+        grade: cert.grade || null,
+        gradeReasons: cert.gradeReasons || [],
         status: cert.status || (cert.error ? 'error' : 'valid'),
         lastScanned: cert.lastScanned || new Date().toISOString(),
         error: cert.error || null
@@ -140,6 +179,7 @@ router.post('/', async (req, res) => {
     // Return processed results
     return res.json({
       success: true,
+      runId,
       data: processedResults,
       summary: scanSummary
     });
@@ -154,43 +194,28 @@ router.post('/', async (req, res) => {
   }
 });
 
-// GET /api/scan/history - Get scan history
+// GET /api/scan/history - Get recorded scan runs, newest first
 router.get('/history', async (req, res) => {
   try {
-    // For now, return a simple list based on certificates
-    const certs = await db.getAllCertificates();
-    
-    // Group certificates by scan date to simulate history
-    const scanHistory = [];
-    const dateMap = new Map();
-    
-    for (const cert of certs) {
-      const scanDate = cert.lastScanned?.split('T')[0] || 'Unknown';
-      if (!dateMap.has(scanDate)) {
-        dateMap.set(scanDate, scanHistory.length);
-        scanHistory.push({
-          id: scanHistory.length + 1,
-          date: scanDate,
-          totalHosts: 0,
-          validCerts: 0,
-          warningCerts: 0,
-          expiredCerts: 0,
-          errorCerts: 0
-        });
-      }
-      
-      const index = dateMap.get(scanDate);
-      scanHistory[index].totalHosts++;
-      
-      if (cert.status === 'valid') scanHistory[index].validCerts++;
-      else if (cert.status === 'warning') scanHistory[index].warningCerts++;
-      else if (cert.status === 'expired') scanHistory[index].expiredCerts++;
-      else scanHistory[index].errorCerts++;
+    const { trigger, scheduledScanId, limit, offset } = req.query;
+    
+    if (trigger && !pipeline.SCAN_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid trigger. Supported triggers: ${pipeline.SCAN_TRIGGERS.join(', ')}`
+      });
     }
     
+    const runs = await db.getScanRuns({
+      trigger,
+      scheduledScanId: parseInt(scheduledScanId, 10) || null,
+      limit: parseInt(limit, 10) || null,
+      offset: parseInt(offset, 10) || 0
+    });
+    
     return res.json({
       success: true,
-      data: scanHistory
+      data: runs
     });
   } 
   catch (err) {
@@ -203,7 +228,7 @@ router.get('/history', async (req, res) => {
   }
 });
 
-// GET /api/scan/:id/results - Get results for a specific scan
+// GET /api/scan/:id/results - Get a scan run with its per-target results
 router.get('/:id/results', async (req, res) => {
   try {
     const scanId = parseInt(req.params.id, 10);
@@ -215,12 +240,23 @@ router.get('/:id/results', async (req, res) => {
       });
     }
     
-    // For now, return all certificates as we don't have proper scan history
-    const certs = await db.getAllCertificates();
+    const run = await db.getScanRunById(scanId);
+    
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Scan run not found'
+      });
+    }
+    
+    const results = await db.getScanRunResults(scanId);
     
     return res.json({
       success: true,
-      data: certs
+      data: {
+        ...run,
+        results
+      }
     });
   } 
   catch (err) {
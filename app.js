@@ -3,9 +3,14 @@ const path = require('path');
 const methodOverride = require('method-override');
 const cors = require('cors');
 const db = require('./modules/database');
+const truststore = require('./modules/truststore');
 const scannerRoutes = require('./routes/scanner');
 const certificateRoutes = require('./routes/certificates');
 const schedulerRoutes = require('./routes/scheduler');
+const trustRoutes = require('./routes/trust');
+const changeRoutes = require('./routes/changes');
+const alertRoutes = require('./routes/alerts');
+const digestRoutes = require('./routes/digests');
 const apiRoutes = require('./api/index');
 
 // Initialize the application
@@ -46,6 +51,7 @@ app.use((req, res, next) => {
 
 // Initialize database and start the server
 db.initializeDatabase()
+  .then(() => truststore.loadTrustStore())
   .then(() => {
     // Start the server after database initialization
     app.listen(PORT, () => {
@@ -70,6 +76,10 @@ app.get('/', (req, res) => {
 app.use('/scanner', scannerRoutes);
 app.use('/certificates', certificateRoutes);
 app.use('/scheduler', schedulerRoutes);
+app.use('/trust', trustRoutes);
+app.use('/changes', changeRoutes);
+app.use('/alerts', alertRoutes);
+app.use('/digests', digestRoutes);
 
 // API Routes
 app.use('/api', apiRoutes);
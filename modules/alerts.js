@@ -0,0 +1,366 @@
+const db = require('./database');
+const metadata = require('./metadata');
+const email = require('./email');
+const webhooks = require('./webhooks');
+
+/**
+ * Alerting engine
+ *
+ * Alert rules are evaluated against the live state of every endpoint after each scan
+ * and on a daily timer (see modules/scheduler.js). A rule raises one alert per endpoint
+ * while its condition holds:
+ *
+ *   expiring           Days remaining at or below a threshold; each threshold crossed
+ *                      raises a new alert, e.g. at 60, 30, 14, 7 and 1 days
+ *   expired            The certificate has expired
+ *   untrusted          The chain does not validate
+ *   hostname_mismatch  The certificate does not cover the host name
+ *   error              The last scan could not fetch a certificate
+ *
+ * Open alerts are resolved once their condition no longer holds, so the same alert is
+ * never raised twice for the same certificate. A renewed certificate starts over.
+ *
+ * Open alerts can be acknowledged. An endpoint can be snoozed until a date or muted with
+ * a reason; while it is, no new alerts are raised for it. Its open alerts still resolve.
+ */
+
+const ALERT_CONDITIONS = {
+  expiring: 'Expiring within threshold',
+  expired: 'Expired',
+  untrusted: 'Untrusted chain',
+  hostname_mismatch: 'Hostname mismatch',
+  error: 'Fetch error'
+};
+
+const DEFAULT_THRESHOLDS = [60, 30, 14, 7, 1];
+const MAX_THRESHOLD = 3650;
+
+/**
+ * Parse expiry thresholds: positive day counts, largest first, without duplicates
+ * @param {Array|string} value - Array of numbers or a comma-separated string
+ * @returns {Array<number>|null} - Thresholds, or null if any value is not a valid number of days
+ */
+function parseThresholds(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[,;\s]+/).filter(part => part.length > 0);
+  const days = parts.map(part => Number(part));
+
+  if (days.some(day => !Number.isInteger(day) || day < 0 || day > MAX_THRESHOLD)) {
+    return null;
+  }
+
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+/**
+ * Validate alert rule input
+ * @param {Object} input - { name, condition, thresholds, tag, environment, issuer, enabled, channelIds }
+ * @returns {Object} - { rule, errors }; rule.channelIds is left out when the input has none
+ */
+function normalizeRule(input) {
+  const errors = [];
+  const condition = input.condition;
+  const rule = {
+    name: String(input.name || '').trim(),
+    condition,
+    thresholds: [],
+    tag: metadata.parseTags(input.tag || '')[0] || null,
+    environment: input.environment || null,
+    issuer: String(input.issuer || '').trim() || null,
+    enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === 'true' || input.enabled === 'on'
+  };
+
+  if (!rule.name) {
+    errors.push('Please provide a name for the rule');
+  }
+
+  if (!ALERT_CONDITIONS[condition]) {
+    errors.push(`Invalid condition. Supported conditions: ${Object.keys(ALERT_CONDITIONS).join(', ')}`);
+  }
+
+  if (condition === 'expiring') {
+    const thresholds = input.thresholds === undefined || input.thresholds === ''
+      ? DEFAULT_THRESHOLDS
+      : parseThresholds(input.thresholds);
+
+    if (!thresholds || thresholds.length === 0) {
+      errors.push(`Invalid thresholds, expected days between 0 and ${MAX_THRESHOLD} separated by commas`);
+    } else {
+      rule.thresholds = thresholds;
+    }
+  }
+
+  if (rule.environment && !metadata.ENVIRONMENTS.includes(rule.environment)) {
+    errors.push(`Invalid environment. Expected one of ${metadata.ENVIRONMENTS.join(', ')}`);
+  }
+
+  if (input.channelIds !== undefined) {
+    const ids = [].concat(input.channelIds).map(id => parseInt(id, 10));
+    if (ids.some(id => isNaN(id))) {
+      errors.push('Invalid channelIds, expected notification channel IDs');
+    } else {
+      rule.channelIds = [...new Set(ids)];
+    }
+  }
+
+  return { rule, errors };
+}
+
+const MAX_ACTOR_LENGTH = 100;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Validate who acknowledges, snoozes or mutes
+ * @param {string} value - Name or email of the person
+ * @returns {Object} - { actor, errors }
+ */
+function normalizeActor(value) {
+  const actor = String(value || '').trim();
+  const errors = [];
+
+  if (!actor) {
+    errors.push('Please say who you are (by)');
+  } else if (actor.length > MAX_ACTOR_LENGTH) {
+    errors.push(`Invalid by, expected at most ${MAX_ACTOR_LENGTH} characters`);
+  }
+
+  return { actor, errors };
+}
+
+/**
+ * Validate the end of a snooze
+ * @param {string} value - A date (YYYY-MM-DD, snoozed to the end of that day) or an ISO 8601 timestamp
+ * @param {Date} now - Current time
+ * @returns {Object} - { until, errors } where until is an ISO 8601 timestamp
+ */
+function normalizeSnooze(value, now = new Date()) {
+  const text = String(value || '').trim();
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const until = day
+    ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]), 23, 59, 59, 999)
+    : new Date(text);
+
+  if (!text || isNaN(until.getTime())) {
+    return { until: null, errors: ['Invalid until, expected a date such as 2030-01-31'] };
+  }
+  if (until <= now) {
+    return { until: null, errors: ['Invalid until, the snooze must end in the future'] };
+  }
+
+  return { until: until.toISOString(), errors: [] };
+}
+
+/**
+ * Validate the reason of a mute
+ * @param {string} value - Why the endpoint is muted, e.g. "Decommissioned"
+ * @returns {Object} - { reason, errors }
+ */
+function normalizeMuteReason(value) {
+  const reason = String(value || '').trim();
+  const errors = [];
+
+  if (!reason) {
+    errors.push('Please give a reason for muting the endpoint');
+  } else if (reason.length > MAX_REASON_LENGTH) {
+    errors.push(`Invalid reason, expected at most ${MAX_REASON_LENGTH} characters`);
+  }
+
+  return { reason, errors };
+}
+
+/**
+ * Tell whether an endpoint is muted or snoozed
+ * @param {Object} cert - Endpoint row
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isSilenced(cert, now = new Date()) {
+  return Boolean(cert.muted_at) || Boolean(cert.snoozed_until && new Date(cert.snoozed_until) > now);
+}
+
+/**
+ * Tell whether an endpoint is in the scope of a rule
+ * Matches like the tag, environment and issuer filters of db.queryCertificates.
+ * @param {Object} rule - Alert rule
+ * @param {Object} cert - Endpoint row
+ * @returns {boolean}
+ */
+function inScope(rule, cert) {
+  if (rule.tag && !cert.tags.includes(rule.tag)) return false;
+  if (rule.environment && cert.environment !== rule.environment) return false;
+  // Substring of the issuer, ignoring case like SQL LIKE
+  if (rule.issuer && !String(cert.issuer || '').toLowerCase().includes(rule.issuer.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Check one rule against one endpoint
+ * @param {Object} rule - Alert rule
+ * @param {Object} cert - Endpoint row with live days_remaining and status
+ * @returns {Object|null|undefined} - { key, threshold, message } when the condition holds, null when it
+ *                                    does not, undefined when it cannot be told (the last scan failed)
+ */
+function checkRule(rule, cert) {
+  const endpoint = `${cert.host}:${cert.port}`;
+
+  if (rule.condition === 'error') {
+    return cert.status === 'error'
+      ? { key: 'error', threshold: null, message: `${endpoint} could not be scanned` }
+      : null;
+  }
+
+  // Keep alerts raised on the last certificate seen while the endpoint is unreachable
+  if (cert.status === 'error') return undefined;
+
+  switch (rule.condition) {
+    case 'expiring': {
+      if (cert.status === 'expired' || cert.days_remaining === null) return null;
+
+      // Smallest threshold crossed, so a first evaluation does not raise every larger one
+      const crossed = rule.thresholds.filter(days => cert.days_remaining <= days);
+      if (crossed.length === 0) return null;
+
+      const threshold = Math.min(...crossed);
+      return {
+        key: `${cert.fingerprint}:${threshold}`,
+        threshold,
+        message: `${endpoint} certificate expires in ${cert.days_remaining} day(s) on ${String(cert.valid_to).slice(0, 10)}`
+      };
+    }
+    case 'expired':
+      return cert.status === 'expired'
+        ? { key: cert.fingerprint, threshold: null, message: `${endpoint} certificate expired on ${String(cert.valid_to).slice(0, 10)}` }
+        : null;
+    case 'untrusted':
+      return cert.trust_status === 'untrusted'
+        ? { key: cert.fingerprint, threshold: null, message: `${endpoint} certificate is not trusted: ${cert.trust_error || 'unknown error'}` }
+        : null;
+    case 'hostname_mismatch':
+      return cert.hostname_status === 'mismatch'
+        ? { key: cert.fingerprint, threshold: null, message: `${endpoint} certificate does not cover the host name` }
+        : null;
+    default:
+      return null;
+  }
+}
+
+// Report newly raised alerts in the log and through the notification channels
+async function notify(raised) {
+  for (const alert of raised) {
+    console.log(`Alert raised (${alert.condition}): ${alert.message}`);
+  }
+
+  if (raised.length > 0 && email.isConfigured()) {
+    const { sent, failed } = await email.sendAlertEmails(raised);
+    console.log(`Alert emails: ${sent} sent, ${failed} failed`);
+  }
+
+  // Webhooks retry with backoff, so they are not waited for
+  if (raised.some(alert => alert.channelIds.length > 0)) {
+    webhooks.notifyAlerts(raised)
+      .catch(err => console.error('Error sending alerts to notification channels:', err.message));
+  }
+}
+
+/**
+ * Evaluate every enabled rule against every endpoint in its scope
+ * Raises alerts whose condition started to hold and resolves those whose condition stopped.
+ * @returns {Promise<Object>} - { raised, resolved } with the new alerts and the number resolved
+ */
+async function runEvaluation() {
+  const now = new Date();
+  const triggeredAt = now.toISOString();
+  const rules = await db.getAlertRules({ enabledOnly: true });
+  const open = await db.getAlerts({ state: 'open' });
+  // Every rule is checked against the same endpoints, loaded once
+  const { rows: endpoints } = await db.queryCertificates();
+
+  // Open alerts by rule and endpoint
+  const openByEndpoint = new Map();
+  for (const alert of open) {
+    const pair = `${alert.rule_id}:${alert.certificate_id}`;
+    if (!openByEndpoint.has(pair)) openByEndpoint.set(pair, []);
+    openByEndpoint.get(pair).push(alert);
+  }
+
+  // Open alerts that still hold, by ID
+  const kept = new Set();
+  const raised = [];
+
+  for (const rule of rules) {
+    for (const cert of endpoints.filter(endpoint => inScope(rule, endpoint))) {
+      const openForEndpoint = openByEndpoint.get(`${rule.id}:${cert.id}`) || [];
+      const result = checkRule(rule, cert);
+
+      if (result === undefined) {
+        openForEndpoint.forEach(alert => kept.add(alert.id));
+        continue;
+      }
+      if (result === null) continue;
+
+      const existing = openForEndpoint.find(alert => alert.alert_key === result.key);
+      if (existing) {
+        kept.add(existing.id);
+        continue;
+      }
+
+      if (isSilenced(cert, now)) continue;
+
+      const alert = {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        channelIds: rule.channel_ids,
+        certificateId: cert.id,
+        host: cert.host,
+        port: cert.port,
+        condition: rule.condition,
+        threshold: result.threshold,
+        fingerprint: cert.fingerprint,
+        key: result.key,
+        message: result.message,
+        triggeredAt,
+        certificate: cert
+      };
+
+      alert.id = await db.createAlert(alert);
+      if (alert.id) {
+        kept.add(alert.id);
+        raised.push(alert);
+      }
+    }
+  }
+
+  // Conditions that stopped holding, endpoints out of scope and rules that were disabled
+  const resolved = open.filter(alert => !kept.has(alert.id)).map(alert => alert.id);
+  await db.resolveAlerts(resolved, triggeredAt);
+
+  await notify(raised);
+
+  return { raised, resolved: resolved.length };
+}
+
+// Evaluations run one at a time, so a scan and the daily timer never raise the same alert together
+let evaluation = Promise.resolve();
+
+/**
+ * Evaluate the alert rules, waiting for any evaluation already running
+ * @returns {Promise<Object>} - { raised, resolved }
+ */
+function evaluateAlerts() {
+  const next = evaluation.then(runEvaluation, runEvaluation);
+  evaluation = next.catch(() => {});
+  return next;
+}
+
+module.exports = {
+  ALERT_CONDITIONS,
+  DEFAULT_THRESHOLDS,
+  parseThresholds,
+  normalizeRule,
+  normalizeActor,
+  normalizeSnooze,
+  normalizeMuteReason,
+  isSilenced,
+  inScope,
+  checkRule,
+  evaluateAlerts
+};
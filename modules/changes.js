@@ -0,0 +1,133 @@
+/**
+ * Certificate change detection
+ *
+ * When a scan finds a different certificate on an endpoint, the change is classified as:
+ *
+ *   reverted    The endpoint went back to a certificate it presented before
+ *   downgraded  The new certificate has a weaker key or signature algorithm
+ *   replaced    The issuer or the key changed, or the certificate is not a later one
+ *               for the same subject
+ *   renewed     Same subject, issuer and key, with a later expiry date
+ *
+ * The first type that applies wins, in the order above.
+ */
+
+const CHANGE_TYPES = ['renewed', 'replaced', 'downgraded', 'reverted'];
+
+// Approximate security strength in bits of RSA moduli (NIST SP 800-57)
+const RSA_STRENGTH = [
+  [15360, 256],
+  [7680, 192],
+  [3072, 128],
+  [2048, 112],
+  [1024, 80]
+];
+
+/**
+ * Estimate the security strength of a public key
+ * @param {string} algorithm - Key algorithm (RSA, EC, ED25519, ...)
+ * @param {number} size - Key size in bits
+ * @returns {number|null} - Security strength in bits, or null if unknown
+ */
+function keyStrength(algorithm, size) {
+  if (!algorithm || !size) return null;
+
+  if (algorithm === 'RSA' || algorithm === 'RSA-PSS' || algorithm === 'DSA') {
+    const match = RSA_STRENGTH.find(([bits]) => size >= bits);
+    return match ? match[1] : 40;
+  }
+
+  // Elliptic curve keys (EC and EdDSA) offer about half their size
+  return Math.floor(size / 2);
+}
+
+/**
+ * Rank the hash of a signature algorithm, higher is stronger
+ * @param {string} signatureAlgorithm - e.g. SHA256withRSA or ECDSA with SHA384
+ * @returns {number|null} - Rank, or null if the hash is not recognised
+ */
+function hashRank(signatureAlgorithm) {
+  const name = String(signatureAlgorithm || '').toUpperCase();
+
+  if (/MD[25]/.test(name)) return 0;
+  if (/SHA-?1(?!\d)/.test(name)) return 1;
+  if (/SHA-?224/.test(name)) return 2;
+  if (/SHA-?256/.test(name)) return 3;
+  if (/SHA-?384/.test(name)) return 4;
+  if (/SHA-?512/.test(name)) return 5;
+  return null;
+}
+
+/**
+ * Describe how the key and signature of the new certificate compare to the old one
+ * @returns {Array<string>} - Reasons the new certificate is weaker, empty if it is not
+ */
+function findDowngrades(previous, current) {
+  const reasons = [];
+
+  const oldStrength = keyStrength(previous.key_algorithm, previous.key_size);
+  const newStrength = keyStrength(current.keyAlgorithm, current.keySize);
+  if (oldStrength !== null && newStrength !== null && newStrength < oldStrength) {
+    reasons.push(`Key weakened from ${previous.key_algorithm} ${previous.key_size} to ${current.keyAlgorithm} ${current.keySize} bits`);
+  }
+
+  if (current.weakKey && !previous.weak_key) {
+    reasons.push(`New key is weak: ${current.weakKeyReason}`);
+  }
+
+  const oldHash = hashRank(previous.signature_algorithm);
+  const newHash = hashRank(current.signatureAlgorithm);
+  if (oldHash !== null && newHash !== null && newHash < oldHash) {
+    reasons.push(`Signature weakened from ${previous.signature_algorithm} to ${current.signatureAlgorithm}`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Classify the change between the certificate last stored for an endpoint and a new scan result
+ * @param {Object} previous - Stored certificate row (snake_case) before the scan, or null for a new endpoint
+ * @param {Object} current - Successful scan result (camelCase)
+ * @param {Array<string>} seenFingerprints - Fingerprints the endpoint presented in earlier scans
+ * @returns {Object|null} - { type, details } or null if the certificate did not change
+ */
+function detectChange(previous, current, seenFingerprints = []) {
+  if (!previous || !previous.fingerprint || !current.fingerprint) return null;
+  if (previous.fingerprint === current.fingerprint) return null;
+
+  const details = [];
+  if (previous.subject !== current.subject) details.push('Subject changed');
+  if (previous.issuer !== current.issuer) details.push(`Issuer changed from ${previous.issuer} to ${current.issuer}`);
+  if (previous.spki_sha256 && current.spkiSha256 && previous.spki_sha256 !== current.spkiSha256) details.push('New key pair');
+
+  const oldExpiry = new Date(previous.valid_to);
+  const newExpiry = new Date(current.validTo);
+  if (!isNaN(oldExpiry) && !isNaN(newExpiry)) {
+    const [oldDay, newDay] = [oldExpiry, newExpiry].map(date => date.toISOString().slice(0, 10));
+    if (oldDay !== newDay) details.push(`Expiry moved from ${oldDay} to ${newDay}`);
+  }
+
+  if (seenFingerprints.includes(current.fingerprint)) {
+    return { type: 'reverted', details: ['Certificate was presented by this endpoint before', ...details] };
+  }
+
+  const downgrades = findDowngrades(previous, current);
+  if (downgrades.length > 0) {
+    return { type: 'downgraded', details: [...downgrades, ...details] };
+  }
+
+  const sameIssuer = previous.issuer === current.issuer;
+  const sameKey = !previous.spki_sha256 || !current.spkiSha256 || previous.spki_sha256 === current.spkiSha256;
+  const later = !isNaN(oldExpiry) && !isNaN(newExpiry) && newExpiry > oldExpiry;
+
+  if (sameIssuer && sameKey && later && previous.subject === current.subject) {
+    return { type: 'renewed', details };
+  }
+
+  return { type: 'replaced', details };
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  detectChange
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+
+/**
+ * Application configuration
+ * Every value has a sensible default and can be overridden with an environment variable.
+ */
+
+/**
+ * Read an integer from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is missing or invalid
+ * @param {number} minimum - Smallest value accepted, smaller values are raised to it
+ * @returns {number} - Parsed integer
+ */
+function intFromEnv(name, defaultValue, minimum = -Infinity) {
+  const value = parseInt(process.env[name], 10);
+  return Math.max(isNaN(value) ? defaultValue : value, minimum);
+}
+
+/**
+ * Read a boolean from the environment ('1'/'true' or '0'/'false')
+ * @param {string} name - Environment variable name
+ * @param {boolean} defaultValue - Value used when the variable is missing or invalid
+ * @returns {boolean} - Parsed boolean
+ */
+function boolFromEnv(name, defaultValue) {
+  const value = String(process.env[name] || '').toLowerCase();
+  if (value === '1' || value === 'true') return true;
+  if (value === '0' || value === 'false') return false;
+  return defaultValue;
+}
+
+/**
+ * Read a comma-separated list from the environment
+ * @param {string} name - Environment variable name
+ * @returns {Array<string>} - Trimmed, non-empty values
+ */
+function listFromEnv(name) {
+  return String(process.env[name] || '').split(',').map(value => value.trim()).filter(value => value.length > 0);
+}
+
+/**
+ * Read a JSON file named by an environment variable
+ * @param {string} name - Environment variable holding the file path
+ * @returns {Object} - Parsed file contents, or an empty object when unset or unreadable
+ */
+function jsonFromEnvFile(name) {
+  const file = process.env[name];
+  if (!file) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`Could not read ${name} (${file}): ${err.message}`);
+    return {};
+  }
+}
+
+const gradingOverrides = jsonFromEnvFile('CERTIFYEYE_GRADING_FILE');
+
+const config = {
+  // Connection limits are at least 1, a scan with a limit of 0 would never start
+  scanner: {
+    // Largest number of addresses a single CIDR or dash range may expand to
+    maxRangeSize: intFromEnv('CERTIFYEYE_MAX_RANGE_SIZE', 4096),
+    // Maximum number of connections open at the same time across all running scans
+    concurrency: intFromEnv('CERTIFYEYE_SCAN_CONCURRENCY', 50, 1),
+    // Maximum concurrent connections to a single host, across all running scans
+    perHostLimit: intFromEnv('CERTIFYEYE_SCAN_PER_HOST', 2, 1),
+    // Maximum concurrent connections into a single /24 (IPv4) or /64 (IPv6) subnet, across all running scans
+    perSubnetLimit: intFromEnv('CERTIFYEYE_SCAN_PER_SUBNET', 16, 1),
+    // Minimum delay in milliseconds between two connections to the same host
+    hostDelay: intFromEnv('CERTIFYEYE_SCAN_HOST_DELAY', 0, 0)
+  },
+  expiry: {
+    // Certificates with fewer days left than this are reported with status 'warning'
+    warningDays: intFromEnv('CERTIFYEYE_WARNING_DAYS', 30)
+  },
+  alerts: {
+    // Cron expression of the daily alert evaluation; alerts are also evaluated after every scan
+    schedule: process.env.CERTIFYEYE_ALERT_SCHEDULE || '0 8 * * *'
+  },
+  // Scheduled scans
+  scheduler: {
+    // Runs of scheduled scans missed while the app was down: 'once' runs one catch-up scan,
+    // 'skip' only records them, 'all' runs each missed run in turn
+    catchUp: ['once', 'skip', 'all'].includes(process.env.CERTIFYEYE_SCHEDULER_CATCH_UP)
+      ? process.env.CERTIFYEYE_SCHEDULER_CATCH_UP
+      : 'once',
+    // Most missed runs of one scan run with 'all'; the rest are recorded as skipped (0 runs none)
+    maxCatchUpRuns: intFromEnv('CERTIFYEYE_SCHEDULER_MAX_CATCH_UP', 24, 0)
+  },
+  // Email notifications, sent only when a host is set
+  smtp: {
+    host: process.env.CERTIFYEYE_SMTP_HOST || '',
+    port: intFromEnv('CERTIFYEYE_SMTP_PORT', 587),
+    // 'starttls' upgrades the connection and fails without it, 'tls' connects over TLS (port 465),
+    // 'none' sends in plain text (local SMTP sinks)
+    security: ['starttls', 'tls', 'none'].includes(process.env.CERTIFYEYE_SMTP_SECURITY)
+      ? process.env.CERTIFYEYE_SMTP_SECURITY
+      : 'starttls',
+    // Accept a server certificate that does not validate
+    allowInvalidCertificate: boolFromEnv('CERTIFYEYE_SMTP_ALLOW_INVALID_CERT', false),
+    user: process.env.CERTIFYEYE_SMTP_USER || '',
+    password: process.env.CERTIFYEYE_SMTP_PASSWORD || '',
+    from: process.env.CERTIFYEYE_SMTP_FROM || 'CertifyEye <certifyeye@localhost>',
+    // Recipients of every alert, comma-separated
+    to: listFromEnv('CERTIFYEYE_SMTP_TO'),
+    // Also send each alert to the contact email of its endpoint
+    notifyContacts: boolFromEnv('CERTIFYEYE_SMTP_NOTIFY_CONTACTS', true)
+  },
+  // Webhook, Slack and Teams notification channels
+  webhooks: {
+    // Milliseconds to wait for the receiver to answer
+    timeout: intFromEnv('CERTIFYEYE_WEBHOOK_TIMEOUT', 10000),
+    // Attempts per message, including the first one
+    maxAttempts: intFromEnv('CERTIFYEYE_WEBHOOK_MAX_ATTEMPTS', 4),
+    // Delay in milliseconds before the first retry, doubled after each failed retry
+    retryDelay: intFromEnv('CERTIFYEYE_WEBHOOK_RETRY_DELAY', 5000)
+  },
+  tlsProbe: {
+    // Detect the accepted protocol versions after each successful scan, one handshake per version
+    enabled: boolFromEnv('CERTIFYEYE_TLS_PROBE', true),
+    // Also enumerate every accepted cipher suite, one handshake per suite; off by default
+    ciphers: boolFromEnv('CERTIFYEYE_TLS_PROBE_CIPHERS', false),
+    // Upper bound on handshakes per protocol version while enumerating cipher suites
+    maxCiphersPerVersion: intFromEnv('CERTIFYEYE_TLS_PROBE_MAX_CIPHERS', 32, 1)
+  },
+  // Endpoint grading (see modules/grading.js), overridable with a JSON file
+  grading: {
+    // RSA keys below minRsaKeySize are flagged as weak (capped at caps.weakKey), below 1024 bits at caps.brokenKey
+    minRsaKeySize: 2048,
+    // Same for EC keys, measured in curve bits (below 160 bits is broken)
+    minEcKeySize: 256,
+    ...gradingOverrides,
+    // Highest grade an endpoint can get when it has the issue
+    caps: {
+      brokenKey: 'F',
+      weakKey: 'C',
+      md5Signature: 'F',
+      sha1Signature: 'C',
+      expired: 'F',
+      untrusted: 'F',
+      hostnameMismatch: 'F',
+      noModernProtocol: 'C',
+      deprecatedProtocol: 'B',
+      weakCipher: 'C',
+      noForwardSecrecy: 'B',
+      ...(gradingOverrides.caps || {})
+    }
+  }
+};
+
+module.exports = config;
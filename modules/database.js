@@ -1,6 +1,9 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { migrations } = require('./migrations');
+const expiry = require('./expiry');
+const grading = require('./grading');
 
 // Ensure data directory exists
 const dataDir = path.join(__dirname, '..', 'data');
@@ -11,69 +14,224 @@ if (!fs.existsSync(dataDir)) {
 // Database connection
 let db;
 
+const dbFile = path.join(dataDir, 'certify-eye.db');
+
+/**
+ * Get the schema version of the open database
+ * @returns {Promise<number>} - Highest applied migration version, 0 for an unversioned database
+ */
+async function getSchemaVersion() {
+  await runQuery(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      applied_at TEXT NOT NULL
+    )
+  `);
+  
+  const row = await getQuery('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+}
+
+/**
+ * Add a column unless the table already has it
+ * Databases created before schema versioning may already have some columns.
+ * @param {string} table - Table name
+ * @param {string} name - Column name
+ * @param {string} type - Column type and constraints
+ * @returns {Promise<void>}
+ */
+async function addColumn(table, name, type) {
+  const existing = await allQuery(`PRAGMA table_info(${table})`);
+  
+  if (!existing.some(c => c.name === name)) {
+    await runQuery(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+/**
+ * Copy the database file next to itself before it is upgraded
+ * @param {number} version - Schema version of the file
+ * @returns {string} - Path of the backup
+ */
+function backupDatabase(version) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const backupFile = `${dbFile}.v${version}-${stamp}.bak`;
+  
+  fs.copyFileSync(dbFile, backupFile);
+  return backupFile;
+}
+
+/**
+ * Bring the schema up to the latest migration
+ * Each pending migration runs in its own transaction together with its
+ * schema_version row, so a failed migration leaves the previous version intact.
+ * @returns {Promise<number>} - Schema version after the upgrade
+ */
+async function runMigrations() {
+  const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+  const current = await getSchemaVersion();
+  
+  if (current > latest) {
+    throw new Error(
+      `Database schema version ${current} is newer than the latest version this release supports (${latest}). ` +
+      'Upgrade CertifyEye or restore a backup of the database.'
+    );
+  }
+  
+  const pending = migrations.filter(migration => migration.version > current);
+  if (pending.length === 0) {
+    return current;
+  }
+  
+  // Only back up databases that hold data; a fresh database has nothing to lose
+  const existing = await getQuery(
+    "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name NOT IN ('schema_version', 'sqlite_sequence')"
+  );
+  if (existing.count > 0) {
+    console.log(`Backed up database to ${backupDatabase(current)}`);
+  }
+  
+  const query = { run: runQuery, all: allQuery, get: getQuery, addColumn };
+  
+  for (const migration of pending) {
+    console.log(`Applying database migration ${migration.version}: ${migration.description}`);
+    
+    await runQuery('BEGIN');
+    try {
+      await migration.up(query);
+      await runQuery(
+        'INSERT INTO schema_version (version, description, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.description, new Date().toISOString()]
+      );
+      await runQuery('COMMIT');
+    } catch (err) {
+      await runQuery('ROLLBACK').catch(() => {});
+      throw new Error(`Database migration ${migration.version} (${migration.description}) failed: ${err.message}`);
+    }
+  }
+  
+  return latest;
+}
+
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(path.join(dataDir, 'certify-eye.db'), (err) => {
+    db = new sqlite3.Database(dbFile, (err) => {
       if (err) {
         console.error('Database initialization error:', err.message);
         reject(err);
         return;
       }
       
-      // Create certificates table if it doesn't exist
-      db.run(`
-        CREATE TABLE IF NOT EXISTS certificates (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          host TEXT NOT NULL,
-          port INTEGER NOT NULL,
-          subject TEXT,
-          issuer TEXT,
-          valid_from TEXT,
-          valid_to TEXT,
-          fingerprint TEXT,
-          signature_algorithm TEXT,
-          self_signed BOOLEAN,
-          status TEXT,
-          last_scanned TEXT,
-          days_remaining INTEGER,
-          UNIQUE(host, port)
-        )
-      `, (err) => {
-        if (err) {
-          console.error('Error creating certificates table:', err.message);
-          reject(err);
-          return;
-        }
-        
-        // Create scheduled_scans table if it doesn't exist
-        db.run(`
-          CREATE TABLE IF NOT EXISTS scheduled_scans (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL,
-            hosts TEXT NOT NULL,
-            ports TEXT NOT NULL,
-            frequency TEXT NOT NULL,
-            last_run TEXT,
-            next_run TEXT,
-            active BOOLEAN DEFAULT 1
-          )
-        `, (err) => {
-          if (err) {
-            console.error('Error creating scheduled_scans table:', err.message);
-            reject(err);
-            return;
-          }
-          
-          console.log('Database initialized successfully');
+      runMigrations()
+        .then((version) => {
+          console.log(`Database initialized successfully (schema version ${version})`);
           resolve(true);
+        })
+        .catch((err) => {
+          console.error('Error upgrading database schema:', err.message);
+          reject(err);
         });
-      });
     });
   });
 }
 
-function closeDatabase() {
+// Writes and transactions waiting for the one before them, see queueWrite
+let writeQueue = Promise.resolve();
+
+/**
+ * Run a write after every write and transaction queued before it
+ * All callers share one connection, so a write running while a transaction is open would
+ * become part of that transaction and be rolled back with it. Writes wait their turn instead.
+ * @param {Function} task - Async function doing the write
+ * @returns {Promise<*>} - Result of task
+ */
+function queueWrite(task) {
+  const result = writeQueue.then(task);
+  writeQueue = result.catch(() => {});
+  return result;
+}
+
+// Run a statement on the connection right away; outside a transaction use runQuery
+function execRun(query, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(query, params, function(err) {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(this);
+    });
+  });
+}
+
+// Run a statement and resolve with the statement context (lastID, changes)
+function runQuery(query, params = []) {
+  return queueWrite(() => execRun(query, params));
+}
+
+// Run a statement like db.run, callback included, after the writes queued before it
+function queuedRun(query, params, callback) {
+  queueWrite(() => new Promise(resolve => {
+    db.run(query, params, function(err) {
+      try {
+        callback.call(this, err);
+      } finally {
+        resolve();
+      }
+    });
+  }));
+}
+
+// Run a query and resolve with all result rows
+function allQuery(query, params = []) {
   return new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Run a query and resolve with the first result row
+function getQuery(query, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(query, params, (err, row) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(row);
+    });
+  });
+}
+
+/**
+ * Run statements as one transaction, queued with all other writes (see queueWrite)
+ * The statements must go through the tx handle: runQuery would wait for the transaction itself.
+ * @param {Function} work - Async function called with tx = { run, get, all }
+ * @returns {Promise<*>} - Result of work; everything is rolled back when it throws
+ */
+function inTransaction(work) {
+  return queueWrite(async () => {
+    await execRun('BEGIN');
+    try {
+      const value = await work({ run: execRun, get: getQuery, all: allQuery });
+      await execRun('COMMIT');
+      return value;
+    } catch (err) {
+      await execRun('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  });
+}
+
+function closeDatabase() {
+  // Let queued writes finish first
+  return writeQueue.then(() => new Promise((resolve, reject) => {
     if (db) {
       db.close((err) => {
         if (err) {
@@ -87,56 +245,581 @@ function closeDatabase() {
     } else {
       resolve();
     }
-  });
+  }));
 }
 
 // Certificate operations
-function saveCertificate(certData) {
+
+// Column values of an endpoint row for a scan result
+function certificateColumns(certData) {
+  return {
+    host: certData.host,
+    port: certData.port,
+    subject: certData.subject,
+    issuer: certData.issuer,
+    valid_from: certData.validFrom,
+    valid_to: certData.validTo,
+    fingerprint: certData.fingerprint,
+    signature_algorithm: certData.signatureAlgorithm,
+    self_signed: certData.selfSigned ? 1 : 0,
+    status: certData.status,
+    last_scanned: certData.lastScanned,
+    // Snapshot at scan time, readers get a live value (see parseCertificateRow)
+    days_remaining: certData.daysRemaining,
+    trust_status: certData.trustStatus || null,
+    trust_error: certData.trustError || null,
+    protocol: certData.protocol || 'tls',
+    subject_alt_names: JSON.stringify(certData.subjectAltNames || []),
+    hostname_status: certData.hostnameStatus || null,
+    tls_protocols: certData.tlsProtocols ? JSON.stringify(certData.tlsProtocols) : null,
+    tls_ciphers: certData.tlsCiphers ? JSON.stringify(certData.tlsCiphers) : null,
+    key_algorithm: certData.keyAlgorithm || null,
+    key_size: certData.keySize || null,
+    key_exponent: certData.keyExponent || null,
+    key_curve: certData.keyCurve || null,
+    spki_sha256: certData.spkiSha256 || null,
+    weak_key: certData.weakKey ? 1 : 0,
+    weak_key_reason: certData.weakKeyReason || null,
+    grade: certData.grade || null,
+    grade_reasons: JSON.stringify(certData.gradeReasons || []),
+    common_name: certData.commonName || '',
+    organization: certData.organization || '',
+    serial_number: certData.serialNumber || null,
+    key_usage: certData.keyUsage || '',
+    extended_key_usage: certData.extendedKeyUsage || '',
+    pem: certData.pem || null
+  };
+}
+
+/**
+ * Normalize a SHA-256 fingerprint to the stored form: upper case hex pairs separated by colons
+ * @param {string} fingerprint - Fingerprint with or without colons, in any case
+ * @returns {string|null} - Normalized fingerprint, or null if it is not a SHA-256 fingerprint
+ */
+function normalizeFingerprint(fingerprint) {
+  const hex = String(fingerprint || '').replace(/[:\s]/g, '').toUpperCase();
+  
+  if (!/^[0-9A-F]{64}$/.test(hex)) {
+    return null;
+  }
+  
+  return hex.match(/.{2}/g).join(':');
+}
+
+/**
+ * Insert a certificate into x509_certificates, or refresh it when it is already known
+ * Fields missing from the new record keep their stored value; first_seen and last_seen only widen.
+ * @param {Object} tx - Transaction handle of inTransaction
+ * @param {Object} record - Column values, fingerprint required
+ * @returns {Promise<void>}
+ */
+async function saveX509Certificate(tx, record) {
+  const names = Object.keys(record);
+  const updated = names.filter(name => !['fingerprint', 'first_seen', 'last_seen'].includes(name));
+  
+  // Results of one scan are saved in target order, not in the order they were seen
+  await tx.run(`
+    INSERT INTO x509_certificates (${names.join(', ')})
+    VALUES (${names.map(() => '?').join(', ')})
+    ON CONFLICT(fingerprint) DO UPDATE SET
+      ${updated.map(name => `${name} = COALESCE(excluded.${name}, x509_certificates.${name})`).join(',\n      ')},
+      first_seen = MIN(COALESCE(x509_certificates.first_seen, excluded.first_seen), excluded.first_seen),
+      last_seen = MAX(COALESCE(x509_certificates.last_seen, excluded.last_seen), excluded.last_seen)
+  `, Object.values(record));
+}
+
+// Columns a failed scan updates; the last certificate seen on the endpoint is kept
+const ERROR_UPDATE_COLUMNS = ['status', 'last_scanned', 'protocol'];
+
+/**
+ * Save a scan result for an endpoint and record it in the observation history
+ * The endpoint row is updated in place, so its ID stays the same across scans. The endpoint,
+ * its observation, certificate and chain are written in one transaction, so the history
+ * never disagrees with the endpoint row.
+ * @param {Object} certData - Scan result from the scanner
+ * @returns {Promise<number>} - ID of the endpoint row
+ */
+async function saveCertificate(certData) {
+  try {
+    return await inTransaction(tx => writeCertificate(tx, certData));
+  } catch (err) {
+    console.error('Error saving certificate:', err.message);
+    throw err;
+  }
+}
+
+// Write a scan result; see saveCertificate
+async function writeCertificate(tx, certData) {
+  const columns = certificateColumns(certData);
+  const names = Object.keys(columns);
+  const updated = certData.status === 'error'
+    ? ERROR_UPDATE_COLUMNS
+    : names.filter(name => name !== 'host' && name !== 'port');
+  
+  await tx.run(`
+    INSERT INTO certificates (${names.join(', ')})
+    VALUES (${names.map(() => '?').join(', ')})
+    ON CONFLICT(host, port) DO UPDATE SET
+      ${updated.map(name => `${name} = excluded.${name}`).join(',\n      ')}
+  `, Object.values(columns));
+  
+  const row = await tx.get('SELECT id FROM certificates WHERE host = ? AND port = ?', [certData.host, certData.port]);
+  
+  await tx.run(`
+    INSERT INTO certificate_observations
+    (certificate_id, host, port, observed_at, status, fingerprint, subject,
+     serial_number, valid_from, valid_to, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `, [
+    row.id,
+    certData.host,
+    certData.port,
+    certData.lastScanned || new Date().toISOString(),
+    certData.status,
+    certData.fingerprint || null,
+    certData.subject || null,
+    certData.serialNumber || null,
+    certData.validFrom || null,
+    certData.validTo || null,
+    certData.error || null
+  ]);
+  
+  // A failed scan did not see a certificate or chain, keep the ones from the last successful scan
+  if (certData.status !== 'error') {
+    if (normalizeFingerprint(certData.fingerprint)) {
+      const seenAt = certData.lastScanned || new Date().toISOString();
+      await saveX509Certificate(tx, {
+        fingerprint: columns.fingerprint,
+        subject: columns.subject,
+        issuer: columns.issuer,
+        common_name: columns.common_name,
+        organization: columns.organization,
+        serial_number: columns.serial_number,
+        valid_from: columns.valid_from,
+        valid_to: columns.valid_to,
+        signature_algorithm: columns.signature_algorithm || null,
+        key_algorithm: columns.key_algorithm,
+        key_size: columns.key_size,
+        spki_sha256: columns.spki_sha256,
+        self_signed: columns.self_signed,
+        // Left to the chain entries of other endpoints, which know whether it is a root
+        is_root: null,
+        pem: columns.pem,
+        first_seen: seenAt,
+        last_seen: seenAt
+      });
+    }
+    
+    await saveCertificateChain(tx, certData.host, certData.port, certData.chain || [], certData.lastScanned);
+  }
+  
+  return row.id;
+}
+
+/**
+ * Replace the stored chain of an endpoint
+ * Each position is replaced in place and positions past the new chain are removed, so two
+ * scans of the same endpoint saving at once cannot collide on a position.
+ * @param {Object} tx - Transaction handle of inTransaction
+ * @param {string} host - Endpoint host
+ * @param {number} port - Endpoint port
+ * @param {Array} chain - Chain entries from the scanner, leaf's issuer first
+ * @param {string} seenAt - When the chain was presented, defaults to now
+ * @returns {Promise<void>}
+ */
+async function saveCertificateChain(tx, host, port, chain, seenAt = new Date().toISOString()) {
+  try {
+    for (const entry of chain) {
+      await saveX509Certificate(tx, {
+        fingerprint: entry.fingerprint,
+        subject: entry.subject,
+        issuer: entry.issuer,
+        serial_number: entry.serialNumber || null,
+        valid_from: entry.validFrom,
+        valid_to: entry.validTo,
+        is_root: entry.isRoot ? 1 : 0,
+        pem: entry.pem || null,
+        first_seen: seenAt,
+        last_seen: seenAt
+      });
+      
+      await tx.run(
+        'INSERT OR REPLACE INTO certificate_chains (host, port, position, fingerprint) VALUES (?, ?, ?, ?)',
+        [host, port, entry.position, entry.fingerprint]
+      );
+    }
+    
+    // Positions run from 1, so what is left past the chain length belongs to an older, longer chain
+    await tx.run(
+      'DELETE FROM certificate_chains WHERE host = ? AND port = ? AND position > ?',
+      [host, port, chain.length]
+    );
+  } catch (err) {
+    console.error('Error saving certificate chain:', err.message);
+    throw err;
+  }
+}
+
+function getCertificateChain(host, port) {
   return new Promise((resolve, reject) => {
     const query = `
-      INSERT OR REPLACE INTO certificates 
-      (host, port, subject, issuer, valid_from, valid_to, fingerprint, 
-       signature_algorithm, self_signed, status, last_scanned, days_remaining)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      SELECT cc.position, c.*,
+             (SELECT COUNT(*) FROM certificate_chains other WHERE other.fingerprint = cc.fingerprint) AS endpoint_count
+      FROM certificate_chains cc
+      JOIN x509_certificates c ON c.fingerprint = cc.fingerprint
+      WHERE cc.host = ? AND cc.port = ?
+      ORDER BY cc.position ASC
     `;
     
-    db.run(query, [
-      certData.host,
-      certData.port,
-      certData.subject,
-      certData.issuer,
-      certData.validFrom,
-      certData.validTo,
-      certData.fingerprint,
-      certData.signatureAlgorithm,
-      certData.selfSigned ? 1 : 0,
-      certData.status,
-      certData.lastScanned,
-      certData.daysRemaining
-    ], function(err) {
+    db.all(query, [host, port], (err, rows) => {
       if (err) {
-        console.error('Error saving certificate:', err.message);
+        console.error('Error fetching certificate chain:', err.message);
         reject(err);
         return;
       }
-      resolve(this.lastID);
+      resolve(rows.map(row => ({ ...row, is_root: Boolean(row.is_root), self_signed: Boolean(row.self_signed) })));
+    });
+  });
+}
+
+function getCertificateByEndpoint(host, port) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM certificates WHERE host = ? AND port = ?', [host, port], (err, row) => {
+      if (err) {
+        console.error('Error fetching certificate:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(parseCertificateRow(row));
     });
   });
 }
 
+/**
+ * Get every certificate fingerprint an endpoint has presented
+ * @param {number} certificateId - Endpoint (certificate row) ID
+ * @returns {Promise<Array<string>>} - Distinct fingerprints
+ */
+async function getObservedFingerprints(certificateId) {
+  const rows = await allQuery(
+    'SELECT DISTINCT fingerprint FROM certificate_observations WHERE certificate_id = ? AND fingerprint IS NOT NULL',
+    [certificateId]
+  );
+  return rows.map(row => row.fingerprint);
+}
+
+/**
+ * Get the scan history of an endpoint
+ * @param {number} certificateId - Endpoint (certificate row) ID
+ * @returns {Promise<Array>} - Observations, newest first
+ */
+function getCertificateObservations(certificateId) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      SELECT * FROM certificate_observations
+      WHERE certificate_id = ?
+      ORDER BY observed_at DESC, id DESC
+    `;
+    
+    db.all(query, [certificateId], (err, rows) => {
+      if (err) {
+        console.error('Error fetching certificate observations:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Parse JSON columns of a certificate row (TLS columns stay null when the endpoint was not probed)
+// and compute days remaining and status from the expiry date
+function parseCertificateRow(row) {
+  if (!row) return row;
+  
+  const live = expiry.withLiveExpiry(row);
+  let grade = row.grade;
+  let gradeReasons = row.grade_reasons ? JSON.parse(row.grade_reasons) : [];
+  
+  // The stored grade predates the expiry of a certificate that expired since its last scan
+  if (grade && live.days_remaining !== null && live.days_remaining < 0) {
+    ({ grade, reasons: gradeReasons } = grading.withExpiredCap(grade, gradeReasons));
+  }
+  
+  return {
+    ...live,
+    subject_alt_names: row.subject_alt_names ? JSON.parse(row.subject_alt_names) : [],
+    tls_protocols: row.tls_protocols ? JSON.parse(row.tls_protocols) : null,
+    tls_ciphers: row.tls_ciphers ? JSON.parse(row.tls_ciphers) : null,
+    grade,
+    grade_reasons: gradeReasons,
+    tags: row.tags ? JSON.parse(row.tags) : []
+  };
+}
+
 function getAllCertificates() {
   return new Promise((resolve, reject) => {
-    db.all('SELECT * FROM certificates ORDER BY days_remaining ASC', [], (err, rows) => {
+    // Expiry dates are ISO 8601 in UTC, so they sort by time
+    db.all('SELECT * FROM certificates ORDER BY valid_to ASC', [], (err, rows) => {
       if (err) {
         console.error('Error fetching certificates:', err.message);
         reject(err);
         return;
       }
-      resolve(rows);
+      resolve(rows.map(parseCertificateRow));
     });
   });
 }
 
+// Escape the LIKE wildcards of a search string
+function likePattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+// One value or a list of values as an IN condition
+function inList(expression, value) {
+  const values = Array.isArray(value) ? value : [value];
+  return { sql: `${expression} IN (${values.map(() => '?').join(', ')})`, params: values };
+}
+
+// SQL for the live status of an endpoint row, matching expiry.withLiveExpiry
+function liveStatusSql(now) {
+  const { expiredBefore, warningBefore } = expiry.statusBoundaries(now);
+  return {
+    sql: `CASE
+      WHEN c.status = 'error' THEN 'error'
+      WHEN c.valid_to IS NULL THEN c.status
+      WHEN c.valid_to < ? THEN 'expired'
+      WHEN c.valid_to < ? THEN 'warning'
+      ELSE 'valid'
+    END`,
+    params: [expiredBefore, warningBefore]
+  };
+}
+
+// SQL for the grade of an endpoint row with the expired cap applied, matching parseCertificateRow
+function liveGradeSql(now) {
+  const { expiredBefore } = expiry.statusBoundaries(now);
+  const cap = grading.capFor('expired');
+  return {
+    sql: `CASE
+      WHEN c.grade IS NOT NULL AND c.valid_to < ? AND INSTR('ABCDEF', c.grade) < INSTR('ABCDEF', ?) THEN ?
+      ELSE c.grade
+    END`,
+    params: [expiredBefore, cap, cap]
+  };
+}
+
+/**
+ * Filters accepted by queryCertificates
+ * Each builds a condition on the certificates table (alias c) from the filter value.
+ * Stored dates are ISO 8601 in UTC, so date ranges compare them as strings.
+ */
+const CERTIFICATE_FILTERS = {
+  // Substring of the host name or address
+  host: (value) => ({ sql: "c.host LIKE ? ESCAPE '\\'", params: [likePattern(value)] }),
+  port: (value) => ({ sql: 'c.port = ?', params: [parseInt(value, 10)] }),
+  protocol: (value) => inList('c.protocol', value),
+  // Substring of the issuer
+  issuer: (value) => ({ sql: "c.issuer LIKE ? ESCAPE '\\'", params: [likePattern(value)] }),
+  // Substring of any subject alternative name (DNS, IP, email or URI)
+  san: (value) => ({
+    sql: `EXISTS (
+      SELECT 1 FROM json_each(c.subject_alt_names) san
+      WHERE json_extract(san.value, '$.value') LIKE ? ESCAPE '\\'
+    )`,
+    params: [likePattern(value)]
+  }),
+  hostnameStatus: (value) => inList('c.hostname_status', value),
+  // 'unknown' matches endpoints scanned before trust validation existed
+  trustStatus: (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    const known = values.filter(v => v !== 'unknown');
+    const conditions = known.length > 0 ? [inList('c.trust_status', known)] : [];
+    if (values.includes('unknown')) conditions.push({ sql: 'c.trust_status IS NULL', params: [] });
+    return {
+      sql: `(${conditions.map(condition => condition.sql).join(' OR ')})`,
+      params: conditions.flatMap(condition => condition.params)
+    };
+  },
+  trustError: (value) => inList('c.trust_error', value),
+  // Live status, computed from the expiry date
+  status: (value, now) => {
+    const status = liveStatusSql(now);
+    const list = inList(`(${status.sql})`, value);
+    return { sql: list.sql, params: [...status.params, ...list.params] };
+  },
+  // Grade with the expired cap applied
+  grade: (value, now) => {
+    const grade = liveGradeSql(now);
+    const list = inList(`(${grade.sql})`, value);
+    return { sql: list.sql, params: [...grade.params, ...list.params] };
+  },
+  spkiSha256: (value) => ({ sql: 'c.spki_sha256 = ?', params: [String(value).toLowerCase()] }),
+  fingerprint: (value) => ({ sql: 'c.fingerprint = ?', params: [normalizeFingerprint(value)] }),
+  weakKey: (value) => ({ sql: 'COALESCE(c.weak_key, 0) = ?', params: [value ? 1 : 0] }),
+  // At most this many days remaining, expired certificates included
+  expiresIn: (value, now) => ({
+    sql: 'c.valid_to < ?',
+    params: [expiry.expiresWithinBoundary(parseInt(value, 10), now)]
+  }),
+  expiresAfter: (value) => ({ sql: 'c.valid_to >= ?', params: [new Date(value).toISOString()] }),
+  expiresBefore: (value) => ({ sql: 'c.valid_to < ?', params: [new Date(value).toISOString()] }),
+  scannedAfter: (value) => ({ sql: 'c.last_scanned >= ?', params: [new Date(value).toISOString()] }),
+  scannedBefore: (value) => ({ sql: 'c.last_scanned < ?', params: [new Date(value).toISOString()] }),
+  // Substrings of the endpoint metadata
+  owner: (value) => ({ sql: "c.owner LIKE ? ESCAPE '\\'", params: [likePattern(value)] }),
+  team: (value) => ({ sql: "c.team LIKE ? ESCAPE '\\'", params: [likePattern(value)] }),
+  contactEmail: (value) => ({ sql: "c.contact_email LIKE ? ESCAPE '\\'", params: [likePattern(value)] }),
+  notes: (value) => ({ sql: "c.notes LIKE ? ESCAPE '\\'", params: [likePattern(value)] }),
+  // 'none' matches endpoints without an environment
+  environment: (value) => {
+    const values = Array.isArray(value) ? value : [value];
+    const known = values.filter(v => v !== 'none');
+    const conditions = known.length > 0 ? [inList('c.environment', known)] : [];
+    if (values.includes('none')) conditions.push({ sql: 'c.environment IS NULL', params: [] });
+    return {
+      sql: `(${conditions.map(condition => condition.sql).join(' OR ')})`,
+      params: conditions.flatMap(condition => condition.params)
+    };
+  },
+  // Muted endpoints (true) or endpoints that are not muted (false)
+  muted: (value) => ({ sql: value ? 'c.muted_at IS NOT NULL' : 'c.muted_at IS NULL', params: [] }),
+  // Endpoints snoozed until a later time (true) or not snoozed (false)
+  snoozed: (value, now) => ({
+    sql: value ? 'c.snoozed_until > ?' : '(c.snoozed_until IS NULL OR c.snoozed_until <= ?)',
+    params: [now.toISOString()]
+  }),
+  // Endpoints with any of the tags
+  tag: (value) => {
+    const list = inList('tag.value', (Array.isArray(value) ? value : [value]).map(tag => String(tag).toLowerCase()));
+    return {
+      sql: `EXISTS (SELECT 1 FROM json_each(c.tags) tag WHERE ${list.sql})`,
+      params: list.params
+    };
+  }
+};
+
+/**
+ * Fields queryCertificates can sort by, as SQL expressions
+ * Rows without a value sort last in both directions.
+ */
+const CERTIFICATE_SORTS = {
+  host: () => ({ sql: 'c.host', params: [] }),
+  port: () => ({ sql: 'c.port', params: [] }),
+  issuer: () => ({ sql: 'c.issuer', params: [] }),
+  common_name: () => ({ sql: 'c.common_name', params: [] }),
+  // Days remaining follow the expiry date
+  days_remaining: () => ({ sql: 'c.valid_to', params: [] }),
+  valid_to: () => ({ sql: 'c.valid_to', params: [] }),
+  valid_from: () => ({ sql: 'c.valid_from', params: [] }),
+  last_scanned: () => ({ sql: 'c.last_scanned', params: [] }),
+  key_size: () => ({ sql: 'c.key_size', params: [] }),
+  status: (now) => liveStatusSql(now),
+  // A before F; ungraded endpoints have no value
+  grade: (now) => {
+    const grade = liveGradeSql(now);
+    return { sql: `NULLIF(INSTR('ABCDEF', ${grade.sql}), 0)`, params: grade.params };
+  },
+  owner: () => ({ sql: 'c.owner', params: [] }),
+  team: () => ({ sql: 'c.team', params: [] }),
+  contact_email: () => ({ sql: 'c.contact_email', params: [] }),
+  environment: () => ({ sql: 'c.environment', params: [] }),
+  tags: () => ({ sql: 'c.tags', params: [] })
+};
+
+/**
+ * Query endpoint rows with filtering, sorting and paging done by SQLite
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Values keyed by CERTIFICATE_FILTERS name; empty values are ignored
+ * @param {Array} options.sort - [{ field, direction }] with fields from CERTIFICATE_SORTS, applied in order
+ * @param {number} options.limit - Page size, every matching row when not set
+ * @param {number} options.offset - Number of matching rows to skip
+ * @returns {Promise<Object>} - { rows, total } where total counts every matching row
+ */
+async function queryCertificates(options = {}) {
+  const { filters = {}, sort = [], limit = null, offset = 0 } = options;
+  const now = new Date();
+  
+  const conditions = [];
+  const params = [];
+  
+  for (const [name, value] of Object.entries(filters)) {
+    if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+    
+    if (!CERTIFICATE_FILTERS[name]) {
+      throw new Error(`Unknown certificate filter: ${name}`);
+    }
+    
+    const condition = CERTIFICATE_FILTERS[name](value, now);
+    conditions.push(condition.sql);
+    params.push(...condition.params);
+  }
+  
+  const orderBy = [];
+  const orderParams = [];
+  
+  for (const { field, direction } of sort) {
+    if (!CERTIFICATE_SORTS[field]) {
+      throw new Error(`Unknown certificate sort field: ${field}`);
+    }
+    
+    const expression = CERTIFICATE_SORTS[field](now);
+    orderBy.push(`(${expression.sql}) IS NULL`, `(${expression.sql}) ${direction === 'desc' ? 'DESC' : 'ASC'}`);
+    orderParams.push(...expression.params, ...expression.params);
+  }
+  // Stable order for paging
+  orderBy.push('c.id ASC');
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  try {
+    const { total } = await getQuery(`SELECT COUNT(*) AS total FROM certificates c ${where}`, params);
+    
+    const rows = await allQuery(`
+      SELECT c.* FROM certificates c
+      ${where}
+      ORDER BY ${orderBy.join(', ')}
+      LIMIT ? OFFSET ?
+    `, [...params, ...orderParams, limit || -1, offset || 0]);
+    
+    return { rows: rows.map(parseCertificateRow), total };
+  } catch (err) {
+    console.error('Error querying certificates:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Count endpoints by live status
+ * @param {Object} options - { includeMuted } to count muted endpoints too, left out by default
+ * @returns {Promise<Object>} - { total, valid, warning, expired, error, muted } where muted is the
+ *                              number of muted endpoints, whether or not they were counted
+ */
+async function countCertificatesByStatus(options = {}) {
+  const status = liveStatusSql(new Date());
+  const rows = await allQuery(`
+    SELECT ${status.sql} AS live_status, c.muted_at IS NOT NULL AS is_muted, COUNT(*) AS count
+    FROM certificates c
+    GROUP BY live_status, is_muted
+  `, status.params);
+  
+  const counts = { total: 0, valid: 0, warning: 0, expired: 0, error: 0, muted: 0 };
+  for (const row of rows) {
+    if (row.is_muted) {
+      counts.muted += row.count;
+      if (!options.includeMuted) continue;
+    }
+    
+    counts.total += row.count;
+    if (counts[row.live_status] !== undefined) {
+      counts[row.live_status] += row.count;
+    }
+  }
+  
+  return counts;
+}
+
 function getCertificateById(id) {
   return new Promise((resolve, reject) => {
     db.get('SELECT * FROM certificates WHERE id = ?', [id], (err, row) => {
@@ -145,16 +828,1160 @@ function getCertificateById(id) {
         reject(err);
         return;
       }
-      resolve(row);
+      resolve(parseCertificateRow(row));
     });
   });
 }
 
-function deleteCertificate(id) {
+/**
+ * Find every endpoint whose certificate uses a given public key
+ * @param {string} spkiSha256 - SHA-256 hash of the subject public key info
+ * @returns {Promise<Array>} - Matching certificate rows
+ */
+function getCertificatesBySpki(spkiSha256) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM certificates WHERE spki_sha256 = ? ORDER BY host, port', [spkiSha256], (err, rows) => {
+      if (err) {
+        console.error('Error fetching certificates by public key:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(rows.map(parseCertificateRow));
+    });
+  });
+}
+
+function getX509Certificate(fingerprint) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM x509_certificates WHERE fingerprint = ?', [fingerprint], (err, row) => {
+      if (err) {
+        console.error('Error fetching x509 certificate:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(row ? { ...row, is_root: Boolean(row.is_root), self_signed: Boolean(row.self_signed) } : row);
+    });
+  });
+}
+
+/**
+ * Set the metadata of an endpoint; scans never change these columns
+ * @param {number} id - Endpoint (certificate row) ID
+ * @param {Object} values - Column values from metadata.normalizeMetadata, only these columns are updated
+ * @returns {Promise<boolean>} - True if the endpoint exists
+ */
+async function updateCertificateMetadata(id, values) {
+  const names = Object.keys(values);
+  
+  try {
+    if (names.length === 0) {
+      return Boolean(await getQuery('SELECT id FROM certificates WHERE id = ?', [id]));
+    }
+    
+    const result = await runQuery(
+      `UPDATE certificates SET ${names.map(name => `${name} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(values), id]
+    );
+    
+    return result.changes > 0;
+  } catch (err) {
+    console.error('Error updating certificate metadata:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Find every endpoint that presents a certificate, as its leaf or in its chain
+ * @param {string} fingerprint - SHA-256 fingerprint in stored form (see normalizeFingerprint)
+ * @returns {Promise<Array>} - Endpoint rows with a role ('leaf' or 'chain') and the chain position
+ */
+async function getEndpointsByFingerprint(fingerprint) {
+  try {
+    const rows = await allQuery(`
+      SELECT c.*, 'leaf' AS role, 0 AS position
+      FROM certificates c
+      WHERE c.fingerprint = ?
+      UNION ALL
+      SELECT c.*, 'chain' AS role, cc.position AS position
+      FROM certificate_chains cc
+      JOIN certificates c ON c.host = cc.host AND c.port = cc.port
+      WHERE cc.fingerprint = ?
+      ORDER BY host, port
+    `, [fingerprint, fingerprint]);
+    
+    return rows.map(parseCertificateRow);
+  } catch (err) {
+    console.error('Error fetching endpoints by fingerprint:', err.message);
+    throw err;
+  }
+}
+
+async function deleteCertificate(id) {
+  try {
+    return await inTransaction(async tx => {
+      await tx.run(`
+        DELETE FROM certificate_chains
+        WHERE (host, port) IN (SELECT host, port FROM certificates WHERE id = ?)
+      `, [id]);
+      await tx.run('DELETE FROM certificate_observations WHERE certificate_id = ?', [id]);
+      await tx.run('DELETE FROM certificate_changes WHERE certificate_id = ?', [id]);
+      await tx.run('DELETE FROM alerts WHERE certificate_id = ?', [id]);
+      await tx.run('DELETE FROM endpoint_actions WHERE certificate_id = ?', [id]);
+      // Scan run history is kept, it just no longer links to the endpoint
+      await tx.run('UPDATE scan_run_results SET certificate_id = NULL WHERE certificate_id = ?', [id]);
+      const result = await tx.run('DELETE FROM certificates WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  } catch (err) {
+    console.error('Error deleting certificate:', err.message);
+    throw err;
+  }
+}
+
+// Certificate change operations
+function saveCertificateChange(change) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO certificate_changes
+      (certificate_id, host, port, change_type, details, detected_at,
+       previous_fingerprint, new_fingerprint, previous_subject, new_subject,
+       previous_issuer, new_issuer, previous_valid_to, new_valid_to)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    queuedRun(query, [
+      change.certificateId,
+      change.host,
+      change.port,
+      change.type,
+      JSON.stringify(change.details || []),
+      change.detectedAt,
+      change.previousFingerprint,
+      change.newFingerprint,
+      change.previousSubject,
+      change.newSubject,
+      change.previousIssuer,
+      change.newIssuer,
+      change.previousValidTo,
+      change.newValidTo
+    ], function(err) {
+      if (err) {
+        console.error('Error saving certificate change:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(this.lastID);
+    });
+  });
+}
+
+/**
+ * Get change events, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.type - Change type (renewed, replaced, downgraded, reverted)
+ * @param {number} filters.certificateId - Only changes of this endpoint
+ * @param {string} filters.host - Host substring
+ * @param {string} filters.since - Only changes detected at or after this ISO timestamp
+ * @param {number} filters.limit - Maximum number of events
+ * @returns {Promise<Array>} - Change events with details parsed
+ */
+function getCertificateChanges(filters = {}) {
+  return new Promise((resolve, reject) => {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.type) {
+      conditions.push('change_type = ?');
+      params.push(filters.type);
+    }
+    if (filters.certificateId) {
+      conditions.push('certificate_id = ?');
+      params.push(filters.certificateId);
+    }
+    if (filters.host) {
+      conditions.push("host LIKE ? ESCAPE '\\'");
+      params.push(likePattern(filters.host));
+    }
+    if (filters.since) {
+      conditions.push('detected_at >= ?');
+      params.push(filters.since);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(filters.limit || -1);
+    
+    db.all(`SELECT * FROM certificate_changes ${where} ORDER BY detected_at DESC, id DESC LIMIT ?`, params, (err, rows) => {
+      if (err) {
+        console.error('Error fetching certificate changes:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : [] })));
+    });
+  });
+}
+
+// Scan run operations
+function createScanRun(run) {
+  return new Promise((resolve, reject) => {
+    const query = `
+      INSERT INTO scan_runs (trigger, scheduled_scan_id, targets, ports, protocol, status, started_at, note)
+      VALUES (?, ?, ?, ?, ?, 'running', ?, ?)
+    `;
+    
+    queuedRun(query, [
+      run.trigger,
+      run.scheduledScanId || null,
+      JSON.stringify(run.targets),
+      JSON.stringify(run.ports),
+      run.protocol || 'auto',
+      run.startedAt,
+      run.note || null
+    ], function(err) {
+      if (err) {
+        console.error('Error creating scan run:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(this.lastID);
+    });
+  });
+}
+
+/**
+ * Mark a scan run as finished and store its summary
+ * @param {number} id - Scan run ID
+ * @param {Object} outcome - { status, finishedAt, durationMs, summary: { total, valid, warning, expired, error }, error }
+ * @returns {Promise<void>}
+ */
+async function finishScanRun(id, outcome) {
+  const summary = outcome.summary || {};
+  
+  try {
+    await runQuery(`
+      UPDATE scan_runs
+      SET status = ?, finished_at = ?, duration_ms = ?, total_count = ?, valid_count = ?,
+          warning_count = ?, expired_count = ?, error_count = ?, error = ?
+      WHERE id = ?
+    `, [
+      outcome.status,
+      outcome.finishedAt,
+      outcome.durationMs,
+      summary.total || 0,
+      summary.valid || 0,
+      summary.warning || 0,
+      summary.expired || 0,
+      summary.error || 0,
+      outcome.error || null,
+      id
+    ]);
+  } catch (err) {
+    console.error('Error finishing scan run:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Store the per-target results of a scan run
+ * @param {number} runId - Scan run ID
+ * @param {Array} results - Scan results, each with the certificateId it was saved under (if any)
+ * @returns {Promise<void>}
+ */
+async function saveScanRunResults(runId, results) {
+  try {
+    for (const result of results) {
+      await runQuery(`
+        INSERT INTO scan_run_results
+        (run_id, host, port, protocol, status, certificate_id, fingerprint, subject, valid_to, days_remaining, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        runId,
+        result.host,
+        result.port,
+        result.protocol || null,
+        result.status,
+        result.certificateId || null,
+        result.fingerprint || null,
+        result.subject || null,
+        result.validTo || null,
+        typeof result.daysRemaining === 'number' ? result.daysRemaining : null,
+        result.error || null
+      ]);
+    }
+  } catch (err) {
+    console.error('Error saving scan run results:', err.message);
+    throw err;
+  }
+}
+
+// Parse JSON columns of a scan run row
+function parseScanRunRow(row) {
+  if (!row) return row;
+  
+  return {
+    ...row,
+    targets: JSON.parse(row.targets),
+    ports: JSON.parse(row.ports)
+  };
+}
+
+/**
+ * Get scan runs, newest first
+ * @param {Object} options - { trigger, scheduledScanId, limit, offset }
+ * @returns {Promise<Array>} - Scan runs
+ */
+function getScanRuns(options = {}) {
+  return new Promise((resolve, reject) => {
+    const conditions = [];
+    const params = [];
+    
+    if (options.trigger) {
+      conditions.push('trigger = ?');
+      params.push(options.trigger);
+    }
+    if (options.scheduledScanId) {
+      conditions.push('scheduled_scan_id = ?');
+      params.push(options.scheduledScanId);
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(options.limit || -1, options.offset || 0);
+    
+    db.all(`SELECT * FROM scan_runs ${where} ORDER BY started_at DESC, id DESC LIMIT ? OFFSET ?`, params, (err, rows) => {
+      if (err) {
+        console.error('Error fetching scan runs:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(rows.map(parseScanRunRow));
+    });
+  });
+}
+
+function getScanRunById(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM scan_runs WHERE id = ?', [id], (err, row) => {
+      if (err) {
+        console.error('Error fetching scan run:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(parseScanRunRow(row));
+    });
+  });
+}
+
+function getScanRunResults(runId) {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM scan_run_results WHERE run_id = ? ORDER BY id ASC', [runId], (err, rows) => {
+      if (err) {
+        console.error('Error fetching scan run results:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+// Alert operations
+
+// Parse the JSON and boolean columns of an alert rule row, and the IDs of its notification channels
+function parseAlertRuleRow(row) {
+  if (!row) return row;
+  
+  return {
+    ...row,
+    thresholds: row.thresholds ? JSON.parse(row.thresholds) : [],
+    enabled: Boolean(row.enabled),
+    channel_ids: row.channel_ids ? row.channel_ids.split(',').map(Number) : []
+  };
+}
+
+// Alert rule columns with the comma-separated IDs of the rule's notification channels
+const ALERT_RULE_COLUMNS = `
+  r.*, (SELECT GROUP_CONCAT(rc.channel_id) FROM alert_rule_channels rc WHERE rc.rule_id = r.id) AS channel_ids
+`;
+
+/**
+ * Get alert rules
+ * @param {Object} options - { enabledOnly }
+ * @returns {Promise<Array>} - Rules ordered by ID
+ */
+async function getAlertRules(options = {}) {
+  try {
+    const where = options.enabledOnly ? 'WHERE r.enabled = 1' : '';
+    const rows = await allQuery(`SELECT ${ALERT_RULE_COLUMNS} FROM alert_rules r ${where} ORDER BY r.id ASC`);
+    return rows.map(parseAlertRuleRow);
+  } catch (err) {
+    console.error('Error fetching alert rules:', err.message);
+    throw err;
+  }
+}
+
+async function getAlertRuleById(id) {
+  try {
+    return parseAlertRuleRow(await getQuery(`SELECT ${ALERT_RULE_COLUMNS} FROM alert_rules r WHERE r.id = ?`, [id]));
+  } catch (err) {
+    console.error('Error fetching alert rule:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Create an alert rule, or update it when it has an ID
+ * @param {Object} rule - { id, name, condition, thresholds, tag, environment, issuer, enabled, channelIds }
+ *                        channelIds replaces the rule's notification channels; left out, they stay as they are
+ * @returns {Promise<number>} - Rule ID
+ */
+async function saveAlertRule(rule) {
+  const values = [
+    rule.name,
+    rule.condition,
+    rule.thresholds && rule.thresholds.length > 0 ? JSON.stringify(rule.thresholds) : null,
+    rule.tag || null,
+    rule.environment || null,
+    rule.issuer || null,
+    rule.enabled ? 1 : 0
+  ];
+  
+  try {
+    let id = rule.id;
+    
+    if (id) {
+      await runQuery(`
+        UPDATE alert_rules
+        SET name = ?, condition = ?, thresholds = ?, tag = ?, environment = ?, issuer = ?, enabled = ?
+        WHERE id = ?
+      `, [...values, id]);
+    } else {
+      const result = await runQuery(`
+        INSERT INTO alert_rules (name, condition, thresholds, tag, environment, issuer, enabled, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [...values, new Date().toISOString()]);
+      id = result.lastID;
+    }
+    
+    if (rule.channelIds) {
+      await runQuery('DELETE FROM alert_rule_channels WHERE rule_id = ?', [id]);
+      for (const channelId of rule.channelIds) {
+        await runQuery('INSERT OR IGNORE INTO alert_rule_channels (rule_id, channel_id) VALUES (?, ?)', [id, channelId]);
+      }
+    }
+    
+    return id;
+  } catch (err) {
+    console.error('Error saving alert rule:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Delete an alert rule and the alerts it raised
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} - True if the rule existed
+ */
+async function deleteAlertRule(id) {
+  try {
+    await runQuery('DELETE FROM alerts WHERE rule_id = ?', [id]);
+    await runQuery('DELETE FROM alert_rule_channels WHERE rule_id = ?', [id]);
+    const result = await runQuery('DELETE FROM alert_rules WHERE id = ?', [id]);
+    return result.changes > 0;
+  } catch (err) {
+    console.error('Error deleting alert rule:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Raise an alert unless the same one is already open
+ * @param {Object} alert - { ruleId, certificateId, host, port, condition, threshold, fingerprint, key, message, triggeredAt }
+ * @returns {Promise<number|null>} - ID of the new alert, or null if it was already open
+ */
+async function createAlert(alert) {
+  try {
+    const result = await runQuery(`
+      INSERT OR IGNORE INTO alerts
+      (rule_id, certificate_id, host, port, condition, threshold, fingerprint, alert_key, message, triggered_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      alert.ruleId,
+      alert.certificateId,
+      alert.host,
+      alert.port,
+      alert.condition,
+      alert.threshold === undefined ? null : alert.threshold,
+      alert.fingerprint || null,
+      alert.key,
+      alert.message,
+      alert.triggeredAt
+    ]);
+    
+    return result.changes > 0 ? result.lastID : null;
+  } catch (err) {
+    console.error('Error saving alert:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Mark open alerts as resolved
+ * @param {Array<number>} ids - Alert IDs
+ * @param {string} resolvedAt - ISO 8601 timestamp
+ * @returns {Promise<void>}
+ */
+async function resolveAlerts(ids, resolvedAt) {
+  if (ids.length === 0) return;
+  
+  try {
+    await runQuery(
+      `UPDATE alerts SET resolved_at = ? WHERE resolved_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`,
+      [resolvedAt, ...ids]
+    );
+  } catch (err) {
+    console.error('Error resolving alerts:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Get alerts, newest first
+ * @param {Object} filters - { state ('open', 'resolved' or 'all', default 'open'), ruleId, certificateId, acknowledged, limit }
+ * @returns {Promise<Array>} - Alerts with the name of their rule and the mute and snooze of their endpoint
+ */
+async function getAlerts(filters = {}) {
+  const conditions = [];
+  const params = [];
+  
+  if (filters.state === 'resolved') {
+    conditions.push('a.resolved_at IS NOT NULL');
+  } else if (filters.state !== 'all') {
+    conditions.push('a.resolved_at IS NULL');
+  }
+  if (filters.ruleId) {
+    conditions.push('a.rule_id = ?');
+    params.push(filters.ruleId);
+  }
+  if (filters.certificateId) {
+    conditions.push('a.certificate_id = ?');
+    params.push(filters.certificateId);
+  }
+  if (filters.acknowledged !== undefined && filters.acknowledged !== null) {
+    conditions.push(filters.acknowledged ? 'a.acknowledged_at IS NOT NULL' : 'a.acknowledged_at IS NULL');
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  try {
+    return await allQuery(`
+      SELECT a.*, r.name AS rule_name, c.muted_at, c.snoozed_until
+      FROM alerts a
+      LEFT JOIN alert_rules r ON r.id = a.rule_id
+      LEFT JOIN certificates c ON c.id = a.certificate_id
+      ${where}
+      ORDER BY a.triggered_at DESC, a.id DESC
+      LIMIT ?
+    `, [...params, filters.limit || -1]);
+  } catch (err) {
+    console.error('Error fetching alerts:', err.message);
+    throw err;
+  }
+}
+
+// Acknowledgement, snooze and mute operations
+
+// Record who acknowledged, snoozed, muted or lifted an endpoint
+function recordEndpointAction(action) {
+  return runQuery(`
+    INSERT INTO endpoint_actions (certificate_id, alert_id, action, actor, reason, snoozed_until, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `, [
+    action.certificateId,
+    action.alertId || null,
+    action.action,
+    action.actor,
+    action.reason || null,
+    action.snoozedUntil || null,
+    action.createdAt
+  ]);
+}
+
+/**
+ * Acknowledge open alerts, either one alert or every open alert of an endpoint
+ * Alerts already acknowledged keep their first acknowledgement.
+ * @param {Object} target - { alertId } or { certificateId }
+ * @param {string} actor - Who acknowledged them
+ * @returns {Promise<Array>} - The alerts acknowledged
+ */
+async function acknowledgeAlerts(target, actor) {
+  const now = new Date().toISOString();
+  const column = target.alertId ? 'id' : 'certificate_id';
+  const value = target.alertId || target.certificateId;
+  
+  try {
+    const pending = await allQuery(
+      `SELECT id, certificate_id FROM alerts WHERE ${column} = ? AND resolved_at IS NULL AND acknowledged_at IS NULL`,
+      [value]
+    );
+    
+    for (const alert of pending) {
+      await runQuery('UPDATE alerts SET acknowledged_at = ?, acknowledged_by = ? WHERE id = ?', [now, actor, alert.id]);
+      await recordEndpointAction({ certificateId: alert.certificate_id, alertId: alert.id, action: 'acknowledge', actor, createdAt: now });
+    }
+    
+    return pending;
+  } catch (err) {
+    console.error('Error acknowledging alerts:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Snooze an endpoint, or lift its snooze
+ * @param {number} id - Endpoint (certificate row) ID
+ * @param {string|null} until - ISO 8601 end of the snooze, null to lift it
+ * @param {string} actor - Who snoozed it
+ * @returns {Promise<boolean>} - True if the endpoint exists
+ */
+async function snoozeCertificate(id, until, actor) {
+  const now = new Date().toISOString();
+  
+  try {
+    const result = await runQuery(
+      'UPDATE certificates SET snoozed_until = ?, snoozed_by = ?, snoozed_at = ? WHERE id = ?',
+      until ? [until, actor, now, id] : [null, null, null, id]
+    );
+    if (result.changes === 0) return false;
+    
+    await recordEndpointAction({ certificateId: id, action: until ? 'snooze' : 'unsnooze', actor, snoozedUntil: until, createdAt: now });
+    return true;
+  } catch (err) {
+    console.error('Error snoozing certificate:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Mute an endpoint, or unmute it
+ * @param {number} id - Endpoint (certificate row) ID
+ * @param {string|null} reason - Why it is muted, null to unmute
+ * @param {string} actor - Who muted it
+ * @returns {Promise<boolean>} - True if the endpoint exists
+ */
+async function muteCertificate(id, reason, actor) {
+  const now = new Date().toISOString();
+  
+  try {
+    const result = await runQuery(
+      'UPDATE certificates SET muted_at = ?, muted_by = ?, mute_reason = ? WHERE id = ?',
+      reason ? [now, actor, reason, id] : [null, null, null, id]
+    );
+    if (result.changes === 0) return false;
+    
+    await recordEndpointAction({ certificateId: id, action: reason ? 'mute' : 'unmute', actor, reason, createdAt: now });
+    return true;
+  } catch (err) {
+    console.error('Error muting certificate:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Get the acknowledge, snooze and mute history of an endpoint, newest first
+ * @param {number} certificateId - Endpoint (certificate row) ID
+ * @param {number} limit - Maximum number of actions, all when not set
+ * @returns {Promise<Array>} - Actions with the message of the alert acknowledged
+ */
+async function getEndpointActions(certificateId, limit) {
+  try {
+    return await allQuery(`
+      SELECT e.*, a.message AS alert_message
+      FROM endpoint_actions e
+      LEFT JOIN alerts a ON a.id = e.alert_id
+      WHERE e.certificate_id = ?
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ?
+    `, [certificateId, limit || -1]);
+  } catch (err) {
+    console.error('Error fetching endpoint actions:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Count the open alerts of every endpoint that has any
+ * @returns {Promise<Map>} - { open, unacknowledged } by certificate ID
+ */
+async function countOpenAlertsByCertificate() {
+  try {
+    const rows = await allQuery(`
+      SELECT certificate_id, COUNT(*) AS open, SUM(acknowledged_at IS NULL) AS unacknowledged
+      FROM alerts
+      WHERE resolved_at IS NULL
+      GROUP BY certificate_id
+    `);
+    
+    return new Map(rows.map(row => [row.certificate_id, { open: row.open, unacknowledged: row.unacknowledged }]));
+  } catch (err) {
+    console.error('Error counting open alerts:', err.message);
+    throw err;
+  }
+}
+
+// Notification channel operations
+
+// Parse the boolean columns of a notification channel row
+function parseChannelRow(row) {
+  if (!row) return row;
+  
+  return {
+    ...row,
+    send_changes: Boolean(row.send_changes),
+    enabled: Boolean(row.enabled)
+  };
+}
+
+/**
+ * Get notification channels
+ * @param {Object} options - { enabledOnly }
+ * @returns {Promise<Array>} - Channels ordered by name
+ */
+async function getNotificationChannels(options = {}) {
+  try {
+    const where = options.enabledOnly ? 'WHERE enabled = 1' : '';
+    const rows = await allQuery(`SELECT * FROM notification_channels ${where} ORDER BY name ASC, id ASC`);
+    return rows.map(parseChannelRow);
+  } catch (err) {
+    console.error('Error fetching notification channels:', err.message);
+    throw err;
+  }
+}
+
+async function getNotificationChannelById(id) {
+  try {
+    return parseChannelRow(await getQuery('SELECT * FROM notification_channels WHERE id = ?', [id]));
+  } catch (err) {
+    console.error('Error fetching notification channel:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Create a notification channel, or update it when it has an ID
+ * @param {Object} channel - { id, name, type, url, secret, sendChanges, enabled }
+ * @returns {Promise<number>} - Channel ID
+ */
+async function saveNotificationChannel(channel) {
+  const values = [
+    channel.name,
+    channel.type,
+    channel.url,
+    channel.secret || null,
+    channel.sendChanges ? 1 : 0,
+    channel.enabled ? 1 : 0
+  ];
+  
+  try {
+    if (channel.id) {
+      await runQuery(`
+        UPDATE notification_channels
+        SET name = ?, type = ?, url = ?, secret = ?, send_changes = ?, enabled = ?
+        WHERE id = ?
+      `, [...values, channel.id]);
+      return channel.id;
+    }
+    
+    const result = await runQuery(`
+      INSERT INTO notification_channels (name, type, url, secret, send_changes, enabled, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [...values, new Date().toISOString()]);
+    return result.lastID;
+  } catch (err) {
+    console.error('Error saving notification channel:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Delete a notification channel, its rule assignments and its delivery log
+ * @param {number} id - Channel ID
+ * @returns {Promise<boolean>} - True if the channel existed
+ */
+async function deleteNotificationChannel(id) {
+  try {
+    return await inTransaction(async tx => {
+      await tx.run('DELETE FROM alert_rule_channels WHERE channel_id = ?', [id]);
+      await tx.run('DELETE FROM notification_deliveries WHERE channel_id = ?', [id]);
+      const result = await tx.run('DELETE FROM notification_channels WHERE id = ?', [id]);
+      return result.changes > 0;
+    });
+  } catch (err) {
+    console.error('Error deleting notification channel:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Record a message to deliver
+ * @param {Object} delivery - { channelId, eventType, summary, payload }
+ * @returns {Promise<number>} - Delivery ID
+ */
+async function createDelivery(delivery) {
+  try {
+    const result = await runQuery(`
+      INSERT INTO notification_deliveries (channel_id, event_type, summary, payload, status, attempts, created_at)
+      VALUES (?, ?, ?, ?, 'pending', 0, ?)
+    `, [delivery.channelId, delivery.eventType, delivery.summary, delivery.payload, new Date().toISOString()]);
+    return result.lastID;
+  } catch (err) {
+    console.error('Error saving notification delivery:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Record the outcome of a delivery attempt
+ * @param {number} id - Delivery ID
+ * @param {Object} outcome - { status ('pending', 'delivered' or 'failed'), attempts, responseStatus, error }
+ * @returns {Promise<void>}
+ */
+async function updateDelivery(id, outcome) {
+  try {
+    await runQuery(`
+      UPDATE notification_deliveries
+      SET status = ?, attempts = ?, response_status = ?, error = ?, updated_at = ?
+      WHERE id = ?
+    `, [outcome.status, outcome.attempts, outcome.responseStatus || null, outcome.error || null, new Date().toISOString(), id]);
+  } catch (err) {
+    console.error('Error updating notification delivery:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Get the delivery log, newest first
+ * @param {Object} filters - { channelId, status, limit }
+ * @returns {Promise<Array>} - Deliveries with the name and type of their channel
+ */
+async function getDeliveries(filters = {}) {
+  const conditions = [];
+  const params = [];
+  
+  if (filters.channelId) {
+    conditions.push('d.channel_id = ?');
+    params.push(filters.channelId);
+  }
+  if (filters.status) {
+    conditions.push('d.status = ?');
+    params.push(filters.status);
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  try {
+    return await allQuery(`
+      SELECT d.*, c.name AS channel_name, c.type AS channel_type
+      FROM notification_deliveries d
+      LEFT JOIN notification_channels c ON c.id = d.channel_id
+      ${where}
+      ORDER BY d.created_at DESC, d.id DESC
+      LIMIT ?
+    `, [...params, filters.limit || -1]);
+  } catch (err) {
+    console.error('Error fetching notification deliveries:', err.message);
+    throw err;
+  }
+}
+
+// Digest operations
+
+// Parse the JSON and boolean columns of a digest row
+function parseDigestRow(row) {
+  if (!row) return row;
+  
+  return {
+    ...row,
+    recipients: row.recipients ? JSON.parse(row.recipients) : [],
+    channel_ids: row.channel_ids ? JSON.parse(row.channel_ids) : [],
+    enabled: Boolean(row.enabled)
+  };
+}
+
+/**
+ * Get the digest schedules
+ * @param {Object} options - { enabledOnly }
+ * @returns {Promise<Array>} - Digests by name
+ */
+async function getDigests(options = {}) {
+  try {
+    const rows = await allQuery(
+      `SELECT * FROM digests ${options.enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY name, id`
+    );
+    return rows.map(parseDigestRow);
+  } catch (err) {
+    console.error('Error fetching digests:', err.message);
+    throw err;
+  }
+}
+
+async function getDigestById(id) {
+  try {
+    return parseDigestRow(await getQuery('SELECT * FROM digests WHERE id = ?', [id]));
+  } catch (err) {
+    console.error('Error fetching digest:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Create or update a digest schedule; the run times are kept
+ * @param {Object} digest - { id, name, frequency, recipients, channelIds, enabled }
+ * @returns {Promise<number>} - Digest ID
+ */
+async function saveDigest(digest) {
+  const values = [
+    digest.name,
+    digest.frequency,
+    JSON.stringify(digest.recipients || []),
+    JSON.stringify(digest.channelIds || []),
+    digest.enabled ? 1 : 0
+  ];
+  
+  try {
+    if (digest.id) {
+      await runQuery(
+        'UPDATE digests SET name = ?, frequency = ?, recipients = ?, channel_ids = ?, enabled = ? WHERE id = ?',
+        [...values, digest.id]
+      );
+      return digest.id;
+    }
+    
+    const result = await runQuery(
+      'INSERT INTO digests (name, frequency, recipients, channel_ids, enabled, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+      [...values, new Date().toISOString()]
+    );
+    return result.lastID;
+  } catch (err) {
+    console.error('Error saving digest:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Delete a digest schedule; its archived reports are kept
+ * @param {number} id - Digest ID
+ * @returns {Promise<boolean>} - True if the digest existed
+ */
+async function deleteDigest(id) {
+  try {
+    const result = await runQuery('DELETE FROM digests WHERE id = ?', [id]);
+    return result.changes > 0;
+  } catch (err) {
+    console.error('Error deleting digest:', err.message);
+    throw err;
+  }
+}
+
+async function updateDigestRunTimes(id, lastRun, nextRun) {
+  try {
+    await runQuery('UPDATE digests SET last_run = ?, next_run = ? WHERE id = ?', [lastRun, nextRun, id]);
+  } catch (err) {
+    console.error('Error updating digest run times:', err.message);
+    throw err;
+  }
+}
+
+// Parse the JSON columns of a digest report row
+function parseDigestReportRow(row) {
+  if (!row) return row;
+  
+  return {
+    ...row,
+    counts: row.counts ? JSON.parse(row.counts) : {},
+    delivery: row.delivery ? JSON.parse(row.delivery) : {}
+  };
+}
+
+/**
+ * Archive a rendered digest
+ * @param {Object} report - { digestId, digestName, periodStart, periodEnd, counts, html }
+ * @returns {Promise<number>} - Report ID
+ */
+async function createDigestReport(report) {
+  try {
+    const result = await runQuery(`
+      INSERT INTO digest_reports (digest_id, digest_name, period_start, period_end, counts, html, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      report.digestId || null,
+      report.digestName,
+      report.periodStart,
+      report.periodEnd,
+      JSON.stringify(report.counts || {}),
+      report.html,
+      new Date().toISOString()
+    ]);
+    return result.lastID;
+  } catch (err) {
+    console.error('Error saving digest report:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Record where a digest report was sent
+ * @param {number} id - Report ID
+ * @param {Object} delivery - { emailed, emailError, channels }
+ * @returns {Promise<void>}
+ */
+async function updateDigestReportDelivery(id, delivery) {
+  try {
+    await runQuery('UPDATE digest_reports SET delivery = ? WHERE id = ?', [JSON.stringify(delivery), id]);
+  } catch (err) {
+    console.error('Error updating digest report:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Get archived digest reports, newest first, without their HTML
+ * @param {Object} filters - { digestId, limit }
+ * @returns {Promise<Array>} - Reports
+ */
+async function getDigestReports(filters = {}) {
+  const where = filters.digestId ? 'WHERE digest_id = ?' : '';
+  const params = filters.digestId ? [filters.digestId] : [];
+  
+  try {
+    const rows = await allQuery(`
+      SELECT id, digest_id, digest_name, period_start, period_end, counts, delivery, created_at
+      FROM digest_reports
+      ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `, [...params, filters.limit || -1]);
+    return rows.map(parseDigestReportRow);
+  } catch (err) {
+    console.error('Error fetching digest reports:', err.message);
+    throw err;
+  }
+}
+
+async function getDigestReportById(id) {
+  try {
+    return parseDigestReportRow(await getQuery('SELECT * FROM digest_reports WHERE id = ?', [id]));
+  } catch (err) {
+    console.error('Error fetching digest report:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Get the endpoints first scanned during a period
+ * @param {string} since - ISO 8601 start of the period
+ * @param {string} until - ISO 8601 end of the period
+ * @returns {Promise<Array>} - Endpoint rows with first_observed_at, muted endpoints left out
+ */
+async function getNewEndpoints(since, until) {
+  try {
+    const rows = await allQuery(`
+      SELECT c.*, o.first_observed_at
+      FROM certificates c
+      JOIN (
+        SELECT certificate_id, MIN(observed_at) AS first_observed_at
+        FROM certificate_observations
+        GROUP BY certificate_id
+      ) o ON o.certificate_id = c.id
+      WHERE o.first_observed_at >= ? AND o.first_observed_at < ? AND c.muted_at IS NULL
+      ORDER BY o.first_observed_at, c.host, c.port
+    `, [since, until]);
+    return rows.map(parseCertificateRow);
+  } catch (err) {
+    console.error('Error fetching new endpoints:', err.message);
+    throw err;
+  }
+}
+
+/**
+ * Get the endpoints that were reachable before and failed every scan since a time in the period
+ * @param {string} since - ISO 8601 start of the period
+ * @param {string} until - ISO 8601 end of the period
+ * @returns {Promise<Array>} - Endpoint rows with unreachable_since and the last_error, muted endpoints left out
+ */
+async function getNewlyUnreachableEndpoints(since, until) {
+  try {
+    const rows = await allQuery(`
+      SELECT * FROM (
+        SELECT c.*, (
+          SELECT MIN(o.observed_at) FROM certificate_observations o
+          WHERE o.certificate_id = c.id AND o.status = 'error' AND o.observed_at > (
+            SELECT MAX(p.observed_at) FROM certificate_observations p
+            WHERE p.certificate_id = c.id AND p.status != 'error'
+          )
+        ) AS unreachable_since, (
+          SELECT o.error FROM certificate_observations o
+          WHERE o.certificate_id = c.id
+          ORDER BY o.observed_at DESC, o.id DESC
+          LIMIT 1
+        ) AS last_error
+        FROM certificates c
+        WHERE c.status = 'error' AND c.muted_at IS NULL
+      )
+      WHERE unreachable_since >= ? AND unreachable_since < ?
+      ORDER BY unreachable_since, host, port
+    `, [since, until]);
+    return rows.map(parseCertificateRow);
+  } catch (err) {
+    console.error('Error fetching unreachable endpoints:', err.message);
+    throw err;
+  }
+}
+
+// Trusted CA operations
+function getAllTrustedCAs() {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT * FROM trusted_cas ORDER BY name ASC', [], (err, rows) => {
+      if (err) {
+        console.error('Error fetching trusted CAs:', err.message);
+        reject(err);
+        return;
+      }
+      resolve(rows);
+    });
+  });
+}
+
+/**
+ * Add CA certificates to the trust store, all of them or none
+ * @param {Array<Object>} cas - [{ name, subject, fingerprint, validTo, pem }]
+ * @returns {Promise<Array<number>>} - IDs of the new rows
+ */
+async function saveTrustedCAs(cas) {
+  const addedAt = new Date().toISOString();
+  
+  try {
+    return await inTransaction(async tx => {
+      const ids = [];
+      for (const ca of cas) {
+        const result = await tx.run(`
+          INSERT INTO trusted_cas (name, subject, fingerprint, valid_to, pem, added_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [ca.name, ca.subject, ca.fingerprint, ca.validTo, ca.pem, addedAt]);
+        ids.push(result.lastID);
+      }
+      return ids;
+    });
+  } catch (err) {
+    console.error('Error saving trusted CAs:', err.message);
+    throw err;
+  }
+}
+
+function deleteTrustedCA(id) {
   return new Promise((resolve, reject) => {
-    db.run('DELETE FROM certificates WHERE id = ?', [id], function(err) {
+    queuedRun('DELETE FROM trusted_cas WHERE id = ?', [id], function(err) {
       if (err) {
-        console.error('Error deleting certificate:', err.message);
+        console.error('Error deleting trusted CA:', err.message);
         reject(err);
         return;
       }
@@ -168,11 +1995,11 @@ function saveScheduledScan(scanData) {
   return new Promise((resolve, reject) => {
     const query = `
       INSERT OR REPLACE INTO scheduled_scans 
-      (id, name, hosts, ports, frequency, last_run, next_run, active)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      (id, name, hosts, ports, frequency, last_run, next_run, active, protocol, timezone, overlap_policy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    db.run(query, [
+    queuedRun(query, [
       scanData.id || null,
       scanData.name,
       JSON.stringify(scanData.hosts),
@@ -180,7 +2007,10 @@ function saveScheduledScan(scanData) {
       scanData.frequency,
       scanData.lastRun || null,
       scanData.nextRun || null,
-      scanData.active ? 1 : 0
+      scanData.active ? 1 : 0,
+      scanData.protocol || 'auto',
+      scanData.timezone || null,
+      scanData.overlapPolicy || 'skip'
     ], function(err) {
       if (err) {
         console.error('Error saving scheduled scan:', err.message);
@@ -237,7 +2067,7 @@ function getScheduledScanById(id) {
 
 function deleteScheduledScan(id) {
   return new Promise((resolve, reject) => {
-    db.run('DELETE FROM scheduled_scans WHERE id = ?', [id], function(err) {
+    queuedRun('DELETE FROM scheduled_scans WHERE id = ?', [id], function(err) {
       if (err) {
         console.error('Error deleting scheduled scan:', err.message);
         reject(err);
@@ -250,7 +2080,7 @@ function deleteScheduledScan(id) {
 
 function updateScheduledScanTimes(id, lastRun, nextRun) {
   return new Promise((resolve, reject) => {
-    db.run('UPDATE scheduled_scans SET last_run = ?, next_run = ? WHERE id = ?', [lastRun, nextRun, id], function(err) {
+    queuedRun('UPDATE scheduled_scans SET last_run = ?, next_run = ? WHERE id = ?', [lastRun, nextRun, id], function(err) {
       if (err) {
         console.error('Error updating scheduled scan times:', err.message);
         reject(err);
@@ -267,7 +2097,61 @@ module.exports = {
   saveCertificate,
   getAllCertificates,
   getCertificateById,
+  CERTIFICATE_FILTERS,
+  CERTIFICATE_SORTS,
+  queryCertificates,
+  countCertificatesByStatus,
+  getCertificatesBySpki,
+  updateCertificateMetadata,
+  normalizeFingerprint,
+  getX509Certificate,
+  getEndpointsByFingerprint,
+  getCertificateChain,
+  getCertificateByEndpoint,
+  getObservedFingerprints,
+  getCertificateObservations,
   deleteCertificate,
+  saveCertificateChange,
+  getCertificateChanges,
+  createScanRun,
+  finishScanRun,
+  saveScanRunResults,
+  getScanRuns,
+  getScanRunById,
+  getScanRunResults,
+  getAlertRules,
+  getAlertRuleById,
+  saveAlertRule,
+  deleteAlertRule,
+  createAlert,
+  resolveAlerts,
+  getAlerts,
+  acknowledgeAlerts,
+  snoozeCertificate,
+  muteCertificate,
+  getEndpointActions,
+  countOpenAlertsByCertificate,
+  getNotificationChannels,
+  getNotificationChannelById,
+  saveNotificationChannel,
+  deleteNotificationChannel,
+  createDelivery,
+  updateDelivery,
+  getDeliveries,
+  getDigests,
+  getDigestById,
+  saveDigest,
+  deleteDigest,
+  updateDigestRunTimes,
+  createDigestReport,
+  updateDigestReportDelivery,
+  getDigestReports,
+  getDigestReportById,
+  getNewEndpoints,
+  getNewlyUnreachableEndpoints,
+  getAllTrustedCAs,
+  saveTrustedCAs,
+  deleteTrustedCA,
   saveScheduledScan,
   getAllScheduledScans,
   getScheduledScanById,
@@ -0,0 +1,276 @@
+const moment = require('moment');
+const db = require('./database');
+const email = require('./email');
+const webhooks = require('./webhooks');
+
+/**
+ * Digest reports
+ *
+ * A digest summarizes a period (the last day, week or month, following its frequency):
+ *
+ *   expiring      Certificates expiring within 30, 60 and 90 days
+ *   new           Endpoints scanned for the first time
+ *   renewed       Certificates renewed (see modules/changes.js)
+ *   unreachable   Endpoints that were reachable before and have failed every scan since
+ *   violations    Endpoints failing a grading check (see modules/grading.js)
+ *
+ * Muted endpoints are left out. Each digest is rendered as HTML, archived, emailed to
+ * its recipients and posted to its notification channels. The schedules are run by
+ * modules/scheduler.js.
+ */
+
+const DIGEST_FREQUENCIES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly'
+};
+
+// Expiry windows in days, each listing the certificates not in a shorter one
+const EXPIRY_WINDOWS = [30, 60, 90];
+
+// Names of the grading checks in the policy violations section
+const CHECK_NAMES = {
+  brokenKey: 'Broken key',
+  weakKey: 'Weak key',
+  md5Signature: 'MD5 or MD2 signature',
+  sha1Signature: 'SHA-1 signature',
+  expired: 'Expired certificate',
+  untrusted: 'Untrusted chain',
+  hostnameMismatch: 'Hostname mismatch',
+  noModernProtocol: 'No TLS 1.2 or 1.3',
+  deprecatedProtocol: 'TLS 1.0 or 1.1 accepted',
+  weakCipher: 'Weak cipher suites',
+  noForwardSecrecy: 'No forward secrecy'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Validate digest input
+ * @param {Object} input - { name, frequency, recipients, channelIds, enabled }
+ * @returns {Object} - { digest, errors }
+ */
+function normalizeDigest(input) {
+  const errors = [];
+  const recipients = (Array.isArray(input.recipients) ? input.recipients : String(input.recipients || '').split(/[,;\s]+/))
+    .map(recipient => String(recipient).trim())
+    .filter(recipient => recipient.length > 0);
+  const channelIds = [].concat(input.channelIds || []).map(id => parseInt(id, 10));
+
+  const digest = {
+    name: String(input.name || '').trim(),
+    frequency: input.frequency || 'weekly',
+    recipients: [...new Set(recipients.map(recipient => recipient.toLowerCase()))],
+    channelIds: [...new Set(channelIds)],
+    enabled: input.enabled === undefined ? true : input.enabled === true || input.enabled === 'true' || input.enabled === 'on'
+  };
+
+  if (!digest.name) {
+    errors.push('Please provide a name for the digest');
+  }
+
+  if (!DIGEST_FREQUENCIES[digest.frequency]) {
+    errors.push(`Invalid frequency. Supported frequencies: ${Object.keys(DIGEST_FREQUENCIES).join(', ')}`);
+  }
+
+  const invalid = digest.recipients.find(recipient => !EMAIL_PATTERN.test(recipient));
+  if (invalid) {
+    errors.push(`Invalid recipient email: ${invalid}`);
+  }
+
+  if (channelIds.some(id => isNaN(id))) {
+    errors.push('Invalid channelIds, expected notification channel IDs');
+  }
+
+  return { digest, errors };
+}
+
+/**
+ * Period a digest covers: the day, week or month up to its run
+ * @param {string} frequency - One of DIGEST_FREQUENCIES
+ * @param {Date} end - End of the period
+ * @returns {Object} - { start, end } as ISO 8601 timestamps
+ */
+function digestPeriod(frequency, end = new Date()) {
+  const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[frequency] || 'week';
+
+  return {
+    start: moment(end).subtract(1, unit).toISOString(),
+    end: end.toISOString()
+  };
+}
+
+// Fields of an endpoint shown in the digest
+function endpointRow(cert) {
+  return {
+    id: cert.id,
+    endpoint: `${cert.host}:${cert.port}`,
+    commonName: cert.common_name || '',
+    issuer: cert.issuer || '',
+    expires: cert.valid_to ? String(cert.valid_to).slice(0, 10) : '',
+    daysRemaining: cert.days_remaining,
+    owner: [cert.owner, cert.team].filter(Boolean).join(' / '),
+    environment: cert.environment || ''
+  };
+}
+
+/**
+ * Collect the content of a digest
+ * @param {string} start - ISO 8601 start of the period
+ * @param {string} end - ISO 8601 end of the period
+ * @returns {Promise<Object>} - { periodStart, periodEnd, expiring, newEndpoints, renewed, unreachable, violations, counts }
+ */
+async function buildDigest(start, end) {
+  const { rows: expiringRows } = await db.queryCertificates({
+    filters: { expiresIn: Math.max(...EXPIRY_WINDOWS), status: ['valid', 'warning'], muted: false },
+    sort: [{ field: 'days_remaining', direction: 'asc' }, { field: 'host', direction: 'asc' }]
+  });
+
+  const expiring = EXPIRY_WINDOWS.map((days, index) => ({
+    days,
+    from: index === 0 ? 0 : EXPIRY_WINDOWS[index - 1] + 1,
+    rows: expiringRows
+      .filter(cert => cert.days_remaining <= days && (index === 0 || cert.days_remaining > EXPIRY_WINDOWS[index - 1]))
+      .map(endpointRow)
+  }));
+
+  const newEndpoints = (await db.getNewEndpoints(start, end)).map(cert => ({
+    ...endpointRow(cert),
+    firstSeen: moment(cert.first_observed_at).format('YYYY-MM-DD HH:mm')
+  }));
+
+  const { rows: muted } = await db.queryCertificates({ filters: { muted: true } });
+  const mutedIds = new Set(muted.map(cert => cert.id));
+  const renewed = (await db.getCertificateChanges({ type: 'renewed', since: start }))
+    .filter(change => change.detected_at < end && !mutedIds.has(change.certificate_id))
+    .map(change => ({
+      id: change.certificate_id,
+      endpoint: `${change.host}:${change.port}`,
+      renewedAt: moment(change.detected_at).format('YYYY-MM-DD HH:mm'),
+      previousExpiry: change.previous_valid_to ? String(change.previous_valid_to).slice(0, 10) : '',
+      newExpiry: change.new_valid_to ? String(change.new_valid_to).slice(0, 10) : ''
+    }));
+
+  const unreachable = (await db.getNewlyUnreachableEndpoints(start, end)).map(cert => ({
+    ...endpointRow(cert),
+    since: moment(cert.unreachable_since).format('YYYY-MM-DD HH:mm'),
+    error: cert.last_error || ''
+  }));
+
+  // Endpoints by failed grading check
+  const { rows: graded } = await db.queryCertificates({
+    filters: { muted: false },
+    sort: [{ field: 'grade', direction: 'desc' }, { field: 'host', direction: 'asc' }]
+  });
+  const byCheck = new Map();
+  for (const cert of graded) {
+    for (const reason of cert.grade_reasons) {
+      if (!byCheck.has(reason.check)) byCheck.set(reason.check, []);
+      byCheck.get(reason.check).push({ ...endpointRow(cert), grade: cert.grade, message: reason.message });
+    }
+  }
+  const violations = [...byCheck.entries()]
+    .map(([check, rows]) => ({ check, name: CHECK_NAMES[check] || check, rows }))
+    .sort((a, b) => b.rows.length - a.rows.length);
+
+  return {
+    periodStart: start,
+    periodEnd: end,
+    expiring,
+    newEndpoints,
+    renewed,
+    unreachable,
+    violations,
+    counts: {
+      ...Object.fromEntries(expiring.map(window => [`expiring${window.days}`, window.rows.length])),
+      newEndpoints: newEndpoints.length,
+      renewed: renewed.length,
+      unreachable: unreachable.length,
+      violatingEndpoints: new Set(violations.flatMap(violation => violation.rows.map(row => row.id))).size
+    }
+  };
+}
+
+/**
+ * One line per section, for chat messages and the archive list
+ * @param {Object} counts - Counts of buildDigest
+ * @returns {Array<string>}
+ */
+function summaryLines(counts) {
+  return [
+    ...EXPIRY_WINDOWS.map((days, index) => `${counts[`expiring${days}`] || 0} certificate(s) expiring in ${index === 0 ? 0 : EXPIRY_WINDOWS[index - 1] + 1}-${days} days`),
+    `${counts.newEndpoints} new endpoint(s)`,
+    `${counts.renewed} certificate(s) renewed`,
+    `${counts.unreachable} endpoint(s) became unreachable`,
+    `${counts.violatingEndpoints} endpoint(s) with policy violations`
+  ];
+}
+
+/**
+ * Build, archive and send a digest
+ * Email is sent when SMTP is configured and the digest has recipients; channel messages
+ * are sent in the background, see the delivery log.
+ * @param {Object} digest - Digest row
+ * @param {Date} end - End of the period, now by default
+ * @returns {Promise<Object>} - { reportId, counts, delivery }
+ */
+async function runDigest(digest, end = new Date()) {
+  const period = digestPeriod(digest.frequency, end);
+  const data = await buildDigest(period.start, period.end);
+  const title = `${digest.name}: ${moment(period.start).format('YYYY-MM-DD')} to ${moment(period.end).format('YYYY-MM-DD')}`;
+  const { html, text } = await email.renderEmail('digest', {
+    ...data,
+    title,
+    summary: summaryLines(data.counts),
+    periodStart: moment(period.start).format('YYYY-MM-DD HH:mm'),
+    periodEnd: moment(period.end).format('YYYY-MM-DD HH:mm')
+  });
+
+  const reportId = await db.createDigestReport({
+    digestId: digest.id,
+    digestName: digest.name,
+    periodStart: period.start,
+    periodEnd: period.end,
+    counts: data.counts,
+    html
+  });
+
+  const delivery = { emailed: [], emailError: null, channels: [] };
+
+  if (digest.recipients.length > 0) {
+    try {
+      await email.sendEmail({ to: digest.recipients.join(', '), subject: `[CertifyEye] ${title}`, html, text });
+      delivery.emailed = digest.recipients;
+    } catch (err) {
+      console.error(`Error emailing digest "${digest.name}":`, err.message);
+      delivery.emailError = err.message;
+    }
+  }
+
+  const channels = (await db.getNotificationChannels({ enabledOnly: true }))
+    .filter(channel => digest.channel_ids.includes(channel.id));
+  const event = {
+    type: 'digest',
+    digest: { reportId, name: digest.name, title, periodStart: period.start, periodEnd: period.end, counts: data.counts, lines: summaryLines(data.counts), html }
+  };
+  for (const channel of channels) {
+    webhooks.deliver(channel, event)
+      .catch(err => console.error(`Error sending digest to channel "${channel.name}":`, err.message));
+    delivery.channels.push(channel.name);
+  }
+
+  await db.updateDigestReportDelivery(reportId, delivery);
+  console.log(`Digest "${digest.name}" archived as report ${reportId}: ${summaryLines(data.counts).join(', ')}`);
+
+  return { reportId, counts: data.counts, delivery };
+}
+
+module.exports = {
+  DIGEST_FREQUENCIES,
+  EXPIRY_WINDOWS,
+  normalizeDigest,
+  digestPeriod,
+  buildDigest,
+  summaryLines,
+  runDigest
+};
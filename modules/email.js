@@ -0,0 +1,178 @@
+const path = require('path');
+const ejs = require('ejs');
+const nodemailer = require('nodemailer');
+const config = require('./config');
+
+/**
+ * Email notification channel
+ * Sends alerts over SMTP (see config.smtp). Each message goes to the default recipients
+ * and, unless turned off, to the contact email of the affected endpoints, so every
+ * recipient only sees the endpoints they are meant to.
+ */
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'views', 'emails');
+
+let transporter = null;
+
+/**
+ * Tell whether an SMTP server is configured
+ * @returns {boolean}
+ */
+function isConfigured() {
+  return Boolean(config.smtp.host);
+}
+
+// Create the SMTP transport on first use
+function getTransporter() {
+  if (!transporter) {
+    const { host, port, security, allowInvalidCertificate, user, password } = config.smtp;
+
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: security === 'tls',
+      requireTLS: security === 'starttls',
+      ignoreTLS: security === 'none',
+      auth: user ? { user, pass: password } : undefined,
+      tls: { rejectUnauthorized: !allowInvalidCertificate }
+    });
+  }
+
+  return transporter;
+}
+
+/**
+ * Render the HTML and plain-text versions of an email
+ * @param {string} template - Template name in views/emails; <name>.html.ejs and <name>.text.ejs are rendered
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} - { html, text }
+ */
+async function renderEmail(template, data) {
+  const [html, text] = await Promise.all([
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.html.ejs`), data),
+    ejs.renderFile(path.join(TEMPLATE_DIR, `${template}.text.ejs`), data)
+  ]);
+
+  return { html, text };
+}
+
+/**
+ * Send one email
+ * @param {Object} message - { to, subject, html, text }
+ * @returns {Promise<Object>} - nodemailer result with the messageId
+ */
+async function sendEmail(message) {
+  if (!isConfigured()) {
+    throw new Error('SMTP is not configured, set CERTIFYEYE_SMTP_HOST');
+  }
+
+  return getTransporter().sendMail({ from: config.smtp.from, ...message });
+}
+
+/**
+ * Work out who receives which alerts
+ * @param {Array} alerts - Raised alerts, each with its endpoint row as alert.certificate
+ * @returns {Map<string, Array>} - Alerts by recipient address
+ */
+function routeAlerts(alerts) {
+  const byRecipient = new Map();
+  const add = (recipient, alert) => {
+    const key = recipient.toLowerCase();
+    if (!byRecipient.has(key)) byRecipient.set(key, []);
+    byRecipient.get(key).push(alert);
+  };
+
+  for (const alert of alerts) {
+    const recipients = new Set(config.smtp.to.map(to => to.toLowerCase()));
+    const contact = alert.certificate && alert.certificate.contact_email;
+
+    if (config.smtp.notifyContacts && contact) {
+      recipients.add(contact.toLowerCase());
+    }
+
+    recipients.forEach(recipient => add(recipient, alert));
+  }
+
+  return byRecipient;
+}
+
+// Row of the alert table in the email templates
+function alertRow(alert) {
+  const cert = alert.certificate || {};
+
+  return {
+    endpoint: `${alert.host}:${alert.port}`,
+    commonName: cert.common_name || '',
+    issuer: cert.issuer || '',
+    expires: cert.valid_to ? String(cert.valid_to).slice(0, 10) : '',
+    daysRemaining: cert.days_remaining,
+    rule: alert.ruleName || '',
+    message: alert.message
+  };
+}
+
+/**
+ * Email newly raised alerts, one message per recipient
+ * A failed message is logged and does not stop the others.
+ * @param {Array} alerts - Raised alerts, each with its endpoint row as alert.certificate
+ * @returns {Promise<Object>} - { sent, failed } recipient counts
+ */
+async function sendAlertEmails(alerts) {
+  const outcome = { sent: 0, failed: 0 };
+  if (!isConfigured() || alerts.length === 0) return outcome;
+
+  for (const [recipient, recipientAlerts] of routeAlerts(alerts)) {
+    try {
+      const rows = recipientAlerts.map(alertRow);
+      const { html, text } = await renderEmail('alerts', { alerts: rows });
+      const subject = rows.length === 1
+        ? `[CertifyEye] ${rows[0].message}`
+        : `[CertifyEye] ${rows.length} certificate alerts`;
+
+      await sendEmail({ to: recipient, subject, html, text });
+      outcome.sent++;
+    } catch (err) {
+      console.error(`Error emailing alerts to ${recipient}:`, err.message);
+      outcome.failed++;
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Send a test email with a sample alert, to check the SMTP settings
+ * @param {string} to - Recipient; the default recipients when empty
+ * @returns {Promise<Object>} - nodemailer result with the messageId
+ */
+async function sendTestEmail(to) {
+  const recipients = to ? [to] : config.smtp.to;
+
+  if (recipients.length === 0) {
+    throw new Error('No recipient given and CERTIFYEYE_SMTP_TO is not set');
+  }
+
+  const { html, text } = await renderEmail('alerts', {
+    test: true,
+    alerts: [{
+      endpoint: 'www.example.com:443',
+      commonName: 'www.example.com',
+      issuer: 'CN=Example CA',
+      expires: new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      daysRemaining: 14,
+      rule: 'Certificate expiring',
+      message: 'www.example.com:443 certificate expires in 14 day(s)'
+    }]
+  });
+
+  return sendEmail({ to: recipients.join(', '), subject: '[CertifyEye] Test email', html, text });
+}
+
+module.exports = {
+  isConfigured,
+  renderEmail,
+  sendEmail,
+  routeAlerts,
+  sendAlertEmails,
+  sendTestEmail
+};
@@ -0,0 +1,94 @@
+const config = require('./config');
+
+/**
+ * Certificate expiry
+ *
+ * Days remaining and expiry status are derived from the expiry date whenever they
+ * are needed, never read back from a stored snapshot:
+ *
+ *   expired  The expiry date has passed
+ *   warning  Fewer than config.expiry.warningDays days remain
+ *   valid    Anything else
+ *
+ * Endpoints whose last scan failed keep the status 'error' (see withLiveExpiry).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days left until a certificate expires, negative once it has expired
+ * @param {string|Date} validTo - Expiry date
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {number|null} - Days remaining, or null if the date cannot be parsed
+ */
+function daysRemaining(validTo, now = new Date()) {
+  if (!validTo) return null;
+
+  const expiry = new Date(validTo);
+  if (isNaN(expiry)) return null;
+
+  return Math.floor((expiry - now) / DAY_MS);
+}
+
+/**
+ * Expiry status of a certificate
+ * @param {string|Date} validTo - Expiry date
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {string|null} - 'expired', 'warning' or 'valid', or null if the date cannot be parsed
+ */
+function expiryStatus(validTo, now = new Date()) {
+  const days = daysRemaining(validTo, now);
+  if (days === null) return null;
+
+  if (days < 0) return 'expired';
+  if (days < config.expiry.warningDays) return 'warning';
+  return 'valid';
+}
+
+/**
+ * Expiry dates that separate the statuses at a given time, for comparing stored ISO dates
+ * A certificate is expired when valid_to < expiredBefore and in warning when valid_to < warningBefore.
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {Object} - { expiredBefore, warningBefore } as ISO 8601 strings
+ */
+function statusBoundaries(now = new Date()) {
+  return {
+    expiredBefore: now.toISOString(),
+    warningBefore: new Date(now.getTime() + config.expiry.warningDays * DAY_MS).toISOString()
+  };
+}
+
+/**
+ * Latest expiry date of a certificate with at most a given number of days remaining
+ * @param {number} days - Days remaining
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {string} - ISO 8601 date; matching certificates have valid_to before it
+ */
+function expiresWithinBoundary(days, now = new Date()) {
+  return new Date(now.getTime() + (days + 1) * DAY_MS).toISOString();
+}
+
+/**
+ * Replace the stored days_remaining and status of an endpoint row with live values
+ * @param {Object} row - Endpoint row with valid_to and status
+ * @param {Date} now - Reference time, defaults to now
+ * @returns {Object} - The row with computed days_remaining and status
+ */
+function withLiveExpiry(row, now = new Date()) {
+  const days = daysRemaining(row.valid_to, now);
+
+  return {
+    ...row,
+    days_remaining: days,
+    // A failed last scan is reported as such; the certificate it still holds may be outdated
+    status: row.status === 'error' ? 'error' : (expiryStatus(row.valid_to, now) || row.status)
+  };
+}
+
+module.exports = {
+  daysRemaining,
+  expiryStatus,
+  statusBoundaries,
+  expiresWithinBoundary,
+  withLiveExpiry
+};
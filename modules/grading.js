@@ -0,0 +1,144 @@
+const config = require('./config');
+
+/**
+ * Endpoint grading
+ *
+ * Every endpoint starts at A. Each issue found caps the grade at a configured
+ * maximum, and the endpoint gets the lowest cap of all its issues:
+ *
+ *   brokenKey           RSA key below 1024 bits or EC key below 160 bits
+ *   weakKey             Weak key as flagged by keyinfo: RSA key below minRsaKeySize, EC key below
+ *                       minEcKeySize, unusual RSA exponent, uncommon EC curve or DSA key
+ *   md5Signature        Certificate signed with MD2 or MD5
+ *   sha1Signature       Certificate signed with SHA-1
+ *   expired             Certificate is past its expiry date
+ *   untrusted           Chain does not validate against the trust store
+ *   hostnameMismatch    Certificate does not cover the scanned host
+ *   noModernProtocol    Neither TLS 1.2 nor TLS 1.3 is accepted
+ *   deprecatedProtocol  TLS 1.0 or TLS 1.1 is accepted
+ *   weakCipher          A weak cipher suite is accepted (see tlsprobe.classifyCipher)
+ *   noForwardSecrecy    No accepted cipher suite offers forward secrecy
+ *
+ * Caps and key size thresholds live in config.grading and can be changed with
+ * a JSON file named by CERTIFYEYE_GRADING_FILE. Protocol checks are skipped for
+ * endpoints whose TLS configuration was not probed, cipher checks for endpoints
+ * whose cipher suites were not enumerated.
+ */
+
+// Grades from best to worst
+const GRADES = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+/**
+ * Collect the issues of a scanned endpoint
+ * @param {Object} certData - Scan result from the scanner
+ * @returns {Array<Object>} - Issues as { check, message }
+ */
+function findIssues(certData) {
+  const issues = [];
+  const keySize = certData.keySize;
+  const isRsa = certData.keyAlgorithm === 'RSA' || certData.keyAlgorithm === 'RSA-PSS';
+
+  if (keySize && ((isRsa && keySize < 1024) || (certData.keyAlgorithm === 'EC' && keySize < 160))) {
+    issues.push({ check: 'brokenKey', message: `${certData.keyAlgorithm} key of ${keySize} bits` });
+  } else if (certData.weakKey) {
+    issues.push({ check: 'weakKey', message: certData.weakKeyReason });
+  }
+
+  const signature = certData.signatureAlgorithm || '';
+  if (/^MD[25]/i.test(signature)) {
+    issues.push({ check: 'md5Signature', message: `Signed with ${signature}` });
+  } else if (/^SHA1/i.test(signature)) {
+    issues.push({ check: 'sha1Signature', message: `Signed with ${signature}` });
+  }
+
+  if (typeof certData.daysRemaining === 'number' && certData.daysRemaining < 0) {
+    issues.push({ check: 'expired', message: 'Certificate has expired' });
+  }
+
+  if (certData.trustStatus === 'untrusted') {
+    issues.push({ check: 'untrusted', message: `Chain is not trusted (${certData.trustError || 'unknown error'})` });
+  }
+
+  if (certData.hostnameStatus === 'mismatch') {
+    issues.push({ check: 'hostnameMismatch', message: `Certificate does not cover ${certData.host}` });
+  }
+
+  const protocols = certData.tlsProtocols;
+  const ciphers = certData.tlsCiphers || [];
+
+  if (Array.isArray(protocols)) {
+    if (!protocols.includes('TLSv1.2') && !protocols.includes('TLSv1.3')) {
+      issues.push({ check: 'noModernProtocol', message: 'Neither TLS 1.2 nor TLS 1.3 is accepted' });
+    }
+
+    const deprecated = protocols.filter(version => version === 'TLSv1' || version === 'TLSv1.1');
+    if (deprecated.length > 0) {
+      issues.push({ check: 'deprecatedProtocol', message: `Deprecated protocol accepted: ${deprecated.join(', ')}` });
+    }
+
+    const weak = ciphers.filter(cipher => cipher.weak);
+    if (weak.length > 0) {
+      issues.push({ check: 'weakCipher', message: `${weak.length} weak cipher suite(s) accepted` });
+    }
+
+    if (ciphers.length > 0 && !ciphers.some(cipher => cipher.forwardSecrecy)) {
+      issues.push({ check: 'noForwardSecrecy', message: 'No cipher suite with forward secrecy' });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Grade a scanned endpoint
+ * @param {Object} certData - Scan result from the scanner
+ * @param {Object} settings - Grading configuration, defaults to config.grading
+ * @returns {Object} - { grade, reasons } where reasons lists each issue with the grade it caps at
+ */
+function gradeCertificate(certData, settings = config.grading) {
+  const reasons = findIssues(certData).map(issue => ({ ...issue, grade: capFor(issue.check, settings) }));
+  return { grade: worstGrade(reasons), reasons };
+}
+
+/**
+ * Grade an issue caps at
+ * @param {string} check - Issue name, a key of settings.caps
+ * @param {Object} settings - Grading configuration, defaults to config.grading
+ * @returns {string} - The configured cap, F when it is missing or not a grade
+ */
+function capFor(check, settings = config.grading) {
+  return GRADES.includes(settings.caps[check]) ? settings.caps[check] : 'F';
+}
+
+// Lowest grade capped by any of the reasons, A without reasons
+function worstGrade(reasons) {
+  return reasons.reduce(
+    (worst, reason) => (GRADES.indexOf(reason.grade) > GRADES.indexOf(worst) ? reason.grade : worst),
+    'A'
+  );
+}
+
+/**
+ * Add the expired issue to a stored grade
+ * The grade is computed at scan time, so a certificate that expired since its last
+ * scan is only capped when it is read.
+ * @param {string} grade - Stored grade
+ * @param {Array<Object>} reasons - Stored reasons as { check, message, grade }
+ * @param {Object} settings - Grading configuration, defaults to config.grading
+ * @returns {Object} - { grade, reasons } with the expired issue included
+ */
+function withExpiredCap(grade, reasons, settings = config.grading) {
+  if (reasons.some(reason => reason.check === 'expired')) {
+    return { grade, reasons };
+  }
+
+  const capped = [...reasons, { check: 'expired', message: 'Certificate has expired', grade: capFor('expired', settings) }];
+  return { grade: worstGrade([...capped, { grade }]), reasons: capped };
+}
+
+module.exports = {
+  GRADES,
+  gradeCertificate,
+  capFor,
+  withExpiredCap
+};
@@ -0,0 +1,97 @@
+const iprange = require('./iprange');
+
+// SAN entry types as printed by OpenSSL, mapped to the short names we store
+const SAN_TYPES = {
+  'DNS': 'DNS',
+  'IP Address': 'IP',
+  'email': 'email',
+  'URI': 'URI'
+};
+
+/**
+ * Parse the subjectaltname string of a Node.js peer certificate
+ * e.g. 'DNS:example.com, DNS:*.example.com, IP Address:10.0.0.1, email:ops@example.com'
+ * Values containing separators are JSON-quoted by newer Node.js versions.
+ * @param {string} subjectAltName - subjectaltname as returned by getPeerCertificate()
+ * @returns {Array<Object>} - Entries as { type, value } with type DNS, IP, email or URI
+ */
+function parseSubjectAltName(subjectAltName) {
+  if (!subjectAltName) return [];
+
+  const entries = [];
+  const pattern = /(DNS|IP Address|email|URI):("(?:[^"\\]|\\.)*"|[^,]*)/g;
+  let match;
+
+  while ((match = pattern.exec(subjectAltName)) !== null) {
+    let value = match[2].trim();
+    if (value.startsWith('"')) {
+      try {
+        value = JSON.parse(value);
+      } catch (e) {
+        value = value.slice(1, -1);
+      }
+    }
+    entries.push({ type: SAN_TYPES[match[1]], value });
+  }
+
+  return entries;
+}
+
+/**
+ * Check a DNS name against a certificate name, applying wildcard rules (RFC 6125):
+ * a wildcard must be the complete left-most label, matches exactly one label,
+ * and needs at least two labels after it (so "*.com" matches nothing)
+ * @param {string} host - Hostname that was scanned
+ * @param {string} pattern - DNS name from the certificate, possibly a wildcard
+ * @returns {boolean} - True if the name covers the host
+ */
+function matchesDnsName(host, pattern) {
+  const hostLabels = host.toLowerCase().replace(/\.$/, '').split('.');
+  const patternLabels = pattern.toLowerCase().replace(/\.$/, '').split('.');
+
+  if (hostLabels.length !== patternLabels.length) {
+    return false;
+  }
+
+  return patternLabels.every((label, index) => {
+    if (index === 0 && label === '*') {
+      return patternLabels.length >= 3 && hostLabels[0].length > 0;
+    }
+    return label === hostLabels[index];
+  });
+}
+
+/**
+ * Check whether a certificate is valid for the scanned host
+ * IP addresses are only matched against IP entries. DNS names are matched against DNS
+ * entries; the common name is used only when the certificate has no DNS entries at all.
+ * @param {string} host - Hostname or IP address that was scanned
+ * @param {Array<Object>} subjectAltNames - Entries from parseSubjectAltName
+ * @param {string} commonName - Subject common name
+ * @returns {boolean} - True if the certificate matches the host
+ */
+function matchesHostname(host, subjectAltNames = [], commonName = '') {
+  const ip = iprange.parseIp(host);
+
+  if (ip) {
+    return subjectAltNames
+      .filter(entry => entry.type === 'IP')
+      .some(entry => {
+        const sanIp = iprange.parseIp(entry.value);
+        return sanIp && sanIp.version === ip.version && sanIp.value === ip.value;
+      });
+  }
+
+  const dnsNames = subjectAltNames.filter(entry => entry.type === 'DNS').map(entry => entry.value);
+  if (dnsNames.length === 0 && commonName) {
+    dnsNames.push(commonName);
+  }
+
+  return dnsNames.some(name => matchesDnsName(host, name));
+}
+
+module.exports = {
+  parseSubjectAltName,
+  matchesDnsName,
+  matchesHostname
+};
@@ -0,0 +1,218 @@
+const net = require('net');
+
+/**
+ * Parse an IPv4 or IPv6 address into a numeric value
+ * @param {string} address - IP address string
+ * @returns {Object|null} - { version, value } with value as a BigInt, or null if not an IP
+ */
+function parseIp(address) {
+  if (net.isIPv4(address)) {
+    const value = address.split('.')
+      .reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+    return { version: 4, value };
+  }
+
+  if (net.isIPv6(address)) {
+    let text = address;
+
+    // Convert an embedded IPv4 tail (e.g. ::ffff:10.0.0.1) into two hex groups
+    const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Tail) {
+      const v4 = parseIp(ipv4Tail[1]).value;
+      text = text.slice(0, -ipv4Tail[1].length) +
+        `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = 8 - headGroups.length - tailGroups.length;
+    const groups = text.includes('::')
+      ? [...headGroups, ...Array(missing).fill('0'), ...tailGroups]
+      : headGroups;
+
+    const value = groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group, 16)), 0n);
+    return { version: 6, value };
+  }
+
+  return null;
+}
+
+/**
+ * Format a numeric IP value back into its string representation
+ * @param {number} version - 4 or 6
+ * @param {BigInt} value - Numeric address
+ * @returns {string} - Dotted IPv4 or compressed IPv6 address
+ */
+function formatIp(version, value) {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of zero groups (at least two) into "::"
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] !== '0') continue;
+    let j = i;
+    while (j < groups.length && groups[j] === '0') j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  if (bestLength < 2) {
+    return groups.join(':');
+  }
+
+  const head = groups.slice(0, bestStart).join(':');
+  const tail = groups.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Check whether a host entry is a CIDR block or a dash range rather than a single host
+ * Hostnames that merely contain a dash (e.g. web-01.example.com) are not ranges.
+ * @param {string} spec - Host entry as typed by the user
+ * @returns {boolean} - True if the entry describes an IP range
+ */
+function isRange(spec) {
+  const text = String(spec).trim();
+
+  if (text.includes('/')) {
+    return true;
+  }
+
+  const dashIndex = text.indexOf('-');
+  return dashIndex > 0 && parseIp(text.slice(0, dashIndex).trim()) !== null;
+}
+
+/**
+ * Parse a CIDR block or dash range into its first and last address
+ * Supported forms: 10.0.0.0/24, 10.0.0.1-10.0.0.50, 10.0.0.1-50, 2001:db8::/120,
+ * 2001:db8::1-2001:db8::ff
+ * @param {string} spec - Range specification
+ * @returns {Object|null} - { version, start, end, cidr } or null if not a range
+ */
+function parseRange(spec) {
+  const text = String(spec).trim();
+
+  if (text.includes('/')) {
+    const [address, prefixText] = text.split('/');
+    const ip = parseIp(address.trim());
+    const prefix = parseInt(prefixText, 10);
+    const bits = ip && ip.version === 4 ? 32 : 128;
+
+    if (!ip || !/^\d+$/.test(prefixText.trim()) || prefix < 0 || prefix > bits) {
+      return null;
+    }
+
+    const hostBits = BigInt(bits - prefix);
+    const start = (ip.value >> hostBits) << hostBits;
+    const end = start + (1n << hostBits) - 1n;
+    return { version: ip.version, start, end, cidr: true };
+  }
+
+  const dashIndex = text.indexOf('-');
+  if (dashIndex === -1) {
+    return null;
+  }
+
+  const startIp = parseIp(text.slice(0, dashIndex).trim());
+  const endText = text.slice(dashIndex + 1).trim();
+  if (!startIp) {
+    return null;
+  }
+
+  let endIp = parseIp(endText);
+
+  // Short form: 10.0.0.1-50 replaces the last octet
+  if (!endIp && startIp.version === 4 && /^\d{1,3}$/.test(endText) && parseInt(endText, 10) <= 255) {
+    endIp = { version: 4, value: (startIp.value & ~0xffn) + BigInt(parseInt(endText, 10)) };
+  }
+
+  if (!endIp || endIp.version !== startIp.version) {
+    return null;
+  }
+
+  return { version: startIp.version, start: startIp.value, end: endIp.value, cidr: false };
+}
+
+/**
+ * Expand a CIDR block or dash range into individual IP addresses
+ * For IPv4 CIDR blocks larger than /31 the network and broadcast addresses are left out.
+ * @param {string} spec - Range specification
+ * @param {number} maxSize - Maximum number of addresses the range may expand to
+ * @returns {Array<string>} - Array of IP addresses
+ */
+function expandRange(spec, maxSize) {
+  const range = parseRange(spec);
+
+  if (!range) {
+    throw new Error(`Invalid IP range: ${spec}`);
+  }
+
+  let { start, end } = range;
+
+  if (end < start) {
+    throw new Error(`Invalid IP range: ${spec} (end address is before start address)`);
+  }
+
+  if (range.cidr && range.version === 4 && end - start > 1n) {
+    start += 1n;
+    end -= 1n;
+  }
+
+  const size = end - start + 1n;
+  if (size > BigInt(maxSize)) {
+    throw new Error(`IP range ${spec} contains ${size} addresses, which exceeds the maximum of ${maxSize}`);
+  }
+
+  const addresses = [];
+  for (let value = start; value <= end; value++) {
+    addresses.push(formatIp(range.version, value));
+  }
+
+  return addresses;
+}
+
+/**
+ * Expand a list of host entries, replacing ranges with their individual addresses
+ * Duplicates are dropped while preserving the original order.
+ * @param {Array<string>} hosts - Hostnames, IP addresses, CIDR blocks or dash ranges
+ * @param {number} maxSize - Maximum number of addresses a single range may expand to
+ * @returns {Array<string>} - Array of individual hosts
+ */
+function expandHosts(hosts, maxSize) {
+  const seen = new Set();
+  const expanded = [];
+
+  for (const host of hosts) {
+    const entries = isRange(host) ? expandRange(host, maxSize) : [String(host).trim()];
+
+    for (const entry of entries) {
+      if (entry && !seen.has(entry)) {
+        seen.add(entry);
+        expanded.push(entry);
+      }
+    }
+  }
+
+  return expanded;
+}
+
+module.exports = {
+  parseIp,
+  formatIp,
+  isRange,
+  parseRange,
+  expandRange,
+  expandHosts
+};
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+// Size in bits of the named curves OpenSSL reports for EC keys
+const CURVE_SIZES = {
+  prime192v1: 192,
+  secp224r1: 224,
+  prime256v1: 256,
+  secp256k1: 256,
+  secp384r1: 384,
+  secp521r1: 521,
+  brainpoolP256r1: 256,
+  brainpoolP384r1: 384,
+  brainpoolP512r1: 512
+};
+
+// Curves supported by common TLS clients; anything else is flagged as unusual
+const RECOMMENDED_CURVES = ['prime256v1', 'secp384r1', 'secp521r1'];
+
+// Key sizes of the EdDSA algorithms, which have no curve or modulus details
+const EDDSA_SIZES = {
+  ed25519: 256,
+  ed448: 456
+};
+
+/**
+ * Check a public key for known weaknesses
+ * @param {Object} key - Key information from describePublicKey
+ * @returns {string|null} - Reason the key is weak, or null if it is fine
+ */
+function findWeakness(key) {
+  const { minRsaKeySize, minEcKeySize } = config.grading;
+
+  switch (key.keyAlgorithm) {
+    case 'RSA':
+    case 'RSA-PSS':
+      if (key.keySize < minRsaKeySize) {
+        return `RSA key of ${key.keySize} bits is below ${minRsaKeySize} bits`;
+      }
+      if (key.keyExponent !== null && (BigInt(key.keyExponent) < 65537n || BigInt(key.keyExponent) % 2n === 0n)) {
+        return `Unusual RSA public exponent ${key.keyExponent}`;
+      }
+      return null;
+    case 'EC':
+      if (key.keySize !== null && key.keySize < minEcKeySize) {
+        return `EC key of ${key.keySize} bits is below ${minEcKeySize} bits`;
+      }
+      if (!RECOMMENDED_CURVES.includes(key.keyCurve)) {
+        return `Uncommon EC curve ${key.keyCurve || 'unknown'}`;
+      }
+      return null;
+    case 'DSA':
+      return 'DSA keys are deprecated for TLS';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe the public key of a certificate
+ * @param {Buffer|string} raw - DER or PEM encoded certificate
+ * @returns {Object} - keyAlgorithm, keySize, keyExponent, keyCurve, spkiSha256, weakKey and weakKeyReason;
+ *                     every field is null when the certificate cannot be parsed
+ */
+function describePublicKey(raw) {
+  let publicKey;
+  try {
+    publicKey = new crypto.X509Certificate(raw).publicKey;
+  } catch (err) {
+    console.error(`Could not read public key: ${err.message}`);
+    return {
+      keyAlgorithm: null,
+      keySize: null,
+      keyExponent: null,
+      keyCurve: null,
+      spkiSha256: null,
+      weakKey: false,
+      weakKeyReason: null
+    };
+  }
+
+  const type = publicKey.asymmetricKeyType;
+  const details = publicKey.asymmetricKeyDetails || {};
+
+  const key = {
+    keyAlgorithm: type ? type.toUpperCase() : 'Unknown',
+    keySize: details.modulusLength || CURVE_SIZES[details.namedCurve] || EDDSA_SIZES[type] || null,
+    // Stored as a string, the exponent is a BigInt and not limited to 32 bits
+    keyExponent: details.publicExponent !== undefined ? details.publicExponent.toString() : null,
+    keyCurve: details.namedCurve || null,
+    // Hash of the DER SubjectPublicKeyInfo, identical for every certificate issued for the same key
+    spkiSha256: crypto.createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+  };
+
+  key.weakKeyReason = findWeakness(key);
+  key.weakKey = key.weakKeyReason !== null;
+
+  return key;
+}
+
+module.exports = {
+  RECOMMENDED_CURVES,
+  describePublicKey
+};
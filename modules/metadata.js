@@ -0,0 +1,134 @@
+/**
+ * Endpoint metadata
+ *
+ * Owner, team, contact email, environment, tags and notes are set by users on an
+ * endpoint row. Scans never write these columns, so they survive rescans.
+ */
+
+const ENVIRONMENTS = ['prod', 'stage', 'dev'];
+
+// Input field name -> certificates column
+const METADATA_FIELDS = {
+  owner: 'owner',
+  team: 'team',
+  contactEmail: 'contact_email',
+  environment: 'environment',
+  tags: 'tags',
+  notes: 'notes'
+};
+
+// Fields the certificate list can be grouped by, as endpoint row columns (also their sort field names)
+// Notes are free text, so they are searched but never grouped by
+const GROUP_FIELDS = {
+  owner: 'owner',
+  team: 'team',
+  environment: 'environment',
+  contactEmail: 'contact_email',
+  tag: 'tags'
+};
+
+const MAX_TEXT_LENGTH = 100;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_TAGS = 20;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9._:-]{0,49}$/;
+
+/**
+ * Normalize a tag list: trimmed, lower case, without duplicates, sorted
+ * @param {Array|string} value - Array of tags or a comma-separated string
+ * @returns {Array<string>} - Tags
+ */
+function parseTags(value) {
+  const tags = Array.isArray(value) ? value : String(value || '').split(',');
+
+  return [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag.length > 0))].sort();
+}
+
+/**
+ * Validate metadata input and convert it to column values
+ * Only fields present in the input are returned, so it can be used for partial updates.
+ * Empty values clear a field.
+ * @param {Object} input - Values keyed by METADATA_FIELDS name
+ * @returns {Object} - { values, errors } with values keyed by column name
+ */
+function normalizeMetadata(input) {
+  const values = {};
+  const errors = [];
+
+  for (const [field, column] of Object.entries(METADATA_FIELDS)) {
+    if (input[field] === undefined) continue;
+
+    if (field === 'tags') {
+      const tags = parseTags(input.tags);
+      const invalid = tags.filter(tag => !TAG_PATTERN.test(tag));
+
+      if (invalid.length > 0) {
+        errors.push(`Invalid tags: ${invalid.join(', ')}. Tags are up to 50 letters, digits, '.', '_', ':' or '-'`);
+      } else if (tags.length > MAX_TAGS) {
+        errors.push(`Too many tags, at most ${MAX_TAGS} are allowed`);
+      }
+
+      values.tags = tags.length > 0 ? JSON.stringify(tags) : null;
+      continue;
+    }
+
+    const value = input[field] === null ? '' : String(input[field]).trim();
+
+    if (field === 'environment') {
+      const environment = value.toLowerCase();
+      if (environment && !ENVIRONMENTS.includes(environment)) {
+        errors.push(`Invalid environment: ${value}. Expected one of ${ENVIRONMENTS.join(', ')}`);
+      }
+      values.environment = environment || null;
+      continue;
+    }
+
+    if (field === 'contactEmail' && value && !EMAIL_PATTERN.test(value)) {
+      errors.push(`Invalid contact email: ${value}`);
+    }
+
+    const maxLength = field === 'notes' ? MAX_NOTES_LENGTH : MAX_TEXT_LENGTH;
+    if (value.length > maxLength) {
+      errors.push(`${field} is too long, at most ${maxLength} characters are allowed`);
+    }
+
+    values[column] = value || null;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Group endpoint rows by a metadata field, keeping the order of the rows
+ * An endpoint with several tags appears under each of them.
+ * @param {Array} rows - Parsed endpoint rows
+ * @param {string} field - GROUP_FIELDS name
+ * @returns {Array} - [{ key, rows }] where key is null for rows without a value
+ */
+function groupByMetadata(rows, field) {
+  const column = GROUP_FIELDS[field];
+  const groups = new Map();
+
+  for (const row of rows) {
+    const keys = field === 'tag'
+      ? (row.tags.length > 0 ? row.tags : [null])
+      : [row[column] || null];
+
+    for (const key of keys) {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+  }
+
+  return [...groups.entries()].map(([key, groupRows]) => ({ key, rows: groupRows }));
+}
+
+module.exports = {
+  ENVIRONMENTS,
+  METADATA_FIELDS,
+  GROUP_FIELDS,
+  parseTags,
+  normalizeMetadata,
+  groupByMetadata
+};
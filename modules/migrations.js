@@ -0,0 +1,647 @@
+/**
+ * Database schema migrations
+ *
+ * Each migration upgrades the schema by one version and runs once, inside a
+ * transaction, in the order of the list. The versions applied to a database are
+ * recorded in its schema_version table (see database.runMigrations).
+ *
+ * Databases created before versioning have no schema_version table and start at
+ * version 0, whatever tables and columns they already have. Migrations therefore
+ * create tables with IF NOT EXISTS and add columns with addColumn, which skips
+ * columns that already exist.
+ *
+ * To change the schema, append a migration with the next version number. Never
+ * edit or reorder a migration that has been released.
+ *
+ * Each up() receives the query helpers { run, all, get, addColumn }.
+ */
+
+/**
+ * Fill in common name and organization of rows saved before those columns existed,
+ * using the stored subject DN. Other new fields are filled in by the next scan.
+ */
+async function backfillSubjectFields({ run, all }) {
+  const rows = await all('SELECT id, subject FROM certificates WHERE common_name IS NULL');
+
+  for (const row of rows) {
+    const field = (name) => {
+      const match = (row.subject || '').match(new RegExp(`(?:^|, )${name}=([^,]+)`));
+      return match ? match[1] : '';
+    };
+
+    await run(
+      'UPDATE certificates SET common_name = ?, organization = ? WHERE id = ?',
+      [field('CN'), field('O'), row.id]
+    );
+  }
+
+  if (rows.length > 0) {
+    console.log(`Filled in common name and organization for ${rows.length} certificates`);
+  }
+}
+
+/**
+ * Record the current state of endpoints that have no observation yet, so their
+ * timeline has a start
+ */
+async function seedObservations({ run }) {
+  const result = await run(`
+    INSERT INTO certificate_observations
+    (certificate_id, host, port, observed_at, status, fingerprint, subject,
+     serial_number, valid_from, valid_to)
+    SELECT c.id, c.host, c.port, COALESCE(c.last_scanned, datetime('now')), c.status, c.fingerprint, c.subject,
+           c.serial_number, c.valid_from, c.valid_to
+    FROM certificates c
+    WHERE NOT EXISTS (SELECT 1 FROM certificate_observations o WHERE o.certificate_id = c.id)
+  `);
+
+  if (result.changes > 0) {
+    console.log(`Recorded an initial observation for ${result.changes} certificates`);
+  }
+}
+
+/**
+ * Move chain certificates from the old chain_certificates table and the leaf
+ * certificates of existing endpoints into x509_certificates
+ * SHA-256 fingerprints saved in lower case by older versions are upper-cased
+ * first, so every table uses the same key (see database.normalizeFingerprint).
+ */
+async function migrateX509Certificates({ run, get }) {
+  for (const table of ['certificates', 'certificate_observations']) {
+    await run(`UPDATE ${table} SET fingerprint = UPPER(fingerprint) WHERE fingerprint != UPPER(fingerprint)`);
+  }
+
+  const legacy = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'chain_certificates'");
+
+  if (legacy) {
+    await run(`
+      INSERT OR IGNORE INTO x509_certificates
+      (fingerprint, subject, issuer, serial_number, valid_from, valid_to, is_root)
+      SELECT fingerprint, subject, issuer, serial_number, valid_from, valid_to, is_root
+      FROM chain_certificates
+    `);
+    await run('DROP TABLE chain_certificates');
+  }
+
+  const result = await run(`
+    INSERT OR IGNORE INTO x509_certificates
+    (fingerprint, subject, issuer, common_name, organization, serial_number, valid_from, valid_to,
+     signature_algorithm, key_algorithm, key_size, spki_sha256, self_signed, is_root, pem, first_seen, last_seen)
+    SELECT c.fingerprint, c.subject, c.issuer, c.common_name, c.organization, c.serial_number, c.valid_from, c.valid_to,
+           c.signature_algorithm, c.key_algorithm, c.key_size, c.spki_sha256, c.self_signed, 0, c.pem,
+           COALESCE((SELECT MIN(o.observed_at) FROM certificate_observations o WHERE o.fingerprint = c.fingerprint), MIN(c.last_scanned)),
+           MAX(c.last_scanned)
+    FROM certificates c
+    WHERE LENGTH(c.fingerprint) = 95
+    GROUP BY c.fingerprint
+  `);
+
+  if (result.changes > 0) {
+    console.log(`Recorded ${result.changes} endpoint certificates in x509_certificates`);
+  }
+}
+
+// Date columns rewritten by normalizeDates
+const DATE_COLUMNS = {
+  certificates: ['valid_from', 'valid_to'],
+  certificate_observations: ['valid_from', 'valid_to'],
+  certificate_changes: ['previous_valid_to', 'new_valid_to'],
+  scan_run_results: ['valid_to'],
+  x509_certificates: ['valid_from', 'valid_to'],
+  trusted_cas: ['valid_to']
+};
+
+/**
+ * Rewrite stored dates as ISO 8601 in UTC
+ * Older versions stored the format OpenSSL prints ('Oct 31 23:59:59 2025 GMT') or a
+ * local time without a zone ('2025-10-31 23:59:59'), which is read in the time zone
+ * of the server running the migration. Values that cannot be parsed are left as they are.
+ */
+async function normalizeDates({ run, all }) {
+  let count = 0;
+
+  for (const [table, columns] of Object.entries(DATE_COLUMNS)) {
+    for (const column of columns) {
+      const rows = await all(`SELECT rowid AS id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`);
+
+      for (const row of rows) {
+        const date = new Date(row.value);
+        if (isNaN(date) || date.toISOString() === row.value) continue;
+
+        await run(`UPDATE ${table} SET ${column} = ? WHERE rowid = ?`, [date.toISOString(), row.id]);
+        count++;
+      }
+    }
+  }
+
+  if (count > 0) {
+    console.log(`Converted ${count} stored dates to ISO 8601`);
+  }
+}
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Create certificates and scheduled scans tables',
+    up: async ({ run }) => {
+      await run(`
+        CREATE TABLE IF NOT EXISTS certificates (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          subject TEXT,
+          issuer TEXT,
+          valid_from TEXT,
+          valid_to TEXT,
+          fingerprint TEXT,
+          signature_algorithm TEXT,
+          self_signed BOOLEAN,
+          status TEXT,
+          last_scanned TEXT,
+          days_remaining INTEGER,
+          UNIQUE(host, port)
+        )
+      `);
+
+      await run(`
+        CREATE TABLE IF NOT EXISTS scheduled_scans (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          hosts TEXT NOT NULL,
+          ports TEXT NOT NULL,
+          frequency TEXT NOT NULL,
+          last_run TEXT,
+          next_run TEXT,
+          active BOOLEAN DEFAULT 1
+        )
+      `);
+    }
+  },
+  {
+    version: 2,
+    description: 'Store the certificate chain of each endpoint',
+    up: async ({ run }) => {
+      // Intermediate and root certificates, stored once per fingerprint (replaced by x509_certificates in version 12)
+      await run(`
+        CREATE TABLE IF NOT EXISTS chain_certificates (
+          fingerprint TEXT PRIMARY KEY,
+          subject TEXT,
+          issuer TEXT,
+          serial_number TEXT,
+          valid_from TEXT,
+          valid_to TEXT,
+          is_root BOOLEAN
+        )
+      `);
+
+      await run(`
+        CREATE TABLE IF NOT EXISTS certificate_chains (
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          fingerprint TEXT NOT NULL,
+          PRIMARY KEY (host, port, position)
+        )
+      `);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add trust validation and trusted CAs',
+    up: async ({ run, addColumn }) => {
+      // Internal root CAs trusted in addition to the Node default store
+      await run(`
+        CREATE TABLE IF NOT EXISTS trusted_cas (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          subject TEXT,
+          fingerprint TEXT NOT NULL UNIQUE,
+          valid_to TEXT,
+          pem TEXT NOT NULL,
+          added_at TEXT
+        )
+      `);
+
+      await addColumn('certificates', 'trust_status', 'TEXT');
+      await addColumn('certificates', 'trust_error', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    description: 'Add the scan protocol for STARTTLS services',
+    up: async ({ addColumn }) => {
+      await addColumn('certificates', 'protocol', "TEXT DEFAULT 'tls'");
+      await addColumn('scheduled_scans', 'protocol', "TEXT DEFAULT 'auto'");
+    }
+  },
+  {
+    version: 5,
+    description: 'Add subject alternative names and hostname check',
+    up: async ({ addColumn }) => {
+      await addColumn('certificates', 'subject_alt_names', 'TEXT');
+      await addColumn('certificates', 'hostname_status', 'TEXT');
+    }
+  },
+  {
+    version: 6,
+    description: 'Add accepted TLS versions and cipher suites',
+    up: async ({ addColumn }) => {
+      await addColumn('certificates', 'tls_protocols', 'TEXT');
+      await addColumn('certificates', 'tls_ciphers', 'TEXT');
+    }
+  },
+  {
+    version: 7,
+    description: 'Add endpoint grades',
+    up: async ({ addColumn }) => {
+      await addColumn('certificates', 'grade', 'TEXT');
+      await addColumn('certificates', 'grade_reasons', 'TEXT');
+    }
+  },
+  {
+    version: 8,
+    description: 'Add public key details',
+    up: async ({ addColumn }) => {
+      await addColumn('certificates', 'key_algorithm', 'TEXT');
+      await addColumn('certificates', 'key_size', 'INTEGER');
+      await addColumn('certificates', 'key_exponent', 'TEXT');
+      await addColumn('certificates', 'key_curve', 'TEXT');
+      await addColumn('certificates', 'spki_sha256', 'TEXT');
+      await addColumn('certificates', 'weak_key', 'INTEGER DEFAULT 0');
+      await addColumn('certificates', 'weak_key_reason', 'TEXT');
+    }
+  },
+  {
+    version: 9,
+    description: 'Add subject fields, serial number, key usages and PEM',
+    up: async (query) => {
+      await query.addColumn('certificates', 'common_name', 'TEXT');
+      await query.addColumn('certificates', 'organization', 'TEXT');
+      await query.addColumn('certificates', 'serial_number', 'TEXT');
+      await query.addColumn('certificates', 'key_usage', 'TEXT');
+      await query.addColumn('certificates', 'extended_key_usage', 'TEXT');
+      await query.addColumn('certificates', 'pem', 'TEXT');
+      await backfillSubjectFields(query);
+    }
+  },
+  {
+    version: 10,
+    description: 'Record an observation for every scan of an endpoint',
+    up: async (query) => {
+      // One row per endpoint per scan, never updated
+      await query.run(`
+        CREATE TABLE IF NOT EXISTS certificate_observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          certificate_id INTEGER NOT NULL,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          observed_at TEXT NOT NULL,
+          status TEXT,
+          fingerprint TEXT,
+          subject TEXT,
+          serial_number TEXT,
+          valid_from TEXT,
+          valid_to TEXT,
+          error TEXT
+        )
+      `);
+
+      await query.run(`
+        CREATE INDEX IF NOT EXISTS idx_observations_certificate
+        ON certificate_observations (certificate_id, observed_at)
+      `);
+
+      await seedObservations(query);
+    }
+  },
+  {
+    version: 11,
+    description: 'Record certificate changes and scan runs',
+    up: async ({ run }) => {
+      // Typed events for endpoints that started presenting a different certificate
+      await run(`
+        CREATE TABLE IF NOT EXISTS certificate_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          certificate_id INTEGER NOT NULL,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          change_type TEXT NOT NULL,
+          details TEXT,
+          detected_at TEXT NOT NULL,
+          previous_fingerprint TEXT,
+          new_fingerprint TEXT,
+          previous_subject TEXT,
+          new_subject TEXT,
+          previous_issuer TEXT,
+          new_issuer TEXT,
+          previous_valid_to TEXT,
+          new_valid_to TEXT
+        )
+      `);
+
+      // One row per scan, whatever started it
+      await run(`
+        CREATE TABLE IF NOT EXISTS scan_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          trigger TEXT NOT NULL,
+          scheduled_scan_id INTEGER,
+          targets TEXT NOT NULL,
+          ports TEXT NOT NULL,
+          protocol TEXT,
+          status TEXT NOT NULL,
+          started_at TEXT NOT NULL,
+          finished_at TEXT,
+          duration_ms INTEGER,
+          total_count INTEGER DEFAULT 0,
+          valid_count INTEGER DEFAULT 0,
+          warning_count INTEGER DEFAULT 0,
+          expired_count INTEGER DEFAULT 0,
+          error_count INTEGER DEFAULT 0,
+          error TEXT
+        )
+      `);
+
+      // Outcome of every host:port target of a scan run, failures included
+      await run(`
+        CREATE TABLE IF NOT EXISTS scan_run_results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          run_id INTEGER NOT NULL,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          protocol TEXT,
+          status TEXT,
+          certificate_id INTEGER,
+          fingerprint TEXT,
+          subject TEXT,
+          valid_to TEXT,
+          days_remaining INTEGER,
+          error TEXT
+        )
+      `);
+
+      await run('CREATE INDEX IF NOT EXISTS idx_scan_run_results_run ON scan_run_results (run_id)');
+    }
+  },
+  {
+    version: 12,
+    description: 'Store each unique certificate once by fingerprint',
+    up: async (query) => {
+      // Every certificate ever seen (leaf, intermediate or root). Endpoint rows and chains point to it by fingerprint.
+      await query.run(`
+        CREATE TABLE IF NOT EXISTS x509_certificates (
+          fingerprint TEXT PRIMARY KEY,
+          subject TEXT,
+          issuer TEXT,
+          common_name TEXT,
+          organization TEXT,
+          serial_number TEXT,
+          valid_from TEXT,
+          valid_to TEXT,
+          signature_algorithm TEXT,
+          key_algorithm TEXT,
+          key_size INTEGER,
+          spki_sha256 TEXT,
+          self_signed BOOLEAN,
+          is_root BOOLEAN,
+          pem TEXT,
+          first_seen TEXT,
+          last_seen TEXT
+        )
+      `);
+
+      await query.run('CREATE INDEX IF NOT EXISTS idx_certificates_fingerprint ON certificates (fingerprint)');
+      await query.run('CREATE INDEX IF NOT EXISTS idx_certificate_chains_fingerprint ON certificate_chains (fingerprint)');
+
+      await migrateX509Certificates(query);
+    }
+  },
+  {
+    version: 13,
+    description: 'Store certificate dates as ISO 8601',
+    up: normalizeDates
+  },
+  {
+    version: 14,
+    description: 'Index the certificate columns used for filtering and sorting',
+    up: async ({ run }) => {
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_valid_to ON certificates (valid_to)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_last_scanned ON certificates (last_scanned)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_issuer ON certificates (issuer)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_trust_status ON certificates (trust_status)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_grade ON certificates (grade)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_spki ON certificates (spki_sha256)');
+    }
+  },
+  {
+    version: 15,
+    description: 'Add owner, team, contact, environment, tags and notes to endpoints',
+    up: async ({ run, addColumn }) => {
+      await addColumn('certificates', 'owner', 'TEXT');
+      await addColumn('certificates', 'team', 'TEXT');
+      await addColumn('certificates', 'contact_email', 'TEXT');
+      await addColumn('certificates', 'environment', 'TEXT');
+      // JSON array of lower case tags
+      await addColumn('certificates', 'tags', 'TEXT');
+      await addColumn('certificates', 'notes', 'TEXT');
+
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_owner ON certificates (owner)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_team ON certificates (team)');
+      await run('CREATE INDEX IF NOT EXISTS idx_certificates_environment ON certificates (environment)');
+    }
+  },
+  {
+    version: 16,
+    description: 'Add alert rules and raised alerts',
+    up: async ({ run }) => {
+      // Rules scoped by tag, environment and issuer substring; thresholds (JSON days) only apply to 'expiring'
+      await run(`
+        CREATE TABLE IF NOT EXISTS alert_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          condition TEXT NOT NULL,
+          thresholds TEXT,
+          tag TEXT,
+          environment TEXT,
+          issuer TEXT,
+          enabled BOOLEAN DEFAULT 1,
+          created_at TEXT
+        )
+      `);
+
+      // An alert stays open while its condition holds; alert_key tells repeated evaluations apart
+      await run(`
+        CREATE TABLE IF NOT EXISTS alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          rule_id INTEGER NOT NULL,
+          certificate_id INTEGER NOT NULL,
+          host TEXT NOT NULL,
+          port INTEGER NOT NULL,
+          condition TEXT NOT NULL,
+          threshold INTEGER,
+          fingerprint TEXT,
+          alert_key TEXT NOT NULL,
+          message TEXT,
+          triggered_at TEXT NOT NULL,
+          resolved_at TEXT
+        )
+      `);
+
+      // At most one open alert per rule, endpoint and key, so the same alert is never raised twice
+      await run('CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_open ON alerts (rule_id, certificate_id, alert_key) WHERE resolved_at IS NULL');
+      await run('CREATE INDEX IF NOT EXISTS idx_alerts_certificate ON alerts (certificate_id)');
+
+      const now = new Date().toISOString();
+      const defaults = [
+        ['Certificate expiring', 'expiring', JSON.stringify([60, 30, 14, 7, 1])],
+        ['Certificate expired', 'expired', null],
+        ['Untrusted certificate', 'untrusted', null],
+        ['Hostname mismatch', 'hostname_mismatch', null],
+        ['Endpoint unreachable', 'error', null]
+      ];
+      for (const [name, condition, thresholds] of defaults) {
+        await run(
+          'INSERT INTO alert_rules (name, condition, thresholds, enabled, created_at) VALUES (?, ?, ?, 1, ?)',
+          [name, condition, thresholds, now]
+        );
+      }
+    }
+  },
+  {
+    version: 17,
+    description: 'Add webhook notification channels and their delivery log',
+    up: async ({ run }) => {
+      // Outbound webhooks: type is 'webhook' (signed JSON), 'slack' or 'teams'
+      await run(`
+        CREATE TABLE IF NOT EXISTS notification_channels (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          url TEXT NOT NULL,
+          secret TEXT,
+          send_changes BOOLEAN DEFAULT 0,
+          enabled BOOLEAN DEFAULT 1,
+          created_at TEXT
+        )
+      `);
+
+      // Channels that receive the alerts of each rule
+      await run(`
+        CREATE TABLE IF NOT EXISTS alert_rule_channels (
+          rule_id INTEGER NOT NULL,
+          channel_id INTEGER NOT NULL,
+          PRIMARY KEY (rule_id, channel_id)
+        )
+      `);
+
+      // One row per message, updated after every attempt
+      await run(`
+        CREATE TABLE IF NOT EXISTS notification_deliveries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          channel_id INTEGER NOT NULL,
+          event_type TEXT NOT NULL,
+          summary TEXT,
+          payload TEXT,
+          status TEXT NOT NULL,
+          attempts INTEGER DEFAULT 0,
+          response_status INTEGER,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT
+        )
+      `);
+
+      await run('CREATE INDEX IF NOT EXISTS idx_notification_deliveries_channel ON notification_deliveries (channel_id, created_at)');
+    }
+  },
+  {
+    version: 18,
+    description: 'Add alert acknowledgement and endpoint snooze and mute',
+    up: async ({ run, addColumn }) => {
+      await addColumn('alerts', 'acknowledged_at', 'TEXT');
+      await addColumn('alerts', 'acknowledged_by', 'TEXT');
+
+      // A snoozed endpoint raises no alerts until snoozed_until; a muted one until it is unmuted
+      await addColumn('certificates', 'snoozed_until', 'TEXT');
+      await addColumn('certificates', 'snoozed_by', 'TEXT');
+      await addColumn('certificates', 'snoozed_at', 'TEXT');
+      await addColumn('certificates', 'muted_at', 'TEXT');
+      await addColumn('certificates', 'muted_by', 'TEXT');
+      await addColumn('certificates', 'mute_reason', 'TEXT');
+
+      // Who acknowledged, snoozed, muted or lifted them, and when
+      await run(`
+        CREATE TABLE IF NOT EXISTS endpoint_actions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          certificate_id INTEGER NOT NULL,
+          alert_id INTEGER,
+          action TEXT NOT NULL,
+          actor TEXT NOT NULL,
+          reason TEXT,
+          snoozed_until TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+
+      await run('CREATE INDEX IF NOT EXISTS idx_endpoint_actions_certificate ON endpoint_actions (certificate_id, created_at)');
+    }
+  },
+  {
+    version: 19,
+    description: 'Add scheduled digest reports and their archive',
+    up: async ({ run }) => {
+      // recipients and channel_ids are JSON arrays of email addresses and notification channel IDs
+      await run(`
+        CREATE TABLE IF NOT EXISTS digests (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          frequency TEXT NOT NULL,
+          recipients TEXT,
+          channel_ids TEXT,
+          enabled BOOLEAN DEFAULT 1,
+          last_run TEXT,
+          next_run TEXT,
+          created_at TEXT
+        )
+      `);
+
+      // Archived copy of every digest sent; kept when its digest is deleted
+      await run(`
+        CREATE TABLE IF NOT EXISTS digest_reports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          digest_id INTEGER,
+          digest_name TEXT NOT NULL,
+          period_start TEXT NOT NULL,
+          period_end TEXT NOT NULL,
+          counts TEXT,
+          html TEXT NOT NULL,
+          delivery TEXT,
+          created_at TEXT NOT NULL
+        )
+      `);
+
+      await run('CREATE INDEX IF NOT EXISTS idx_digest_reports_created ON digest_reports (created_at)');
+    }
+  },
+  {
+    version: 20,
+    description: 'Add the time zone of scheduled scans',
+    up: async ({ addColumn }) => {
+      // IANA time zone the cron expression is evaluated in; the server time zone when null
+      await addColumn('scheduled_scans', 'timezone', 'TEXT');
+    }
+  },
+  {
+    version: 21,
+    description: 'Add overlap policies of scheduled scans and notes on scan runs',
+    up: async ({ addColumn }) => {
+      // What happens when a run is due while the previous one is still going: 'skip' or 'queue'
+      await addColumn('scheduled_scans', 'overlap_policy', "TEXT DEFAULT 'skip'");
+      // Why a run was skipped, queued or run as a catch-up
+      await addColumn('scan_runs', 'note', 'TEXT');
+    }
+  }
+];
+
+module.exports = {
+  migrations
+};
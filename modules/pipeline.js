@@ -0,0 +1,203 @@
+const db = require('./database');
+const scanner = require('./scanner');
+const changes = require('./changes');
+const alerts = require('./alerts');
+const webhooks = require('./webhooks');
+
+/**
+ * Scan result pipeline
+ * Every place that runs a scan (web routes, API and scheduled scans) goes through
+ * runScan, so each scan is recorded as a scan run and change detection and alerting
+ * work the same for all of them.
+ */
+
+// What started a scan run
+const SCAN_TRIGGERS = ['manual', 'quick', 'api', 'scheduled'];
+
+/**
+ * Save one scan result and record a change event if the endpoint presents a different certificate
+ * @param {Object} result - Scan result from the scanner
+ * @returns {Promise<Object>} - { id, change } with the endpoint ID and the change event (or null)
+ */
+async function saveScanResult(result) {
+  let previous = null;
+  let seenFingerprints = [];
+
+  if (result.status !== 'error') {
+    previous = await db.getCertificateByEndpoint(result.host, result.port);
+    if (previous) {
+      seenFingerprints = await db.getObservedFingerprints(previous.id);
+    }
+  }
+
+  const id = await db.saveCertificate(result);
+
+  const change = changes.detectChange(previous, result, seenFingerprints);
+  if (!change) {
+    return { id, change: null };
+  }
+
+  const event = {
+    certificateId: id,
+    host: result.host,
+    port: result.port,
+    type: change.type,
+    details: change.details,
+    detectedAt: result.lastScanned || new Date().toISOString(),
+    previousFingerprint: previous.fingerprint,
+    newFingerprint: result.fingerprint,
+    previousSubject: previous.subject,
+    newSubject: result.subject,
+    previousIssuer: previous.issuer,
+    newIssuer: result.issuer,
+    previousValidTo: previous.valid_to,
+    newValidTo: result.validTo
+  };
+
+  await db.saveCertificateChange(event);
+  console.log(`Change detected on ${result.host}:${result.port}: ${change.type}`);
+  
+  // Webhooks retry with backoff, so the scan does not wait for them
+  webhooks.notifyChange(event)
+    .catch(err => console.error(`Error sending change on ${result.host}:${result.port} to notification channels:`, err.message));
+
+  return { id, change: event };
+}
+
+/**
+ * Save the results of a scan, one after the other
+ * @param {Array} results - Scan results from the scanner
+ * @returns {Promise<Array>} - { id, change } for each result, in the same order
+ */
+async function saveScanResults(results) {
+  const saved = [];
+
+  for (const result of results) {
+    saved.push(await saveScanResult(result));
+  }
+
+  return saved;
+}
+
+/**
+ * Count scan results by status
+ * @param {Array} results - Scan results
+ * @returns {Object} - { total, valid, warning, expired, error }
+ */
+function summarizeResults(results) {
+  const summary = { total: results.length, valid: 0, warning: 0, expired: 0, error: 0 };
+  
+  for (const result of results) {
+    if (summary[result.status] !== undefined) {
+      summary[result.status]++;
+    }
+  }
+  
+  return summary;
+}
+
+/**
+ * Scan targets, save the results and record the whole scan as a scan run
+ * @param {Object} request - Scan request
+ * @param {string} request.trigger - What started the scan, one of SCAN_TRIGGERS
+ * @param {Array} request.hosts - Hostnames, IP addresses or IP ranges
+ * @param {Array} request.ports - Ports to scan
+ * @param {string} request.protocol - Protocol, 'auto' picks one per port
+ * @param {number} request.scheduledScanId - Scheduled scan that started the run, if any
+ * @param {boolean} request.saveErrors - Save failed targets to their endpoint rows (default true);
+ *                                       they are recorded in the run results either way
+ * @param {string} request.note - Why the run was started, e.g. as a catch-up of missed scheduled runs
+ * @returns {Promise<Object>} - { runId, results, summary } where each result carries its certificateId
+ */
+async function runScan(request) {
+  const { trigger, hosts, ports, protocol = 'auto', scheduledScanId = null, saveErrors = true, note = null } = request;
+  
+  if (!SCAN_TRIGGERS.includes(trigger)) {
+    throw new Error(`Unknown scan trigger: ${trigger}`);
+  }
+  
+  const startedAt = new Date();
+  const runId = await db.createScanRun({
+    trigger,
+    scheduledScanId,
+    targets: hosts,
+    ports,
+    protocol,
+    startedAt: startedAt.toISOString(),
+    note
+  });
+  
+  const finish = (status, summary, error) => {
+    const finishedAt = new Date();
+    return db.finishScanRun(runId, {
+      status,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      summary,
+      error
+    });
+  };
+  
+  try {
+    const results = await scanner.scanHosts(hosts, ports, undefined, { protocol });
+    
+    for (const result of results) {
+      if (result.status !== 'error' || saveErrors) {
+        const saved = await saveScanResult(result);
+        result.certificateId = saved.id;
+      }
+    }
+    
+    await db.saveScanRunResults(runId, results);
+    
+    const summary = summarizeResults(results);
+    await finish('completed', summary, null);
+    
+    console.log(`Scan run ${runId} (${trigger}) completed: ${summary.total} targets, ${summary.error} errors`);
+    
+    // A failed alert evaluation does not fail the scan, the daily evaluation catches up
+    await alerts.evaluateAlerts()
+      .catch(alertErr => console.error(`Error evaluating alerts after scan run ${runId}:`, alertErr.message));
+    
+    return { runId, results, summary };
+  } catch (err) {
+    await finish('failed', null, err.message)
+      .catch(finishErr => console.error(`Error recording failure of scan run ${runId}:`, finishErr.message));
+    err.runId = runId;
+    throw err;
+  }
+}
+
+/**
+ * Record a scan run that was not started, with the reason, so it shows in the scan history
+ * @param {Object} request - Scan request, as for runScan
+ * @param {string} reason - Why the run was skipped
+ * @returns {Promise<number>} - ID of the skipped scan run
+ */
+async function recordSkippedRun(request, reason) {
+  const { trigger, hosts, ports, protocol = 'auto', scheduledScanId = null } = request;
+  const now = new Date().toISOString();
+  
+  const runId = await db.createScanRun({
+    trigger,
+    scheduledScanId,
+    targets: hosts,
+    ports,
+    protocol,
+    startedAt: now,
+    note: reason
+  });
+  await db.finishScanRun(runId, { status: 'skipped', finishedAt: now, durationMs: 0, summary: null, error: null });
+  
+  console.log(`Scan run ${runId} (${trigger}) skipped: ${reason}`);
+  
+  return runId;
+}
+
+module.exports = {
+  SCAN_TRIGGERS,
+  runScan,
+  recordSkippedRun,
+  saveScanResult,
+  saveScanResults
+};
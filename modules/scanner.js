@@ -1,172 +1,189 @@
 const tls = require('tls');
 const net = require('net');
+const crypto = require('crypto');
 const forge = require('node-forge');
-const moment = require('moment');
 const ipRangeCheck = require('ip-range-check');
+const iprange = require('./iprange');
+const scanpool = require('./scanpool');
+const config = require('./config');
+const truststore = require('./truststore');
+const starttls = require('./starttls');
+const hostname = require('./hostname');
+const tlsprobe = require('./tlsprobe');
+const grading = require('./grading');
+const keyinfo = require('./keyinfo');
+const expiry = require('./expiry');
 
 /**
  * Scans a host for SSL certificates on specified ports
  * @param {string} host - The hostname or IP address to scan
  * @param {Array} ports - Array of ports to scan
  * @param {number} timeout - Connection timeout in milliseconds
+ * @param {Object} options - Scan options: protocol ('auto' picks one per port) and scan pool limits
  * @returns {Promise<Array>} - Array of certificate data objects
  */
-async function scanHost(host, ports = [443], timeout = 5000) {
-  const results = [];
+async function scanHost(host, ports = [443], timeout = 5000, options = {}) {
+  const { protocol = 'auto', ...poolOptions } = options;
   
   console.log(`Scanner: Scanning host ${host} on ports ${ports.join(', ')}`);
   
-  // Scan each port
-  for (const port of ports) {
-    try {
-      console.log(`Scanner: Attempting to connect to ${host}:${port}`);
-      const certificate = await getCertificate(host, port, timeout);
-      if (certificate) {
-        console.log(`Scanner: Successfully obtained certificate from ${host}:${port}`);
-        results.push(certificate);
-      }
-    } catch (err) {
-      console.error(`Error scanning ${host}:${port} - ${err.message}`);
-      // Still add the failed host to results
-      results.push({
-        host,
-        port,
-        status: 'error',
-        error: err.message,
-        lastScanned: new Date().toISOString()
-      });
-    }
-  }
+  const tasks = ports.map(port => ({ host, port, protocol }));
+  const results = await scanpool.runPool(tasks, (task, limits) => scanTarget(task, timeout, limits), poolOptions);
   
   console.log(`Scanner: Completed scan of ${host}, found ${results.length} results`);
   return results;
 }
 
+/**
+ * Scan a single host:port target, turning failures into an error result
+ * @param {Object} target - { host, port, protocol }
+ * @param {number} timeout - Connection timeout in milliseconds
+ * @param {Object} limits - Scan pool limits of the target, for the extra connections of the TLS probe
+ * @returns {Promise<Object>} - Certificate data or error result
+ */
+async function scanTarget(target, timeout, limits = {}) {
+  const { host, port } = target;
+  let protocol = target.protocol;
+  
+  try {
+    protocol = starttls.resolveProtocol(port, target.protocol);
+    console.log(`Scanner: Attempting to connect to ${host}:${port} (${protocol})`);
+    const certificate = await getCertificate(host, port, timeout, protocol);
+    console.log(`Scanner: Successfully obtained certificate from ${host}:${port}`);
+    
+    if (config.tlsProbe.enabled) {
+      const probe = await tlsprobe.probeTls(host, port, { protocol, timeout, hostDelay: limits.hostDelay });
+      certificate.tlsProtocols = probe.protocols;
+      certificate.tlsCiphers = probe.ciphers;
+    }
+    
+    const { grade, reasons } = grading.gradeCertificate(certificate);
+    certificate.grade = grade;
+    certificate.gradeReasons = reasons;
+    
+    return certificate;
+  } catch (err) {
+    console.error(`Error scanning ${host}:${port} - ${err.message}`);
+    // Still add the failed host to results
+    return {
+      host,
+      port,
+      protocol,
+      status: 'error',
+      error: err.message,
+      lastScanned: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Gets the SSL certificate from a host on a specific port
  * @param {string} host - The hostname or IP address
  * @param {number} port - The port to connect to
  * @param {number} timeout - Connection timeout in milliseconds
+ * @param {string} protocol - Protocol to speak before the handshake (see starttls.PROTOCOLS), or 'auto'
  * @returns {Promise<Object>} - Certificate data
  */
-function getCertificate(host, port, timeout = 10000) {
-  return new Promise((resolve, reject) => {
-    console.log(`Getting certificate for ${host}:${port}`);
+async function getCertificate(host, port, timeout = 10000, protocol = 'auto') {
+  console.log(`Getting certificate for ${host}:${port}`);
+  
+  const resolvedProtocol = starttls.resolveProtocol(port, protocol);
+  
+  // Create TLS connection, running a STARTTLS upgrade first for plaintext protocols
+  const socket = await starttls.connectTls(host, port, {
+    rejectUnauthorized: false, // Allow self-signed certificates
+    minVersion: 'TLSv1',  // Support older TLS versions if needed
+    ca: truststore.getCABundle(),  // Node default store plus uploaded internal CAs
+    checkServerIdentity: () => undefined  // Trust covers the chain only, not the hostname
+  }, { protocol: resolvedProtocol, timeout });
+  
+  // The TLS handshake succeeded
+  console.log(`TLS connection established with ${host}:${port}`);
+  
+  try {
+    // Get certificate with detailed information
+    const cert = socket.getPeerCertificate(true);
+    console.log(`Got certificate from ${host}:${port}. Empty? ${!cert || Object.keys(cert).length === 0}`);
+    
+    if (!cert || Object.keys(cert).length === 0) {
+      throw new Error('No certificate found');
+    }
+    
+    // Save the raw certificate information
+    const rawCertData = {
+      host: host,
+      port: port,
+      protocol: resolvedProtocol,
+      status: expiry.expiryStatus(cert.valid_to || cert.validTo) || 'valid',
+      lastScanned: new Date().toISOString(),
+      // Extract subject fields directly from raw certificate
+      commonName: extractSubjectField(cert, 'CN'),
+      organization: extractSubjectField(cert, 'O'),
+      // Extract other useful fields
+      subject: formatRawDN(cert.subject),
+      issuer: formatRawIssuer(cert.issuer),
+      validFrom: toISODate(cert.valid_from || cert.validFrom),
+      validTo: toISODate(cert.valid_to || cert.validTo),
+      // Days remaining and status at scan time; stored rows are recomputed when read
+      daysRemaining: expiry.daysRemaining(cert.valid_to || cert.validTo),
+      fingerprint: cert.fingerprint256 || cert.fingerprint || 'Unknown',
+      serialNumber: cert.serialNumber || 'Unknown',
+      // Intermediates and root presented by the server, leaf excluded
+      chain: extractChain(cert),
+      // Chain validation result against the CA bundle, with the OpenSSL error code
+      trustStatus: socket.authorized ? 'trusted' : 'untrusted',
+      trustError: socket.authorized ? null : (socket.authorizationError || 'UNKNOWN').toString(),
+      selfSigned: isSelfSigned(cert.raw),
+      // Public key algorithm, size, exponent or curve, SPKI hash and weak-key check
+      ...keyinfo.describePublicKey(cert.raw),
+      // Extended key usage OIDs, translated to names where known
+      extendedKeyUsage: formatExtendedKeyUsage(cert.ext_key_usage),
+      // Certificate as presented, PEM encoded
+      pem: cert.raw ? toPem(cert.raw) : null,
+      // DNS, IP, email and URI entries of the subjectAltName extension
+      subjectAltNames: hostname.parseSubjectAltName(cert.subjectaltname)
+    };
+    
+    // Check the certificate against the name we connected to
+    rawCertData.hostnameStatus = hostname.matchesHostname(host, rawCertData.subjectAltNames, rawCertData.commonName)
+      ? 'match'
+      : 'mismatch';
+    
+    // Try to parse more detailed info with forge if raw data has cert.raw
+    if (!cert.raw) {
+      // No raw data, just use what we extracted directly
+      return rawCertData;
+    }
     
     try {
-      // Create TLS connection with improved options
-      const socket = tls.connect(
-        {
-          host: host,
-          port: port,
-          rejectUnauthorized: false, // Allow self-signed certificates
-          timeout: timeout,  // Use timeout parameter
-          servername: host,  // Important for SNI
-          minVersion: 'TLSv1'  // Support older TLS versions if needed
-        },
-        () => {
-          // This callback runs on successful TLS handshake
-          console.log(`TLS connection established with ${host}:${port}`);
-          
-          try {
-            // Get certificate with detailed information
-            const cert = socket.getPeerCertificate(true);
-            console.log(`Got certificate from ${host}:${port}. Empty? ${!cert || Object.keys(cert).length === 0}`);
-            
-            if (!cert || Object.keys(cert).length === 0) {
-              socket.end();
-              reject(new Error('No certificate found'));
-              return;
-            }
-            
-            // Save the raw certificate information
-            const rawCertData = {
-              host: host,
-              port: port,
-              status: 'valid',
-              lastScanned: new Date().toISOString(),
-              // Extract subject fields directly from raw certificate
-              commonName: extractSubjectField(cert, 'CN'),
-              organization: extractSubjectField(cert, 'O'),
-              // Extract other useful fields
-              issuer: formatRawIssuer(cert.issuer),
-              validFrom: cert.valid_from || cert.validFrom,
-              validTo: cert.valid_to || cert.validTo,
-              // Calculate days remaining
-              daysRemaining: calculateDaysRemaining(cert.valid_to || cert.validTo),
-              fingerprint: cert.fingerprint || 'Unknown',
-              serialNumber: cert.serialNumber || 'Unknown'
-            };
-            
-            // Try to parse more detailed info with forge if raw data has cert.raw
-            if (cert.raw) {
-              try {
-                // Parse certificate with forge for additional details
-                const forgeCert = convertToPem(cert.raw);
-                const parsedCert = parseCertificate(forgeCert);
-                
-                // Combine the raw data with the parsed data, preferring raw data for critical fields
-                const combinedData = {
-                  ...parsedCert,
-                  ...rawCertData,
-                  // Keep these specific fields from raw data to ensure accuracy
-                  host: host,
-                  port: port,
-                  commonName: rawCertData.commonName || parsedCert.commonName,
-                  organization: rawCertData.organization || parsedCert.organization,
-                  issuer: rawCertData.issuer || parsedCert.issuer,
-                  validFrom: rawCertData.validFrom || parsedCert.validFrom,
-                  validTo: rawCertData.validTo || parsedCert.validTo,
-                };
-                
-                socket.end();
-                resolve(combinedData);
-              } catch (forgeErr) {
-                console.error(`Forge parsing error: ${forgeErr.message}. Using raw data only.`);
-                socket.end();
-                resolve(rawCertData); // Still resolve with raw data on forge error
-              }
-            } else {
-              // No raw data, just use what we extracted directly
-              socket.end();
-              resolve(rawCertData);
-            }
-          } catch (err) {
-            console.error(`Error processing certificate: ${err.message}`);
-            socket.end();
-            reject(new Error(`Failed to process certificate: ${err.message}`));
-          }
-        }
-      );
-      
-      // Handle connection errors
-      socket.on('error', (err) => {
-        console.error(`Connection error for ${host}:${port}: ${err.message}`);
-        socket.end();
-        reject(new Error(`Connection error: ${err.message}`));
-      });
+      // Parse certificate with forge for additional details
+      const forgeCert = convertToPem(cert.raw);
+      const parsedCert = parseCertificate(forgeCert);
       
-      // Handle timeouts
-      socket.on('timeout', () => {
-        console.error(`Connection timeout for ${host}:${port}`);
-        socket.end();
-        reject(new Error(`Connection timeout after ${timeout}ms`));
-      });
-      
-      // Extra safeguard against stalled connections
-      setTimeout(() => {
-        if (socket.connecting) {
-          console.error(`Forcibly closing stalled connection to ${host}:${port}`);
-          socket.destroy();
-          reject(new Error('Connection stalled - forcibly closed'));
-        }
-      }, timeout + 5000); // Wait a bit longer than the socket timeout
-      
-    } catch (error) {
-      console.error(`Failed to create TLS connection to ${host}:${port}: ${error.message}`);
-      reject(new Error(`Failed to establish secure connection: ${error.message}`));
+      // Combine the raw data with the parsed data, preferring raw data for critical fields
+      return {
+        ...parsedCert,
+        ...rawCertData,
+        // Keep these specific fields from raw data to ensure accuracy
+        host: host,
+        port: port,
+        subject: parsedCert.subject !== 'Unknown' ? parsedCert.subject : rawCertData.subject,
+        commonName: rawCertData.commonName || parsedCert.commonName,
+        organization: rawCertData.organization || parsedCert.organization,
+        issuer: rawCertData.issuer || parsedCert.issuer,
+        validFrom: rawCertData.validFrom || parsedCert.validFrom,
+        validTo: rawCertData.validTo || parsedCert.validTo,
+      };
+    } catch (forgeErr) {
+      console.error(`Forge parsing error: ${forgeErr.message}. Using raw data only.`);
+      return rawCertData; // Still resolve with raw data on forge error
     }
-  });
+  } catch (err) {
+    console.error(`Error processing certificate: ${err.message}`);
+    throw new Error(`Failed to process certificate: ${err.message}`);
+  } finally {
+    socket.end();
+  }
 }
 
 // Helper function to extract certificate subject fields
@@ -178,13 +195,105 @@ function extractSubjectField(cert, fieldName) {
     const regex = new RegExp(`${fieldName}=([^,]+)`);
     const match = cert.subject.match(regex);
     return match ? match[1] : '';
-  } else if (cert.subject instanceof Object) {
-    return cert.subject[fieldName] || '';
+  } else if (typeof cert.subject === 'object') {
+    // Node.js builds subject objects without a prototype, so instanceof Object does not apply
+    const value = cert.subject[fieldName];
+    return Array.isArray(value) ? value.join(', ') : (value || '');
   }
   
   return '';
 }
 
+/**
+ * Walk the issuer links of a peer certificate and collect the chain above the leaf
+ * @param {Object} cert - Detailed peer certificate from socket.getPeerCertificate(true)
+ * @returns {Array} - Chain entries ordered from the leaf's issuer up to the root
+ */
+function extractChain(cert) {
+  const chain = [];
+  const seen = new Set([cert.fingerprint256]);
+  let current = cert.issuerCertificate;
+  
+  while (current && current.fingerprint256 && !seen.has(current.fingerprint256)) {
+    seen.add(current.fingerprint256);
+    
+    chain.push({
+      position: chain.length + 1,
+      fingerprint: current.fingerprint256,
+      subject: formatRawDN(current.subject),
+      issuer: formatRawDN(current.issuer),
+      serialNumber: current.serialNumber || null,
+      validFrom: toISODate(current.valid_from),
+      validTo: toISODate(current.valid_to),
+      // A root is issued by itself, which Node exposes as a self-reference
+      isRoot: current.issuerCertificate === current || formatRawDN(current.subject) === formatRawDN(current.issuer),
+      pem: current.raw ? toPem(current.raw) : null
+    });
+    
+    current = current.issuerCertificate;
+  }
+  
+  return chain;
+}
+
+/**
+ * Check whether a certificate is self-signed: issued by its own subject and
+ * carrying a signature made with its own key
+ * @param {Buffer} raw - DER encoded certificate
+ * @returns {boolean} - True if the certificate is self-signed
+ */
+function isSelfSigned(raw) {
+  if (!raw) return false;
+  
+  try {
+    const x509 = new crypto.X509Certificate(raw);
+    return x509.checkIssued(x509) && x509.verify(x509.publicKey);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Format a raw subject or issuer object as a DN string (e.g. "C=US, O=Example, CN=Example CA")
+function formatRawDN(dn) {
+  if (!dn) return 'Unknown';
+  
+  const fieldPairs = [];
+  for (const key of Object.keys(dn)) {
+    const values = Array.isArray(dn[key]) ? dn[key] : [dn[key]];
+    values.forEach(value => fieldPairs.push(`${key}=${value}`));
+  }
+  return fieldPairs.join(', ') || 'Unknown';
+}
+
+// Names of the extended key usage purposes seen on server certificates
+const EXTENDED_KEY_USAGES = {
+  '1.3.6.1.5.5.7.3.1': 'Server Authentication',
+  '1.3.6.1.5.5.7.3.2': 'Client Authentication',
+  '1.3.6.1.5.5.7.3.3': 'Code Signing',
+  '1.3.6.1.5.5.7.3.4': 'Email Protection',
+  '1.3.6.1.5.5.7.3.8': 'Time Stamping',
+  '1.3.6.1.5.5.7.3.9': 'OCSP Signing',
+  '2.5.29.37.0': 'Any Extended Key Usage'
+};
+
+// Format extended key usage OIDs as a comma separated list of names
+function formatExtendedKeyUsage(oids) {
+  if (!Array.isArray(oids)) return '';
+  return oids.map(oid => EXTENDED_KEY_USAGES[oid] || oid).join(', ');
+}
+
+// Encode a DER certificate as PEM
+function toPem(raw) {
+  const base64 = raw.toString('base64').match(/.{1,64}/g).join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${base64}\n-----END CERTIFICATE-----\n`;
+}
+
+// Convert an OpenSSL date string (e.g. "Jan  1 00:00:00 2025 GMT") to ISO format
+function toISODate(value) {
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
 // Format raw issuer information
 function formatRawIssuer(issuer) {
   if (!issuer) return 'Unknown';
@@ -194,8 +303,8 @@ function formatRawIssuer(issuer) {
     return issuer;
   }
   
-  // Handle object format
-  if (issuer instanceof Object) {
+  // Handle object format (prototype-less objects from Node.js included)
+  if (typeof issuer === 'object') {
     // Try common issuer fields in order of preference
     if (issuer.O) return issuer.O;
     if (issuer.CN) return issuer.CN;
@@ -215,19 +324,6 @@ function formatRawIssuer(issuer) {
   return 'Unknown';
 }
 
-// Calculate days remaining
-function calculateDaysRemaining(validTo) {
-  if (!validTo) return 0;
-  
-  try {
-    const expiryDate = new Date(validTo);
-    const now = new Date();
-    return Math.floor((expiryDate - now) / (1000 * 60 * 60 * 24));
-  } catch (e) {
-    return 0;
-  }
-}
-
 /**
  * Convert raw certificate data to PEM format
  * @param {Buffer} rawCert - Raw certificate data
@@ -255,9 +351,7 @@ function parseCertificate(cert) {
   console.log('Raw certificate data:', JSON.stringify(cert, null, 2));
   
   // Calculate days remaining
-  const validTo = new Date(cert.validity.notAfter);
-  const now = new Date();
-  const daysRemaining = Math.floor((validTo - now) / (1000 * 60 * 60 * 24));
+  const daysRemaining = expiry.daysRemaining(cert.validity.notAfter);
   
   // Format subject and issuer directly from raw certificate when possible
   const subjectFromRaw = cert.subject && typeof cert.subject === 'object' ? formatDN(cert.subject) : null;
@@ -280,20 +374,18 @@ function parseCertificate(cert) {
     console.error('Error extracting CN:', e.message);
   }
   
-  // Check if self-signed
-  const selfSigned = issuer === subject;
-  
-  // Format dates in local timezone
-  let validFrom, validToFormatted;
+  // Check if self-signed: the issuer matches the subject and the signature verifies with the certificate's own key
+  let selfSigned = false;
   try {
-    validFrom = moment(cert.validity.notBefore).format('YYYY-MM-DD HH:mm:ss');
-    validToFormatted = moment(cert.validity.notAfter).format('YYYY-MM-DD HH:mm:ss');
+    selfSigned = cert.isIssuer(cert) && cert.verify(cert);
   } catch (e) {
-    console.error('Error formatting dates:', e.message);
-    validFrom = new Date().toISOString();
-    validToFormatted = new Date().toISOString();
+    console.error('Error checking self-signed status:', e.message);
   }
   
+  // Dates are stored as ISO 8601 in UTC and formatted for display by the views
+  const validFrom = toISODate(cert.validity.notBefore);
+  const validToFormatted = toISODate(cert.validity.notAfter);
+  
   // Get certificate fingerprint in SHA-256 format
   let fingerprint = '';
   try {
@@ -376,7 +468,7 @@ function parseCertificate(cert) {
     selfSigned,
     daysRemaining,
     keyUsage: keyUsage.join(', '),
-    status: daysRemaining < 0 ? 'expired' : daysRemaining < 30 ? 'warning' : 'valid',
+    status: expiry.expiryStatus(cert.validity.notAfter) || 'valid',
     lastScanned: new Date().toISOString()
   };
   
@@ -397,53 +489,81 @@ function formatDN(dn) {
   }).join(', ');
 }
 
+/**
+ * Expand host entries into individual hosts using the configured maximum range size
+ * @param {Array} hosts - Hostnames, IP addresses, CIDR blocks (10.0.0.0/24) or dash ranges (10.0.0.1-10.0.0.50)
+ * @returns {Array} - Array of individual hostnames and IP addresses
+ */
+function expandHosts(hosts) {
+  return iprange.expandHosts(hosts, config.scanner.maxRangeSize);
+}
+
 /**
  * Scan multiple hosts for SSL certificates
- * @param {Array} hosts - Array of hostnames or IP addresses
+ * All host:port targets go through the scan pool shared by every running scan, so slow or
+ * unreachable hosts do not hold up the rest of the scan. Results keep the order of hosts and ports.
+ * @param {Array} hosts - Array of hostnames, IP addresses or IP ranges
  * @param {Array} ports - Array of ports to scan
  * @param {number} timeout - Connection timeout in milliseconds
+ * @param {Object} options - Scan options: protocol ('auto' picks one per port) and scan pool limits
  * @returns {Promise<Array>} - Array of certificate data objects
  */
-async function scanHosts(hosts, ports = [443], timeout = 5000) {
-  const results = [];
+async function scanHosts(hosts, ports = [443], timeout = 5000, options = {}) {
+  const { protocol = 'auto', ...poolOptions } = options;
   
   console.log(`Scanner: Starting scan of ${hosts.length} hosts on ${ports.length} ports`);
   
-  for (const host of hosts) {
+  // Each entry is either a list of targets to scan or an error result for an invalid range
+  const entries = [];
+  
+  for (const entry of hosts) {
     try {
-      // Check if it's an IP range with CIDR notation
-      if (host.includes('/')) {
-        console.log(`Scanner: IP range with CIDR detected: ${host}`);
-        // We'll process this as a single host for now
-        const hostResults = await scanHost(host, ports, timeout);
-        results.push(...hostResults);
-      } 
-      // Check if it's an IP range with dash notation (e.g., 192.168.1.1-192.168.1.10)
-      else if (host.includes('-')) {
-        console.log(`Scanner: IP range with dash notation detected: ${host}`);
-        // Process as a single host for now
-        // In a more robust implementation, this would expand to multiple IPs
-        const hostResults = await scanHost(host, ports, timeout);
-        results.push(...hostResults);
-      } 
-      else {
-        // Scan individual host
-        const hostResults = await scanHost(host, ports, timeout);
-        results.push(...hostResults);
+      if (iprange.isRange(entry)) {
+        // CIDR (10.0.0.0/24) or dash notation (10.0.0.1-10.0.0.50): every address is its own endpoint
+        const targets = expandHosts([entry]);
+        console.log(`Scanner: IP range ${entry} expanded to ${targets.length} hosts`);
+        entries.push({ targets });
+      } else {
+        entries.push({ targets: [entry] });
       }
     } catch (error) {
-      console.error(`Error scanning host ${host}: ${error.message}`);
-      // Add error entry
-      results.push({
-        host,
-        port: ports[0], // Use first port for error reporting
-        status: 'error',
-        error: error.message,
-        lastScanned: new Date().toISOString()
+      console.error(`Error expanding host entry ${entry}: ${error.message}`);
+      entries.push({
+        error: {
+          host: entry,
+          port: ports[0], // Use first port for error reporting
+          status: 'error',
+          error: error.message,
+          lastScanned: new Date().toISOString()
+        }
       });
     }
   }
   
+  const tasks = [];
+  for (const entry of entries) {
+    for (const host of entry.targets || []) {
+      for (const port of ports) {
+        tasks.push({ host, port, protocol });
+      }
+    }
+  }
+  
+  const scanned = await scanpool.runPool(tasks, (task, limits) => scanTarget(task, timeout, limits), poolOptions);
+  
+  // Put results back in input order, with range errors where their entry was
+  const results = [];
+  let taskIndex = 0;
+  for (const entry of entries) {
+    if (entry.error) {
+      results.push(entry.error);
+      continue;
+    }
+    const count = entry.targets.length * ports.length;
+    results.push(...scanned.slice(taskIndex, taskIndex + count));
+    taskIndex += count;
+  }
+  
   console.log(`Scanner: Completed scan of all hosts, found ${results.length} results`);
   return results;
 }
@@ -451,5 +571,6 @@ async function scanHosts(hosts, ports = [443], timeout = 5000) {
 module.exports = {
   scanHost,
   scanHosts,
+  expandHosts,
   getCertificate
 };
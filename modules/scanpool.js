@@ -0,0 +1,193 @@
+const iprange = require('./iprange');
+const config = require('./config');
+
+/**
+ * Get the subnet a host belongs to for per-subnet connection limits
+ * IPv4 addresses are grouped by /24, IPv6 addresses by /64. Hostnames form their own group
+ * because their address is not known before connecting.
+ * @param {string} host - Hostname or IP address
+ * @returns {string} - Subnet key
+ */
+function subnetKey(host) {
+  const ip = iprange.parseIp(host);
+
+  if (!ip) {
+    return host;
+  }
+
+  const hostBits = ip.version === 4 ? 8n : 64n;
+  return `${ip.version}:${(ip.value >> hostBits).toString(16)}`;
+}
+
+// Connections of all running scans; every runPool call draws from the same counters, so an
+// API scan, a web scan and a scheduled scan together stay within the configured limits
+const pool = {
+  active: 0,
+  activeByHost: new Map(),
+  activeBySubnet: new Map(),
+  lastStartByHost: new Map(),
+  // Waiting jobs grouped per host, hosts kept in order of their first job
+  queues: new Map(),
+  timer: null
+};
+
+// Start a job and take its connection from the pool counters
+function start(job) {
+  const { host, subnet } = job;
+
+  pool.active++;
+  pool.activeByHost.set(host, (pool.activeByHost.get(host) || 0) + 1);
+  pool.activeBySubnet.set(subnet, (pool.activeBySubnet.get(subnet) || 0) + 1);
+  pool.lastStartByHost.set(host, Date.now());
+
+  Promise.resolve()
+    .then(() => job.run())
+    .catch(err => {
+      console.error(`Scan pool: task for ${host} failed - ${err.message}`);
+      return undefined;
+    })
+    .then(result => {
+      pool.active--;
+      release(pool.activeByHost, host);
+      release(pool.activeBySubnet, subnet);
+      job.done(result);
+      dispatch();
+    });
+}
+
+// Decrement a counter, dropping it at zero so the maps do not grow with every host ever scanned
+function release(counts, key) {
+  const count = counts.get(key) - 1;
+  if (count > 0) {
+    counts.set(key, count);
+  } else {
+    counts.delete(key);
+  }
+}
+
+// Start every waiting job the limits allow
+function dispatch() {
+  clearTimeout(pool.timer);
+  pool.timer = null;
+
+  const now = Date.now();
+  let nextWake = Infinity;
+
+  for (const [host, queue] of pool.queues) {
+    while (queue.length > 0) {
+      const { subnet, limits } = queue[0];
+
+      if (pool.active >= limits.concurrency) break;
+      if ((pool.activeByHost.get(host) || 0) >= limits.perHostLimit) break;
+      if ((pool.activeBySubnet.get(subnet) || 0) >= limits.perSubnetLimit) break;
+
+      // Respect the minimum delay between connections to the same host
+      const readyAt = (pool.lastStartByHost.get(host) || 0) + limits.hostDelay;
+      if (readyAt > now) {
+        nextWake = Math.min(nextWake, readyAt);
+        break;
+      }
+
+      start(queue.shift());
+    }
+
+    if (queue.length === 0) {
+      pool.queues.delete(host);
+    }
+  }
+
+  // Hosts only blocked by the delay need a timer to be picked up again
+  if (nextWake !== Infinity) {
+    pool.timer = setTimeout(dispatch, nextWake - now);
+  }
+
+  // Once idle, forget start times that can no longer hold back a connection
+  if (pool.active === 0 && pool.queues.size === 0) {
+    for (const [host, startedAt] of pool.lastStartByHost) {
+      if (startedAt + config.scanner.hostDelay <= now) {
+        pool.lastStartByHost.delete(host);
+      }
+    }
+  }
+}
+
+/**
+ * Run scan tasks with bounded concurrency and per-host/per-subnet connection limits
+ * The limits apply to all scans together: tasks of concurrent calls share one pool.
+ * Results are returned in the same order as the tasks, regardless of completion order.
+ * @param {Array} tasks - Array of task objects, each with at least a `host` property
+ * @param {Function} worker - Async function called with a task and its limits, resolving to its result
+ * @param {Object} options - Limits overriding the configured defaults for these tasks
+ * @param {number} options.concurrency - Maximum number of connections open at once in the pool
+ * @param {number} options.perHostLimit - Maximum concurrent connections to a single host
+ * @param {number} options.perSubnetLimit - Maximum concurrent connections into one subnet
+ * @param {number} options.hostDelay - Minimum delay in milliseconds between connections to the same host
+ * @returns {Promise<Array>} - Array of results, in task order
+ */
+function runPool(tasks, worker, options = {}) {
+  const limits = {
+    concurrency: config.scanner.concurrency,
+    perHostLimit: config.scanner.perHostLimit,
+    perSubnetLimit: config.scanner.perSubnetLimit,
+    hostDelay: config.scanner.hostDelay,
+    ...options
+  };
+
+  return new Promise((resolve) => {
+    const results = new Array(tasks.length);
+    let remaining = tasks.length;
+
+    if (remaining === 0) {
+      resolve(results);
+      return;
+    }
+
+    tasks.forEach((task, index) => {
+      if (!pool.queues.has(task.host)) {
+        pool.queues.set(task.host, []);
+      }
+      pool.queues.get(task.host).push({
+        host: task.host,
+        subnet: subnetKey(task.host),
+        limits,
+        run: () => worker(task, limits),
+        done: result => {
+          results[index] = result;
+          remaining--;
+          if (remaining === 0) {
+            resolve(results);
+          }
+        }
+      });
+    });
+
+    dispatch();
+  });
+}
+
+/**
+ * Wait until a running task may open another connection to its host
+ * The pool spaces the first connection of each task; tasks that connect more than once,
+ * like the TLS probe, call this before every further connection so it respects the delay too.
+ * The task still holds its per-host slot, so these connections never exceed the per-host limit.
+ * @param {string} host - Hostname or IP address
+ * @param {number} hostDelay - Minimum delay in milliseconds between connections to the host
+ * @returns {Promise<void>}
+ */
+async function waitForHost(host, hostDelay = config.scanner.hostDelay) {
+  let readyAt = (pool.lastStartByHost.get(host) || 0) + hostDelay;
+
+  // Another task may take the host while this one waits, so check again after each wait
+  while (readyAt > Date.now()) {
+    await new Promise(resolve => setTimeout(resolve, readyAt - Date.now()));
+    readyAt = (pool.lastStartByHost.get(host) || 0) + hostDelay;
+  }
+
+  pool.lastStartByHost.set(host, Date.now());
+}
+
+module.exports = {
+  runPool,
+  waitForHost,
+  subnetKey
+};
@@ -1,11 +1,41 @@
 const schedule = require('node-schedule');
 const moment = require('moment');
-const scanner = require('./scanner');
 const db = require('./database');
+const pipeline = require('./pipeline');
+const alerts = require('./alerts');
+const digests = require('./digests');
+const schedules = require('./schedules');
+const config = require('./config');
 
 // Store active jobs
 const activeJobs = new Map();
 
+// Daily alert evaluation, kept apart from the scan jobs
+let alertJob = null;
+
+// Digest jobs by digest ID
+const digestJobs = new Map();
+
+// Scheduled scans running now by scan ID: { startedAt, queued } where queued is the note of
+// the run waiting for this one to finish, if any
+const runningScans = new Map();
+
+// What happens when a scheduled scan is due while its previous run is still going
+const OVERLAP_POLICIES = {
+  skip: 'Skip the run',
+  queue: 'Queue the run until the previous one finishes'
+};
+
+// Missed runs counted per scan at startup
+const MAX_MISSED_RUNS = 1000;
+
+// Digests go out at 07:00, weekly ones on Monday and monthly ones on the 1st
+const DIGEST_RULES = {
+  daily: '0 7 * * *',
+  weekly: '0 7 * * 1',
+  monthly: '0 7 1 * *'
+};
+
 /**
  * Initialize the scheduler and load all active scheduled scans
  */
@@ -18,17 +48,65 @@ async function initializeScheduler() {
   try {
     // Load all active scheduled scans
     const scheduledScans = await db.getAllScheduledScans();
+    const now = new Date();
+    const catchUps = [];
     
     for (const scan of scheduledScans) {
       if (scan.active) {
+        // Runs missed since the stored next run, before scheduling moves it on
+        const missed = getMissedRuns(scan, now);
+        if (missed.length > 0) {
+          catchUps.push({ scan, missed });
+        }
+        
         scheduleJob(scan);
       }
     }
     
     console.log(`Scheduler initialized with ${activeJobs.size} active jobs`);
+    
+    // Catch-up runs go on in the background
+    for (const { scan, missed } of catchUps) {
+      catchUp(scan, missed)
+        .catch(err => console.error(`Error catching up scheduled scan "${scan.name}" (ID: ${scan.id}):`, err.message));
+    }
   } catch (err) {
     console.error('Error initializing scheduler:', err.message);
   }
+  
+  scheduleAlertJob();
+  
+  try {
+    const enabledDigests = await db.getDigests({ enabledOnly: true });
+    enabledDigests.forEach(scheduleDigest);
+  } catch (err) {
+    console.error('Error loading digests:', err.message);
+  }
+}
+
+/**
+ * Schedule the daily alert evaluation, so alerts follow the expiry dates between scans
+ */
+function scheduleAlertJob() {
+  if (alertJob) {
+    alertJob.cancel();
+  }
+  
+  alertJob = schedule.scheduleJob(config.alerts.schedule, async function() {
+    try {
+      const { raised, resolved } = await alerts.evaluateAlerts();
+      console.log(`Alert evaluation completed: ${raised.length} raised, ${resolved} resolved`);
+    } catch (err) {
+      console.error('Error evaluating alerts:', err.message);
+    }
+  });
+  
+  if (!alertJob) {
+    console.error(`Invalid alert schedule "${config.alerts.schedule}", alerts are only evaluated after scans`);
+    return;
+  }
+  
+  console.log(`Alert evaluation scheduled - Next run: ${moment(alertJob.nextInvocation().toISOString()).format('YYYY-MM-DD HH:mm:ss')}`);
 }
 
 /**
@@ -48,51 +126,36 @@ function scheduleJob(scan) {
   }
   
   try {
-    // Parse frequency to create schedule rule
-    let rule;
-    
-    switch (scan.frequency) {
-      case 'hourly':
-        rule = '0 * * * *'; // Every hour
-        break;
-      case 'daily':
-        rule = '0 0 * * *'; // Every day at midnight
-        break;
-      case 'weekly':
-        rule = '0 0 * * 0'; // Every Sunday at midnight
-        break;
-      case 'monthly':
-        rule = '0 0 1 * *'; // 1st of each month at midnight
-        break;
-      default:
-        // Try to parse as custom cron expression
-        rule = scan.frequency;
-    }
+    // Keywords and cron expressions, evaluated in the time zone of the scan
+    const rule = { rule: schedules.cronExpression(scan.frequency), tz: scan.timezone || undefined };
     
     // Schedule the job
     const job = schedule.scheduleJob(rule, async function() {
       console.log(`Running scheduled scan: ${scan.name} (ID: ${scan.id})`);
       
       try {
-        // Perform the scan
-        const results = await scanner.scanHosts(scan.hosts, scan.ports);
+        // Perform the scan and save the results as a scan run, unless the previous run is still going
+        const run = await runScheduled(scan);
         
-        // Save results to database
-        for (const cert of results) {
-          await db.saveCertificate(cert);
+        if (run.results) {
+          console.log(`Completed scheduled scan: ${scan.name} (ID: ${scan.id})`);
+        } else {
+          // Move the next run time on, so a restart does not count this run as missed
+          await updateRunTimes(scan.id, false);
         }
-        
-        // Update last run and next run times
-        const lastRun = new Date().toISOString();
-        const nextRun = job.nextInvocation().toISOString();
-        await db.updateScheduledScanTimes(scan.id, lastRun, nextRun);
-        
-        console.log(`Completed scheduled scan: ${scan.name} (ID: ${scan.id})`);
       } catch (err) {
         console.error(`Error running scheduled scan ${scan.name} (ID: ${scan.id}):`, err.message);
       }
     });
     
+    // node-schedule gives no job for an expression it cannot parse
+    if (!job) {
+      console.error(`Invalid schedule "${scan.frequency}" for scan "${scan.name}" (ID: ${scan.id}), the scan is not scheduled`);
+      db.updateScheduledScanTimes(scan.id, scan.last_run || null, null)
+        .catch(err => console.error(`Error updating next run time for scan ${scan.id}:`, err.message));
+      return;
+    }
+    
     // Store the job
     activeJobs.set(scan.id, job);
     
@@ -100,7 +163,7 @@ function scheduleJob(scan) {
     const nextRun = job.nextInvocation().toISOString();
     
     // Update next run time in database
-    db.updateScheduledScanTimes(scan.id, scan.lastRun || null, nextRun)
+    db.updateScheduledScanTimes(scan.id, scan.last_run || null, nextRun)
       .catch(err => console.error(`Error updating next run time for scan ${scan.id}:`, err.message));
     
     console.log(`Scheduled scan "${scan.name}" (ID: ${scan.id}) - Next run: ${moment(nextRun).format('YYYY-MM-DD HH:mm:ss')}`);
@@ -109,6 +172,205 @@ function scheduleJob(scan) {
   }
 }
 
+// Scan request of a scheduled scan
+function scanRequest(scan, note) {
+  return {
+    trigger: 'scheduled',
+    scheduledScanId: scan.id,
+    hosts: scan.hosts,
+    ports: scan.ports,
+    protocol: scan.protocol,
+    note
+  };
+}
+
+/**
+ * Run a scheduled scan unless its previous run is still going
+ * An overlapping run is skipped or, with the 'queue' overlap policy, started when the
+ * previous run finishes (one queued run at most); either way the reason is recorded on
+ * the scan run.
+ * @param {Object} scan - Scheduled scan row
+ * @param {string} note - Why the run was started, if not on schedule
+ * @returns {Promise<Object>} - Scan run { runId, results, summary }, { runId, skipped: true } or { runId: null, queued: true }
+ */
+async function runScheduled(scan, note = null) {
+  const running = runningScans.get(scan.id);
+  
+  if (running) {
+    const since = moment(running.startedAt).format('YYYY-MM-DD HH:mm:ss');
+    
+    if (scan.overlap_policy === 'queue' && !running.queued) {
+      running.queued = [note, `Queued behind the run started at ${since}`].filter(Boolean).join('. ');
+      console.log(`Scheduled scan "${scan.name}" (ID: ${scan.id}) is still running, the next run is queued`);
+      return { runId: null, queued: true };
+    }
+    
+    const reason = running.queued
+      ? `Skipped: the run started at ${since} is still in progress and another run is already queued`
+      : `Skipped: the run started at ${since} is still in progress`;
+    const runId = await pipeline.recordSkippedRun(scanRequest(scan), [note, reason].filter(Boolean).join('. '));
+    return { runId, skipped: true };
+  }
+  
+  runningScans.set(scan.id, { startedAt: new Date(), queued: null });
+  
+  try {
+    const run = await pipeline.runScan(scanRequest(scan, note));
+    await updateRunTimes(scan.id, true);
+    return run;
+  } finally {
+    const { queued } = runningScans.get(scan.id);
+    runningScans.delete(scan.id);
+    
+    // Started right away so it takes the lock before another run can
+    if (queued) {
+      runScheduled(scan, queued)
+        .catch(err => console.error(`Error running queued scan ${scan.name} (ID: ${scan.id}):`, err.message));
+    }
+  }
+}
+
+// Store the run times of a scheduled scan, the last run time only if it ran; the next run time follows its job
+async function updateRunTimes(scanId, ran) {
+  const scan = await db.getScheduledScanById(scanId);
+  if (!scan) return;
+  
+  const job = activeJobs.get(scanId);
+  const nextInvocation = job ? job.nextInvocation() : null;
+  await db.updateScheduledScanTimes(
+    scanId,
+    ran ? new Date().toISOString() : scan.last_run,
+    nextInvocation ? nextInvocation.toISOString() : scan.next_run
+  );
+}
+
+/**
+ * Get the runs of a scheduled scan missed while the app was down
+ * @param {Object} scan - Scheduled scan row
+ * @param {Date} now - Current time
+ * @returns {Array<Date>} - Missed run times from the stored next run up to now, oldest first
+ */
+function getMissedRuns(scan, now) {
+  if (!scan.next_run || new Date(scan.next_run) > now) {
+    return [];
+  }
+  
+  try {
+    return schedules.getRunsBetween(scan.frequency, scan.timezone, new Date(scan.next_run), now, MAX_MISSED_RUNS);
+  } catch (err) {
+    console.error(`Error finding missed runs of scan "${scan.name}" (ID: ${scan.id}):`, err.message);
+    return [];
+  }
+}
+
+/**
+ * Apply the catch-up policy to the missed runs of a scheduled scan (see config.scheduler)
+ *   once   Run the scan once
+ *   skip   Record the missed runs as one skipped run
+ *   all    Run the scan once per missed run, one after the other, up to maxCatchUpRuns
+ * @param {Object} scan - Scheduled scan row
+ * @param {Array<Date>} missed - Missed run times, oldest first
+ * @param {string} policy - Catch-up policy
+ * @returns {Promise<void>}
+ */
+async function catchUp(scan, missed, policy = config.scheduler.catchUp) {
+  const count = missed.length >= MAX_MISSED_RUNS ? `${MAX_MISSED_RUNS} or more` : missed.length;
+  const missedRuns = `${count} run(s) missed since ${schedules.formatRunTime(missed[0], scan.timezone)} while CertifyEye was down`;
+  
+  console.log(`Scheduled scan "${scan.name}" (ID: ${scan.id}): ${missedRuns}, catch-up policy "${policy}"`);
+  
+  if (policy === 'skip') {
+    await pipeline.recordSkippedRun(scanRequest(scan), `Skipped ${missedRuns} (catch-up policy: skip)`);
+    return;
+  }
+  
+  if (policy !== 'all') {
+    await runScheduled(scan, `Catch-up of ${missedRuns}`);
+    return;
+  }
+  
+  // The most recent runs are caught up, older ones past the limit are recorded as skipped
+  const runs = missed.slice(Math.max(missed.length - config.scheduler.maxCatchUpRuns, 0));
+  const omitted = missed.length - runs.length;
+  
+  if (omitted > 0) {
+    await pipeline.recordSkippedRun(scanRequest(scan),
+      `Skipped ${omitted} of ${missedRuns}: at most ${config.scheduler.maxCatchUpRuns} missed runs are caught up`);
+  }
+  
+  for (const [index, time] of runs.entries()) {
+    try {
+      await runScheduled(scan, `Catch-up ${index + 1} of ${runs.length}: run due ${schedules.formatRunTime(time, scan.timezone)} was missed while CertifyEye was down`);
+    } catch (err) {
+      console.error(`Error in catch-up run of scan "${scan.name}" (ID: ${scan.id}):`, err.message);
+    }
+  }
+}
+
+/**
+ * Schedule a digest, or cancel its job when it is disabled
+ * @param {Object} digest - Digest row
+ */
+function scheduleDigest(digest) {
+  cancelDigest(digest.id);
+  
+  if (!digest.enabled) {
+    db.updateDigestRunTimes(digest.id, digest.last_run, null)
+      .catch(err => console.error(`Error updating next run time for digest ${digest.id}:`, err.message));
+    return;
+  }
+  
+  const job = schedule.scheduleJob(DIGEST_RULES[digest.frequency], async function() {
+    try {
+      // Reload the digest, its recipients and channels may have changed
+      const current = await db.getDigestById(digest.id);
+      if (!current) return;
+      
+      await digests.runDigest(current);
+      await db.updateDigestRunTimes(digest.id, new Date().toISOString(), job.nextInvocation().toISOString());
+    } catch (err) {
+      console.error(`Error running digest "${digest.name}" (ID: ${digest.id}):`, err.message);
+    }
+  });
+  
+  digestJobs.set(digest.id, job);
+  
+  const nextRun = job.nextInvocation().toISOString();
+  db.updateDigestRunTimes(digest.id, digest.last_run, nextRun)
+    .catch(err => console.error(`Error updating next run time for digest ${digest.id}:`, err.message));
+  
+  console.log(`Scheduled digest "${digest.name}" (ID: ${digest.id}) - Next run: ${moment(nextRun).format('YYYY-MM-DD HH:mm:ss')}`);
+}
+
+/**
+ * Cancel the job of a digest
+ * @param {number} digestId - Digest ID
+ */
+function cancelDigest(digestId) {
+  if (digestJobs.has(digestId)) {
+    digestJobs.get(digestId).cancel();
+    digestJobs.delete(digestId);
+  }
+}
+
+/**
+ * Run a digest immediately; its next run time stays the same
+ * @param {number} digestId - Digest ID
+ * @returns {Promise<Object>} - { reportId, counts, delivery }
+ */
+async function runDigestNow(digestId) {
+  const digest = await db.getDigestById(digestId);
+  
+  if (!digest) {
+    throw new Error(`Digest with ID ${digestId} not found`);
+  }
+  
+  const result = await digests.runDigest(digest);
+  await db.updateDigestRunTimes(digest.id, new Date().toISOString(), digest.next_run);
+  
+  return result;
+}
+
 /**
  * Cancel all scheduled jobs
  */
@@ -140,8 +402,9 @@ function getActiveJobs() {
 
 /**
  * Run a scheduled scan immediately
+ * Like a scheduled run, it is skipped or queued while the scan is already running.
  * @param {number} scanId - ID of the scheduled scan to run
- * @returns {Promise<Array>} - Array of scan results
+ * @returns {Promise<Object>} - Scan run: { runId, results, summary }, { runId, skipped: true } or { runId: null, queued: true }
  */
 async function runScanNow(scanId) {
   const scan = await db.getScheduledScanById(scanId);
@@ -152,27 +415,37 @@ async function runScanNow(scanId) {
   
   console.log(`Running scheduled scan immediately: ${scan.name} (ID: ${scan.id})`);
   
-  // Perform the scan
-  const results = await scanner.scanHosts(scan.hosts, scan.ports);
+  // Perform the scan and save the results as a scan run (next run time stays the same)
+  const run = await runScheduled(scan);
   
-  // Save results to database
-  for (const cert of results) {
-    await db.saveCertificate(cert);
+  if (run.results) {
+    console.log(`Completed immediate run of scheduled scan: ${scan.name} (ID: ${scan.id})`);
   }
   
-  // Update last run time (next run time stays the same)
-  const lastRun = new Date().toISOString();
-  await db.updateScheduledScanTimes(scan.id, lastRun, scan.nextRun);
-  
-  console.log(`Completed immediate run of scheduled scan: ${scan.name} (ID: ${scan.id})`);
-  
-  return results;
+  return run;
+}
+
+/**
+ * Tell whether a scheduled scan is running now
+ * @param {number} scanId - Scheduled scan ID
+ * @returns {Object|null} - { startedAt, queued } or null
+ */
+function getRunningScan(scanId) {
+  return runningScans.get(scanId) || null;
 }
 
 module.exports = {
+  OVERLAP_POLICIES,
   initializeScheduler,
   scheduleJob,
   cancelAllJobs,
   getActiveJobs,
-  runScanNow
+  runScanNow,
+  runScheduled,
+  getMissedRuns,
+  catchUp,
+  getRunningScan,
+  scheduleDigest,
+  cancelDigest,
+  runDigestNow
 };
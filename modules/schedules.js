@@ -0,0 +1,310 @@
+const cronParser = require('cron-parser');
+
+/**
+ * Schedules of scheduled scans
+ *
+ * A schedule is stored as its frequency, either one of the original keywords (hourly,
+ * daily, weekly, monthly) or a five-field cron expression, and an optional IANA time zone
+ * (the server time zone when empty). The form builds the common cron expressions from
+ * presets, so "daily at 02:30" or "weekdays at 06:00" need no cron syntax:
+ *
+ *   hourly     M * * * *
+ *   daily      M H * * *
+ *   weekdays   M H * * 1-5
+ *   weekly     M H * * D
+ *   monthly    M H D * *
+ *   custom     Any cron expression: minute hour day-of-month month day-of-week
+ */
+
+const SCHEDULE_TYPES = {
+  hourly: 'Every hour',
+  daily: 'Every day',
+  weekdays: 'Weekdays (Monday to Friday)',
+  weekly: 'Every week',
+  monthly: 'Every month',
+  custom: 'Custom cron expression'
+};
+
+// Cron expressions of the original frequency keywords
+const FREQUENCY_KEYWORDS = {
+  hourly: '0 * * * *', // Every hour
+  daily: '0 0 * * *', // Every day at midnight
+  weekly: '0 0 * * 0', // Every Sunday at midnight
+  monthly: '0 0 1 * *' // 1st of each month at midnight
+};
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+// Whole number from a form field within a range, null otherwise (parseInt would take '5x' as 5)
+function parseField(value, min, max) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) return null;
+
+  const number = parseInt(text, 10);
+  return number >= min && number <= max ? number : null;
+}
+
+/**
+ * Get the cron expression of a stored frequency
+ * @param {string} frequency - Frequency keyword or cron expression
+ * @returns {string} - Cron expression
+ */
+function cronExpression(frequency) {
+  return FREQUENCY_KEYWORDS[frequency] || String(frequency || '').trim();
+}
+
+/**
+ * Tell whether a time zone is a known IANA time zone
+ * @param {string} timezone - e.g. Europe/Berlin
+ * @returns {boolean}
+ */
+function isValidTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Time zones offered in the scheduler form
+ * @returns {Array<string>} - UTC followed by the IANA time zones
+ */
+function getTimeZones() {
+  return ['UTC', ...Intl.supportedValuesOf('timeZone').filter(zone => zone !== 'UTC')];
+}
+
+/**
+ * Get the next run times of a schedule
+ * @param {string} frequency - Frequency keyword or cron expression
+ * @param {string} timezone - IANA time zone, the server time zone when empty
+ * @param {number} count - Number of run times
+ * @param {Date} from - Start looking after this time
+ * @returns {Array<Date>} - Run times; throws when the expression is invalid
+ */
+function getNextRuns(frequency, timezone, count = 5, from = new Date()) {
+  const expression = cronExpression(frequency);
+
+  if (expression.split(/\s+/).length !== 5) {
+    throw new Error('expected 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const interval = cronParser.parseExpression(expression, { currentDate: from, tz: timezone || undefined });
+  const runs = [];
+
+  for (let i = 0; i < count && interval.hasNext(); i++) {
+    runs.push(interval.next().toDate());
+  }
+
+  return runs;
+}
+
+/**
+ * Get the run times of a schedule within a period, e.g. the runs missed while the app was down
+ * @param {string} frequency - Frequency keyword or cron expression
+ * @param {string} timezone - IANA time zone, the server time zone when empty
+ * @param {Date} from - Start of the period, included
+ * @param {Date} until - End of the period, included
+ * @param {number} limit - Most run times returned
+ * @returns {Array<Date>} - Run times, oldest first
+ */
+function getRunsBetween(frequency, timezone, from, until, limit = 1000) {
+  const interval = cronParser.parseExpression(cronExpression(frequency), {
+    currentDate: new Date(new Date(from).getTime() - 1),
+    endDate: until,
+    tz: timezone || undefined
+  });
+  const runs = [];
+
+  while (runs.length < limit && interval.hasNext()) {
+    runs.push(interval.next().toDate());
+  }
+
+  return runs;
+}
+
+/**
+ * Format a run time in the time zone of its schedule, e.g. "Mon 2026-10-19 02:30"
+ * @param {Date|string} time - Run time
+ * @param {string} timezone - IANA time zone, the server time zone when empty
+ * @returns {string}
+ */
+function formatRunTime(time, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || undefined,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+  return `${parts.weekday} ${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Build and validate a schedule from the scheduler form
+ * @param {Object} input - { scheduleType, minute, time, dayOfWeek, dayOfMonth, cron, timezone }
+ * @returns {Object} - { frequency, timezone, errors } where frequency is the cron expression to store
+ */
+function normalizeSchedule(input) {
+  const errors = [];
+  const type = input.scheduleType || 'daily';
+  const timezone = String(input.timezone || '').trim() || null;
+  let frequency = null;
+
+  if (!SCHEDULE_TYPES[type]) {
+    errors.push(`Invalid schedule. Supported schedules: ${Object.keys(SCHEDULE_TYPES).join(', ')}`);
+  }
+
+  const time = TIME_PATTERN.exec(String(input.time || '00:00').trim());
+  if (['daily', 'weekdays', 'weekly', 'monthly'].includes(type) && !time) {
+    errors.push('Invalid time, expected HH:MM in 24-hour format');
+  }
+  const [minute, hour] = time ? [parseInt(time[2], 10), parseInt(time[1], 10)] : [0, 0];
+
+  switch (type) {
+    case 'hourly': {
+      const atMinute = parseField(input.minute || 0, 0, 59);
+      if (atMinute === null) {
+        errors.push('Invalid minute, expected 0 to 59');
+      }
+      frequency = `${atMinute} * * * *`;
+      break;
+    }
+    case 'daily':
+      frequency = `${minute} ${hour} * * *`;
+      break;
+    case 'weekdays':
+      frequency = `${minute} ${hour} * * 1-5`;
+      break;
+    case 'weekly': {
+      const day = parseField(input.dayOfWeek, 0, 6);
+      if (day === null) {
+        errors.push('Invalid day of the week');
+      }
+      frequency = `${minute} ${hour} * * ${day}`;
+      break;
+    }
+    case 'monthly': {
+      const day = parseField(input.dayOfMonth, 1, 31);
+      if (day === null) {
+        errors.push('Invalid day of the month, expected 1 to 31');
+      }
+      frequency = `${minute} ${hour} ${day} * *`;
+      break;
+    }
+    case 'custom':
+      frequency = String(input.cron || '').trim().replace(/\s+/g, ' ');
+      if (!frequency) {
+        errors.push('Please provide a cron expression');
+      }
+      break;
+  }
+
+  if (timezone && !isValidTimeZone(timezone)) {
+    errors.push(`Unknown time zone: ${timezone}`);
+  }
+
+  // A schedule that parses but never runs (e.g. February 30th) is rejected too
+  if (errors.length === 0) {
+    try {
+      if (getNextRuns(frequency, timezone, 1).length === 0) {
+        errors.push(`Cron expression "${frequency}" never runs`);
+      }
+    } catch (err) {
+      errors.push(`Invalid cron expression "${frequency}": ${err.message}`);
+    }
+  }
+
+  return { frequency, timezone, errors };
+}
+
+/**
+ * Split a stored frequency into the scheduler form fields
+ * Expressions the presets cannot build are shown as custom cron expressions.
+ * @param {string} frequency - Frequency keyword or cron expression
+ * @returns {Object} - { scheduleType, minute, time, dayOfWeek, dayOfMonth, cron }
+ */
+function parseSchedule(frequency) {
+  const cron = cronExpression(frequency);
+  const fields = { scheduleType: 'custom', minute: 0, time: '00:00', dayOfWeek: 1, dayOfMonth: 1, cron };
+  const match = /^(\d{1,2}) (\*|\d{1,2}) (\*|\d{1,2}) \* (\*|[0-6]|1-5)$/.exec(cron);
+
+  if (!match) return fields;
+
+  const [, minute, hour, dayOfMonth, dayOfWeek] = match;
+  const time = `${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+
+  if (hour === '*') {
+    if (dayOfMonth === '*' && dayOfWeek === '*') {
+      return { ...fields, scheduleType: 'hourly', minute: parseInt(minute, 10) };
+    }
+    return fields;
+  }
+
+  if (dayOfMonth === '*') {
+    if (dayOfWeek === '*') return { ...fields, scheduleType: 'daily', time };
+    if (dayOfWeek === '1-5') return { ...fields, scheduleType: 'weekdays', time };
+    return { ...fields, scheduleType: 'weekly', time, dayOfWeek: parseInt(dayOfWeek, 10) };
+  }
+
+  if (dayOfWeek === '*') {
+    return { ...fields, scheduleType: 'monthly', time, dayOfMonth: parseInt(dayOfMonth, 10) };
+  }
+
+  return fields;
+}
+
+/**
+ * Describe a schedule in words, e.g. "Weekdays at 02:30 (Europe/Berlin)"
+ * @param {string} frequency - Frequency keyword or cron expression
+ * @param {string} timezone - IANA time zone, if any
+ * @returns {string}
+ */
+function describeSchedule(frequency, timezone) {
+  const fields = parseSchedule(frequency);
+  const at = `at ${fields.time}`;
+  let text;
+
+  switch (fields.scheduleType) {
+    case 'hourly':
+      text = fields.minute === 0 ? 'Every hour' : `Every hour at minute ${fields.minute}`;
+      break;
+    case 'daily':
+      text = `Every day ${at}`;
+      break;
+    case 'weekdays':
+      text = `Weekdays ${at}`;
+      break;
+    case 'weekly':
+      text = `Every ${WEEKDAYS[fields.dayOfWeek]} ${at}`;
+      break;
+    case 'monthly':
+      text = `Every month on day ${fields.dayOfMonth} ${at}`;
+      break;
+    default:
+      text = `Cron: ${fields.cron}`;
+  }
+
+  return timezone ? `${text} (${timezone})` : text;
+}
+
+module.exports = {
+  SCHEDULE_TYPES,
+  WEEKDAYS,
+  cronExpression,
+  isValidTimeZone,
+  getTimeZones,
+  getNextRuns,
+  getRunsBetween,
+  formatRunTime,
+  normalizeSchedule,
+  parseSchedule,
+  describeSchedule
+};
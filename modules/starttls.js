@@ -0,0 +1,360 @@
+const tls = require('tls');
+const net = require('net');
+
+// Protocols the scanner can speak before the TLS handshake
+const PROTOCOLS = {
+  tls: 'Direct TLS',
+  smtp: 'SMTP (STARTTLS)',
+  imap: 'IMAP (STARTTLS)',
+  pop3: 'POP3 (STLS)',
+  ftp: 'FTP (AUTH TLS)',
+  ldap: 'LDAP (StartTLS)',
+  postgres: 'PostgreSQL (SSLRequest)',
+  mysql: 'MySQL (SSL)',
+  xmpp: 'XMPP client (STARTTLS)',
+  'xmpp-server': 'XMPP server (STARTTLS)'
+};
+
+// Protocol used for well-known plaintext ports when the protocol is 'auto'
+const PORT_PROTOCOLS = {
+  21: 'ftp',
+  25: 'smtp',
+  110: 'pop3',
+  143: 'imap',
+  389: 'ldap',
+  587: 'smtp',
+  3306: 'mysql',
+  5222: 'xmpp',
+  5269: 'xmpp-server',
+  5432: 'postgres'
+};
+
+/**
+ * Work out which protocol to use for a port
+ * @param {number} port - Port being scanned
+ * @param {string} protocol - Explicit protocol, or 'auto' to pick one from the port number
+ * @returns {string} - Protocol key from PROTOCOLS
+ */
+function resolveProtocol(port, protocol = 'auto') {
+  if (!protocol || protocol === 'auto') {
+    return PORT_PROTOCOLS[port] || 'tls';
+  }
+
+  if (!PROTOCOLS[protocol]) {
+    throw new Error(`Unsupported protocol: ${protocol}`);
+  }
+
+  return protocol;
+}
+
+/**
+ * Check whether a protocol value from a form or API request is supported
+ * @param {string} protocol - Protocol key or 'auto'
+ * @returns {boolean} - True if the protocol can be used for scanning
+ */
+function isValidProtocol(protocol) {
+  return protocol === 'auto' || Object.prototype.hasOwnProperty.call(PROTOCOLS, protocol);
+}
+
+/**
+ * Send an optional command and wait until the collected reply is complete
+ * @param {net.Socket} socket - Plaintext socket
+ * @param {string|Buffer|null} command - Data to send first, if any
+ * @param {Function} isComplete - Called with the buffered reply, returns true once it is complete
+ * @returns {Promise<Buffer>} - The complete reply
+ */
+function exchange(socket, command, isComplete) {
+  return new Promise((resolve, reject) => {
+    let buffer = Buffer.alloc(0);
+
+    const cleanup = () => {
+      socket.removeListener('data', onData);
+      socket.removeListener('close', onClose);
+    };
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      if (isComplete(buffer)) {
+        cleanup();
+        resolve(buffer);
+      }
+    };
+
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Connection closed by server'));
+    };
+
+    socket.on('data', onData);
+    socket.once('close', onClose);
+
+    if (command) {
+      socket.write(command);
+    }
+  });
+}
+
+// Last complete line of a text reply, or null if no line has been terminated yet
+function lastLine(buffer) {
+  const lines = buffer.toString('utf8').split(/\r?\n/);
+  lines.pop(); // Incomplete (or empty) text after the last line break
+  return lines.length > 0 ? lines[lines.length - 1] : null;
+}
+
+// SMTP and FTP replies end with a "<code> " line, continuation lines use "<code>-"
+function isReplyComplete(buffer) {
+  const line = lastLine(buffer);
+  return line !== null && /^\d{3}( |$)/.test(line);
+}
+
+function replyCode(buffer) {
+  return parseInt(lastLine(buffer).slice(0, 3), 10);
+}
+
+async function expectReply(socket, command, expectedCode) {
+  const reply = await exchange(socket, command, isReplyComplete);
+  const code = replyCode(reply);
+
+  if (code !== expectedCode) {
+    throw new Error(`Unexpected reply: ${lastLine(reply)}`);
+  }
+  return reply;
+}
+
+// IMAP and POP3 replies are single status lines
+async function expectLine(socket, command, pattern) {
+  const reply = await exchange(socket, command, buffer => lastLine(buffer) !== null);
+  const line = lastLine(reply);
+
+  if (!pattern.test(line)) {
+    throw new Error(`Unexpected reply: ${line}`);
+  }
+  return line;
+}
+
+/**
+ * Read a BER length at the given offset
+ * @returns {Object|null} - { length, offset } of the content, or null if more data is needed
+ */
+function readBerLength(buffer, offset) {
+  if (offset >= buffer.length) return null;
+
+  const first = buffer[offset];
+  if (first < 0x80) {
+    return { length: first, offset: offset + 1 };
+  }
+
+  const bytes = first & 0x7f;
+  if (offset + 1 + bytes > buffer.length) return null;
+
+  let length = 0;
+  for (let i = 0; i < bytes; i++) {
+    length = (length << 8) + buffer[offset + 1 + i];
+  }
+  return { length, offset: offset + 1 + bytes };
+}
+
+const negotiators = {
+  async smtp(socket) {
+    await expectReply(socket, null, 220);
+    const ehlo = await expectReply(socket, 'EHLO certifyeye.local\r\n', 250);
+
+    if (!/STARTTLS/i.test(ehlo.toString('utf8'))) {
+      throw new Error('Server does not advertise STARTTLS');
+    }
+
+    await expectReply(socket, 'STARTTLS\r\n', 220);
+  },
+
+  async imap(socket) {
+    await expectLine(socket, null, /^\* (OK|PREAUTH)/i);
+    await expectLine(socket, 'a001 STARTTLS\r\n', /^a001 OK/i);
+  },
+
+  async pop3(socket) {
+    await expectLine(socket, null, /^\+OK/);
+    await expectLine(socket, 'STLS\r\n', /^\+OK/);
+  },
+
+  async ftp(socket) {
+    await expectReply(socket, null, 220);
+    await expectReply(socket, 'AUTH TLS\r\n', 234);
+  },
+
+  async ldap(socket) {
+    // ExtendedRequest (messageID 1) with the StartTLS OID 1.3.6.1.4.1.1466.20037
+    const oid = Buffer.from('1.3.6.1.4.1.1466.20037', 'ascii');
+    const request = Buffer.concat([
+      Buffer.from([0x30, oid.length + 7, 0x02, 0x01, 0x01, 0x77, oid.length + 2, 0x80, oid.length]),
+      oid
+    ]);
+
+    const response = await exchange(socket, request, (buffer) => {
+      const header = readBerLength(buffer, 1);
+      return header !== null && buffer.length >= header.offset + header.length;
+    });
+
+    // LDAPMessage { messageID INTEGER, ExtendedResponse [APPLICATION 24] { resultCode ENUMERATED, ... } }
+    let offset = readBerLength(response, 1).offset;
+    if (response[offset] !== 0x02) {
+      throw new Error('Unexpected LDAP response');
+    }
+
+    const messageId = readBerLength(response, offset + 1);
+    offset = messageId.offset + messageId.length;
+    if (response[offset] !== 0x78) {
+      throw new Error('Unexpected LDAP response');
+    }
+
+    offset = readBerLength(response, offset + 1).offset;
+    if (response[offset] !== 0x0a) {
+      throw new Error('Unexpected LDAP response');
+    }
+
+    const resultCode = response[readBerLength(response, offset + 1).offset];
+    if (resultCode !== 0) {
+      throw new Error(`StartTLS refused with LDAP result code ${resultCode}`);
+    }
+  },
+
+  async postgres(socket) {
+    // SSLRequest: length 8, request code 80877103
+    const response = await exchange(socket, Buffer.from([0, 0, 0, 8, 0x04, 0xd2, 0x16, 0x2f]), buffer => buffer.length >= 1);
+
+    if (response[0] !== 0x53) { // 'S'
+      throw new Error('Server does not support SSL');
+    }
+  },
+
+  async mysql(socket) {
+    // Initial handshake packet: 3-byte length, sequence id, payload
+    const packetComplete = buffer => buffer.length >= 4 && buffer.length >= 4 + buffer.readUIntLE(0, 3);
+    const handshake = await exchange(socket, null, packetComplete);
+    const payload = handshake.subarray(4, 4 + handshake.readUIntLE(0, 3));
+
+    if (payload[0] === 0xff) {
+      throw new Error(`Server error: ${payload.subarray(3).toString('utf8')}`);
+    }
+
+    // Skip protocol version, null-terminated server version, connection id, auth data and filler
+    const versionEnd = payload.indexOf(0x00, 1);
+    const capabilities = payload.readUInt16LE(versionEnd + 1 + 4 + 8 + 1);
+    const CLIENT_SSL = 0x0800;
+
+    if (!(capabilities & CLIENT_SSL)) {
+      throw new Error('Server does not support SSL');
+    }
+
+    // SSLRequest packet: capability flags, max packet size, charset, 23 filler bytes
+    const request = Buffer.alloc(4 + 32);
+    request.writeUIntLE(32, 0, 3);
+    request[3] = 1;
+    request.writeUInt32LE(0x00000001 | 0x00000200 | CLIENT_SSL | 0x00008000, 4);
+    request.writeUInt32LE(16777216, 8);
+    request[12] = 0x21; // utf8_general_ci
+    socket.write(request);
+  },
+
+  async xmpp(socket, host) {
+    await xmppStartTls(socket, host, 'jabber:client');
+  },
+
+  async 'xmpp-server'(socket, host) {
+    await xmppStartTls(socket, host, 'jabber:server');
+  }
+};
+
+// Escape a value for an XML attribute
+function escapeXml(value) {
+  return String(value).replace(/[&<>'"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', "'": '&apos;', '"': '&quot;' })[char]);
+}
+
+async function xmppStartTls(socket, host, namespace) {
+  const header = `<?xml version='1.0'?><stream:stream to='${escapeXml(host)}' xmlns='${namespace}' ` +
+    `xmlns:stream='http://etherx.jabber.org/streams' version='1.0'>`;
+
+  const features = await exchange(socket, header, buffer => /<\/stream:features>|<stream:features\/>/.test(buffer.toString('utf8')));
+
+  if (!/<starttls/.test(features.toString('utf8'))) {
+    throw new Error('Server does not advertise STARTTLS');
+  }
+
+  const reply = await exchange(socket, "<starttls xmlns='urn:ietf:params:xml:ns:xmpp-tls'/>", buffer => /<(proceed|failure)/.test(buffer.toString('utf8')));
+
+  if (!/<proceed/.test(reply.toString('utf8'))) {
+    throw new Error('Server refused STARTTLS');
+  }
+}
+
+/**
+ * Open a TLS connection, running the protocol's plaintext upgrade first when needed
+ * @param {string} host - Hostname or IP address
+ * @param {number} port - Port to connect to
+ * @param {Object} tlsOptions - Options passed to tls.connect (ciphers, versions, ca, ...)
+ * @param {Object} options - Connection options
+ * @param {string} options.protocol - Protocol key from PROTOCOLS, or 'auto'
+ * @param {number} options.timeout - Time allowed for connecting, upgrading and the handshake, in milliseconds
+ * @returns {Promise<tls.TLSSocket>} - Socket after a successful handshake
+ */
+function connectTls(host, port, tlsOptions = {}, options = {}) {
+  const timeout = options.timeout || 10000;
+  const protocol = resolveProtocol(port, options.protocol);
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    let plainSocket = null;
+    let tlsSocket = null;
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      if (tlsSocket) tlsSocket.destroy();
+      if (plainSocket) plainSocket.destroy();
+      reject(err);
+    };
+
+    const timer = setTimeout(() => fail(new Error(`Connection timeout after ${timeout}ms`)), timeout);
+
+    const startTls = (socket) => {
+      tlsSocket = tls.connect({
+        ...tlsOptions,
+        host,
+        port,
+        socket,
+        servername: net.isIP(host) ? undefined : host  // SNI does not allow IP addresses
+      }, () => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        resolve(tlsSocket);
+      });
+
+      // Keep a listener after the handshake so late errors do not crash the process
+      tlsSocket.on('error', err => fail(new Error(`Connection error: ${err.message}`)));
+    };
+
+    if (protocol === 'tls') {
+      startTls(undefined);
+      return;
+    }
+
+    plainSocket = net.connect({ host, port });
+    plainSocket.on('error', err => fail(new Error(`Connection error: ${err.message}`)));
+    plainSocket.once('connect', () => {
+      negotiators[protocol](plainSocket, host)
+        .then(() => {
+          if (!settled) startTls(plainSocket);
+        })
+        .catch(err => fail(new Error(`${PROTOCOLS[protocol]} upgrade failed: ${err.message}`)));
+    });
+  });
+}
+
+module.exports = {
+  PROTOCOLS,
+  PORT_PROTOCOLS,
+  resolveProtocol,
+  isValidProtocol,
+  connectTls
+};
@@ -0,0 +1,151 @@
+const starttls = require('./starttls');
+const scanpool = require('./scanpool');
+const config = require('./config');
+
+// Protocol versions probed, oldest first
+const TLS_VERSIONS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+
+// Versions that are deprecated (RFC 8996) and flagged when a server still accepts them
+const DEPRECATED_VERSIONS = ['TLSv1', 'TLSv1.1'];
+
+// TLS 1.3 suites are configured separately from the OpenSSL cipher string
+const TLS13_CIPHERS = [
+  'TLS_AES_256_GCM_SHA384',
+  'TLS_CHACHA20_POLY1305_SHA256',
+  'TLS_AES_128_GCM_SHA256',
+  'TLS_AES_128_CCM_SHA256',
+  'TLS_AES_128_CCM_8_SHA256'
+];
+
+// Everything OpenSSL knows, including ciphers that are disabled by default
+const LEGACY_CIPHERS = 'ALL:COMPLEMENTOFALL:@SECLEVEL=0';
+
+/**
+ * Classify a negotiated cipher suite
+ * @param {string} version - Protocol version the suite was negotiated with
+ * @param {string} standardName - IANA name, e.g. TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256
+ * @returns {Object} - { forwardSecrecy, weak, weakReason }
+ */
+function classifyCipher(version, standardName) {
+  const name = standardName || '';
+  // TLS 1.3 always uses ephemeral key exchange; before that only (EC)DHE suites do
+  const forwardSecrecy = version === 'TLSv1.3' || /_(EC)?DHE_/.test(name);
+
+  let weakReason = null;
+  if (/_anon_/.test(name)) {
+    weakReason = 'Anonymous key exchange (no server authentication)';
+  } else if (/_NULL_|_WITH_NULL/.test(name)) {
+    weakReason = 'No encryption (NULL cipher)';
+  } else if (/_EXPORT/.test(name)) {
+    weakReason = 'Export-grade cipher';
+  } else if (/_RC4_/.test(name)) {
+    weakReason = 'RC4 stream cipher';
+  } else if (/_3DES_|_DES_|_DES40_/.test(name)) {
+    weakReason = 'DES/3DES block cipher (64-bit block)';
+  } else if (/_MD5$/.test(name)) {
+    weakReason = 'MD5 message authentication';
+  } else if (/_CBC_/.test(name) && DEPRECATED_VERSIONS.includes(version)) {
+    weakReason = `CBC mode on ${version}`;
+  }
+
+  return { forwardSecrecy, weak: weakReason !== null, weakReason };
+}
+
+/**
+ * Try a single handshake and report the negotiated cipher
+ * Handshakes are spaced by the scan pool's per-host delay like any other connection.
+ * @returns {Promise<Object|null>} - Cipher from socket.getCipher(), or null if the handshake failed
+ */
+async function tryHandshake(host, port, tlsOptions, options) {
+  await scanpool.waitForHost(host, options.hostDelay);
+
+  let socket;
+  try {
+    socket = await starttls.connectTls(host, port, {
+      rejectUnauthorized: false,
+      checkServerIdentity: () => undefined,
+      ...tlsOptions
+    }, options);
+    return socket.getCipher();
+  } catch (err) {
+    return null;
+  } finally {
+    if (socket) socket.destroy();
+  }
+}
+
+/**
+ * Enumerate the cipher suites a server accepts for one protocol version
+ * Each handshake offers every suite not seen yet, so the server picks its next
+ * preferred one until it has nothing left in common with us.
+ * @param {number} limit - Maximum number of suites, and so of handshakes
+ * @returns {Promise<Array>} - Accepted suites in the server's order of preference
+ */
+async function enumerateCiphers(host, port, version, options, limit) {
+  const accepted = [];
+
+  while (accepted.length < limit) {
+    let ciphers;
+    if (version === 'TLSv1.3') {
+      const remaining = TLS13_CIPHERS.filter(name => !accepted.some(c => c.name === name));
+      if (remaining.length === 0) break;
+      ciphers = remaining.join(':');
+    } else {
+      ciphers = [LEGACY_CIPHERS, ...accepted.map(c => `!${c.name}`)].join(':');
+    }
+
+    const cipher = await tryHandshake(host, port, { minVersion: version, maxVersion: version, ciphers }, options);
+    if (!cipher || accepted.some(c => c.name === cipher.name)) break;
+
+    accepted.push({
+      version,
+      name: cipher.name,
+      standardName: cipher.standardName || cipher.name,
+      ...classifyCipher(version, cipher.standardName || cipher.name)
+    });
+  }
+
+  return accepted;
+}
+
+/**
+ * Find the protocol versions and cipher suites an endpoint accepts
+ * Versions take one handshake each. Cipher suites are only enumerated when
+ * config.tlsProbe.ciphers is set, as that takes a handshake per accepted suite.
+ * Only suites the local OpenSSL build supports can be detected.
+ * @param {string} host - Hostname or IP address
+ * @param {number} port - Port to connect to
+ * @param {Object} options - { protocol, timeout } as for starttls.connectTls, and the hostDelay between handshakes
+ * @returns {Promise<Object>} - { protocols: [version, ...], ciphers: [{ version, name, standardName, forwardSecrecy, weak, weakReason }] },
+ *                              ciphers is null when they were not enumerated
+ */
+async function probeTls(host, port, options = {}) {
+  const enumerate = config.tlsProbe.ciphers;
+  const protocols = [];
+  const ciphers = [];
+
+  for (const version of TLS_VERSIONS) {
+    // A single accepted suite is enough to tell the version is supported
+    const accepted = await enumerateCiphers(host, port, version, options, enumerate ? config.tlsProbe.maxCiphersPerVersion : 1);
+
+    if (accepted.length > 0) {
+      protocols.push(version);
+      ciphers.push(...accepted);
+    }
+  }
+
+  if (!enumerate) {
+    console.log(`TLS probe of ${host}:${port}: ${protocols.join(', ') || 'no versions'}`);
+    return { protocols, ciphers: null };
+  }
+
+  console.log(`TLS probe of ${host}:${port}: ${protocols.join(', ') || 'no versions'}, ${ciphers.length} cipher suites`);
+  return { protocols, ciphers };
+}
+
+module.exports = {
+  TLS_VERSIONS,
+  DEPRECATED_VERSIONS,
+  classifyCipher,
+  probeTls
+};
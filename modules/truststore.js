@@ -0,0 +1,110 @@
+const tls = require('tls');
+const crypto = require('crypto');
+const db = require('./database');
+
+// PEM blocks of the uploaded internal root CAs, kept in memory for the scanner
+let customCAs = [];
+
+/**
+ * Load the uploaded CA certificates from the database
+ * Called on startup and whenever the list of trusted CAs changes.
+ * @returns {Promise<number>} - Number of custom CAs loaded
+ */
+async function loadTrustStore() {
+  const cas = await db.getAllTrustedCAs();
+  customCAs = cas.map(ca => ca.pem);
+  console.log(`Trust store loaded with ${customCAs.length} custom CA certificates`);
+  return customCAs.length;
+}
+
+/**
+ * Get the CA bundle used to validate scanned chains
+ * @returns {Array<string>} - Node default root certificates followed by the custom CAs
+ */
+function getCABundle() {
+  return [...tls.rootCertificates, ...customCAs];
+}
+
+/**
+ * Split a PEM bundle into individual certificates and parse each one
+ * @param {string} pemText - One or more PEM encoded certificates
+ * @returns {Array<Object>} - Parsed certificates with subject, fingerprint, validTo and pem
+ */
+function parsePemBundle(pemText) {
+  const blocks = String(pemText || '').match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+
+  if (blocks.length === 0) {
+    throw new Error('No PEM encoded certificate found');
+  }
+
+  return blocks.map(pem => {
+    let x509;
+    try {
+      x509 = new crypto.X509Certificate(pem);
+    } catch (err) {
+      throw new Error(`Invalid certificate: ${err.message}`);
+    }
+
+    return {
+      subject: x509.subject.split('\n').join(', '),
+      fingerprint: x509.fingerprint256,
+      validTo: new Date(x509.validTo).toISOString(),
+      isCA: x509.ca,
+      pem: `${pem}\n`
+    };
+  });
+}
+
+/**
+ * Add the certificates of a PEM bundle to the trust store
+ * @param {string} name - Display name for the CA(s)
+ * @param {string} pemText - One or more PEM encoded CA certificates
+ * @returns {Promise<number>} - Number of certificates added
+ */
+async function addTrustedCAs(name, pemText) {
+  const certificates = parsePemBundle(pemText);
+
+  // Check the whole bundle first, so a bad certificate leaves the trust store as it was
+  const notCA = certificates.find(cert => !cert.isCA);
+  if (notCA) {
+    throw new Error(`${notCA.subject} is not a CA certificate`);
+  }
+
+  // Skip certificates already trusted and repeats within the bundle
+  const known = new Set((await db.getAllTrustedCAs()).map(ca => ca.fingerprint));
+  const added = certificates.filter(cert => {
+    if (known.has(cert.fingerprint)) return false;
+    known.add(cert.fingerprint);
+    return true;
+  });
+
+  await db.saveTrustedCAs(added.map(cert => ({
+    name: certificates.length > 1 ? `${name} (${cert.subject})` : name,
+    subject: cert.subject,
+    fingerprint: cert.fingerprint,
+    validTo: cert.validTo,
+    pem: cert.pem
+  })));
+
+  await loadTrustStore();
+  return added.length;
+}
+
+/**
+ * Remove a CA certificate from the trust store
+ * @param {number} id - Trusted CA ID
+ * @returns {Promise<boolean>} - True if the CA was removed
+ */
+async function removeTrustedCA(id) {
+  const removed = await db.deleteTrustedCA(id);
+  await loadTrustStore();
+  return removed;
+}
+
+module.exports = {
+  loadTrustStore,
+  getCABundle,
+  parsePemBundle,
+  addTrustedCAs,
+  removeTrustedCA
+};
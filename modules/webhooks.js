@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const db = require('./database');
+const config = require('./config');
+
+/**
+ * Webhook notification channels
+ *
+ * Alerts (for the rules a channel is assigned to), digests (for the digests a channel is
+ * assigned to) and, optionally, certificate change events are POSTed as JSON in one of
+ * three formats:
+ *
+ *   webhook  Generic JSON; with a secret, signed with HMAC-SHA256 over "<timestamp>.<body>"
+ *            in the X-CertifyEye-Signature header (sha256=<hex>), the Unix timestamp
+ *            being in X-CertifyEye-Timestamp
+ *   slack    Slack incoming webhook message (text and blocks)
+ *   teams    Microsoft Teams incoming webhook message card
+ *
+ * Network errors, timeouts, 429 and 5xx answers are retried with exponential backoff
+ * (see config.webhooks). Every message and its attempts are recorded in the delivery log.
+ */
+
+const CHANNEL_TYPES = {
+  webhook: 'Generic JSON webhook',
+  slack: 'Slack',
+  teams: 'Microsoft Teams'
+};
+
+// Event names in the generic payload and the X-CertifyEye-Event header
+const EVENT_NAMES = {
+  alerts: 'alerts.raised',
+  change: 'certificate.changed',
+  digest: 'digest.created',
+  test: 'test'
+};
+
+// Size limits of chat messages: Slack headers take 150 characters and sections 3000, with
+// at most 50 blocks per message; Teams cards are kept well under their 28 KB limit
+const CHAT_TITLE_LIMIT = 150;
+const SLACK_SECTION_LIMIT = 3000;
+const SLACK_MAX_SECTIONS = 40;
+const TEAMS_SECTION_LIMIT = 5000;
+const TEAMS_MAX_SECTIONS = 4;
+
+/**
+ * Validate notification channel input
+ * @param {Object} input - { name, type, url, secret, sendChanges, enabled }
+ * @returns {Object} - { channel, errors }
+ */
+function normalizeChannel(input) {
+  const errors = [];
+  const flag = value => value === true || value === 'true' || value === 'on';
+  const channel = {
+    name: String(input.name || '').trim(),
+    type: input.type,
+    url: String(input.url || '').trim(),
+    secret: String(input.secret || '').trim() || null,
+    sendChanges: flag(input.sendChanges),
+    enabled: input.enabled === undefined ? true : flag(input.enabled)
+  };
+
+  if (!channel.name) {
+    errors.push('Please provide a name for the channel');
+  }
+
+  if (!CHANNEL_TYPES[channel.type]) {
+    errors.push(`Invalid channel type. Supported types: ${Object.keys(CHANNEL_TYPES).join(', ')}`);
+  }
+
+  let url = null;
+  try {
+    url = new URL(channel.url);
+  } catch (err) {
+    // Reported below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    errors.push('Invalid URL, expected an http:// or https:// address');
+  }
+
+  return { channel, errors };
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret of the channel
+ * @param {number} timestamp - Unix time in seconds, sent in X-CertifyEye-Timestamp
+ * @param {string} body - Request body
+ * @returns {string} - Hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Fields of a raised alert sent to the channels
+function alertData(alert) {
+  const cert = alert.certificate || {};
+
+  return {
+    id: alert.id,
+    rule: alert.ruleName,
+    condition: alert.condition,
+    threshold: alert.threshold,
+    host: alert.host,
+    port: alert.port,
+    message: alert.message,
+    commonName: cert.common_name || null,
+    issuer: cert.issuer || null,
+    validTo: cert.valid_to || null,
+    daysRemaining: cert.days_remaining === undefined ? null : cert.days_remaining,
+    environment: cert.environment || null,
+    owner: cert.owner || null,
+    team: cert.team || null,
+    tags: cert.tags || [],
+    triggeredAt: alert.triggeredAt
+  };
+}
+
+// Fields of a certificate change event sent to the channels
+function changeData(change) {
+  return {
+    certificateId: change.certificateId,
+    host: change.host,
+    port: change.port,
+    type: change.type,
+    details: change.details,
+    detectedAt: change.detectedAt,
+    previousFingerprint: change.previousFingerprint,
+    newFingerprint: change.newFingerprint,
+    previousIssuer: change.previousIssuer,
+    newIssuer: change.newIssuer,
+    previousValidTo: change.previousValidTo,
+    newValidTo: change.newValidTo
+  };
+}
+
+// Fields of an archived digest sent to the channels
+function digestData(digest) {
+  return {
+    reportId: digest.reportId,
+    name: digest.name,
+    periodStart: digest.periodStart,
+    periodEnd: digest.periodEnd,
+    counts: digest.counts,
+    html: digest.html
+  };
+}
+
+/**
+ * One line per item of an event, for chat messages and the delivery log
+ * @param {Object} event - { type: 'alerts', alerts }, { type: 'change', change }, { type: 'digest', digest }
+ *                         or { type: 'test' }
+ * @returns {Object} - { title, lines }
+ */
+function describe(event) {
+  if (event.type === 'alerts') {
+    return {
+      title: event.alerts.length === 1 ? 'Certificate alert' : `${event.alerts.length} certificate alerts`,
+      lines: event.alerts.map(alert => alert.message)
+    };
+  }
+
+  if (event.type === 'change') {
+    const { change } = event;
+    return {
+      title: `Certificate ${change.type} on ${change.host}:${change.port}`,
+      lines: change.details && change.details.length > 0 ? change.details : [`Certificate ${change.type}`]
+    };
+  }
+
+  if (event.type === 'digest') {
+    return { title: event.digest.title, lines: event.digest.lines };
+  }
+
+  return { title: 'CertifyEye test message', lines: ['This channel is set up correctly.'] };
+}
+
+// Cut a text to a length, marking the cut with an ellipsis
+function truncate(text, limit) {
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+}
+
+/**
+ * Pack lines into chunks of bounded length, for the sections of a chat message
+ * Lines that do not fit in maxChunks are left out and counted in a last "…and N more" chunk.
+ * @param {Array<string>} lines - Lines of the message
+ * @param {number} limit - Most characters per chunk
+ * @param {number} maxChunks - Most chunks, the "…and N more" chunk included
+ * @param {string} separator - Joins the lines of a chunk
+ * @returns {Array<string>} - Chunks
+ */
+function packLines(lines, limit, maxChunks, separator = '\n') {
+  const chunks = [];
+  let current = '';
+  let packed = 0;
+
+  for (const line of lines.map(text => truncate(text, limit))) {
+    if (current && current.length + separator.length + line.length > limit) {
+      // Keep room for this chunk, the next one and the "…and N more" chunk
+      if (chunks.length + 3 > maxChunks) break;
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}${separator}${line}` : line;
+    packed++;
+  }
+
+  if (current) chunks.push(current);
+  if (packed < lines.length) chunks.push(`…and ${lines.length - packed} more`);
+
+  return chunks;
+}
+
+/**
+ * Build the request body of an event for a channel type
+ * @param {string} type - Channel type, one of CHANNEL_TYPES
+ * @param {Object} event - See describe()
+ * @returns {Object} - JSON payload
+ */
+function formatPayload(type, event) {
+  const { title, lines } = describe(event);
+
+  // A first evaluation of a large inventory can raise hundreds of alerts at once
+  if (type === 'slack') {
+    return {
+      text: truncate(`${title}: ${lines.join('; ')}`, SLACK_SECTION_LIMIT),
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: truncate(title, CHAT_TITLE_LIMIT) } },
+        ...packLines(lines.map(line => `• ${line}`), SLACK_SECTION_LIMIT, SLACK_MAX_SECTIONS)
+          .map(text => ({ type: 'section', text: { type: 'mrkdwn', text } }))
+      ]
+    };
+  }
+
+  if (type === 'teams') {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary: truncate(title, CHAT_TITLE_LIMIT),
+      themeColor: event.type === 'alerts' ? 'D9534F' : '0275D8',
+      title: truncate(title, CHAT_TITLE_LIMIT),
+      sections: packLines(lines, TEAMS_SECTION_LIMIT, TEAMS_MAX_SECTIONS, '<br>').map(text => ({ text }))
+    };
+  }
+
+  // The generic payload carries the rendered digest, chat messages only its summary
+  const data = {
+    alerts: () => ({ alerts: event.alerts.map(alertData) }),
+    change: () => ({ change: changeData(event.change) }),
+    digest: () => ({ digest: digestData(event.digest) })
+  }[event.type];
+
+  return {
+    event: EVENT_NAMES[event.type],
+    sentAt: new Date().toISOString(),
+    summary: title,
+    ...(data ? data() : {})
+  };
+}
+
+/**
+ * POST a body to a channel once
+ * @returns {Promise<Object>} - { ok, status, error, retry } where retry tells whether another attempt may succeed
+ */
+async function post(channel, eventType, body) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'CertifyEye',
+    'X-CertifyEye-Event': EVENT_NAMES[eventType]
+  };
+
+  if (channel.type === 'webhook' && channel.secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    headers['X-CertifyEye-Timestamp'] = String(timestamp);
+    headers['X-CertifyEye-Signature'] = `sha256=${sign(channel.secret, timestamp, body)}`;
+  }
+
+  try {
+    const response = await fetch(channel.url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(config.webhooks.timeout)
+    });
+
+    if (response.ok) {
+      return { ok: true, status: response.status };
+    }
+
+    const text = (await response.text().catch(() => '')).slice(0, 200);
+    return {
+      ok: false,
+      status: response.status,
+      error: `HTTP ${response.status}${text ? `: ${text}` : ''}`,
+      retry: response.status === 429 || response.status >= 500
+    };
+  } catch (err) {
+    const cause = err.cause && err.cause.code ? ` (${err.cause.code})` : '';
+    return { ok: false, status: null, error: err.name === 'TimeoutError' ? 'Timed out' : `${err.message}${cause}`, retry: true };
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send an event to a channel, retrying with backoff, and record it in the delivery log
+ * @param {Object} channel - Notification channel row
+ * @param {Object} event - See describe()
+ * @param {Object} options - { maxAttempts } to override config.webhooks.maxAttempts
+ * @returns {Promise<Object>} - { id, status, attempts, responseStatus, error }
+ */
+async function deliver(channel, event, options = {}) {
+  const maxAttempts = Math.max(options.maxAttempts || config.webhooks.maxAttempts, 1);
+  const body = JSON.stringify(formatPayload(channel.type, event));
+  const { title, lines } = describe(event);
+
+  const id = await db.createDelivery({
+    channelId: channel.id,
+    eventType: event.type,
+    summary: lines.length === 1 ? `${title}: ${lines[0]}` : title,
+    payload: body
+  });
+
+  let outcome = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await post(channel, event.type, body);
+    const last = result.ok || !result.retry || attempt === maxAttempts;
+
+    outcome = {
+      status: result.ok ? 'delivered' : last ? 'failed' : 'pending',
+      attempts: attempt,
+      responseStatus: result.status,
+      error: result.error || null
+    };
+    await db.updateDelivery(id, outcome);
+
+    if (last) break;
+    await sleep(config.webhooks.retryDelay * 2 ** (attempt - 1));
+  }
+
+  if (outcome.status === 'failed') {
+    console.error(`Webhook delivery ${id} to channel "${channel.name}" failed after ${outcome.attempts} attempt(s): ${outcome.error}`);
+  }
+
+  return { id, ...outcome };
+}
+
+/**
+ * Send raised alerts to the channels of their rules, one message per channel
+ * @param {Array} alerts - Raised alerts with the channel IDs of their rule (alert.channelIds)
+ * @returns {Promise<Array>} - Delivery outcomes
+ */
+async function notifyAlerts(alerts) {
+  const channels = await db.getNotificationChannels({ enabledOnly: true });
+
+  return Promise.all(channels
+    .map(channel => ({ channel, alerts: alerts.filter(alert => (alert.channelIds || []).includes(channel.id)) }))
+    .filter(target => target.alerts.length > 0)
+    .map(target => deliver(target.channel, { type: 'alerts', alerts: target.alerts })));
+}
+
+/**
+ * Send a certificate change event to the channels that subscribe to changes
+ * @param {Object} change - Change event as saved by the scan pipeline
+ * @returns {Promise<Array>} - Delivery outcomes
+ */
+async function notifyChange(change) {
+  const channels = (await db.getNotificationChannels({ enabledOnly: true })).filter(channel => channel.send_changes);
+
+  return Promise.all(channels.map(channel => deliver(channel, { type: 'change', change })));
+}
+
+/**
+ * Send a test message to a channel, without retries
+ * @param {Object} channel - Notification channel row
+ * @returns {Promise<Object>} - Delivery outcome
+ */
+function sendTest(channel) {
+  return deliver(channel, { type: 'test' }, { maxAttempts: 1 });
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  normalizeChannel,
+  sign,
+  formatPayload,
+  deliver,
+  notifyAlerts,
+  notifyChange,
+  sendTest
+};
@@ -0,0 +1,484 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const alerts = require('../modules/alerts');
+const metadata = require('../modules/metadata');
+const email = require('../modules/email');
+const webhooks = require('../modules/webhooks');
+const config = require('../modules/config');
+const moment = require('moment');
+
+// Bootstrap colors of the alert conditions
+const CONDITION_CLASSES = {
+  expiring: 'warning',
+  expired: 'danger',
+  untrusted: 'danger',
+  hostname_mismatch: 'danger',
+  error: 'secondary'
+};
+
+const ALERT_STATES = ['open', 'resolved', 'all'];
+
+// Render the alerts page, optionally with an error or notice
+async function renderAlertsPage(res, options = {}) {
+  const state = ALERT_STATES.includes(options.state) ? options.state : 'open';
+  const raised = await db.getAlerts({ state, limit: 500 });
+  const rules = await db.getAlertRules();
+  const channels = await db.getNotificationChannels();
+  
+  res.status(options.status || 200).render('alerts/index', {
+    title: 'Alerts',
+    state,
+    error: options.error || null,
+    notice: options.notice || null,
+    conditions: alerts.ALERT_CONDITIONS,
+    alerts: raised.map(alert => ({
+      ...alert,
+      triggered_at: moment(alert.triggered_at).format('YYYY-MM-DD HH:mm'),
+      resolved_at: alert.resolved_at ? moment(alert.resolved_at).format('YYYY-MM-DD HH:mm') : null,
+      acknowledged_at: alert.acknowledged_at ? moment(alert.acknowledged_at).format('YYYY-MM-DD HH:mm') : null,
+      silenced: alerts.isSilenced(alert),
+      conditionClass: CONDITION_CLASSES[alert.condition] || 'secondary'
+    })),
+    rules,
+    channelNames: Object.fromEntries(channels.map(channel => [channel.id, channel.name])),
+    smtp: {
+      configured: email.isConfigured(),
+      host: config.smtp.host,
+      port: config.smtp.port,
+      security: config.smtp.security,
+      from: config.smtp.from,
+      to: config.smtp.to,
+      notifyContacts: config.smtp.notifyContacts
+    }
+  });
+}
+
+// GET alerts and alert rules
+router.get('/', async (req, res) => {
+  try {
+    let notice = null;
+    if (req.query.evaluated !== undefined) {
+      notice = `Alert rules evaluated: ${parseInt(req.query.raised, 10) || 0} raised, ${parseInt(req.query.resolved, 10) || 0} resolved`;
+    } else if (req.query.emailed) {
+      notice = `Test email sent to ${req.query.emailed}`;
+    }
+    
+    await renderAlertsPage(res, { state: req.query.state, notice });
+  } catch (err) {
+    console.error('Error getting alerts:', err);
+    res.status(500).render('error', {
+      message: 'Error loading alerts',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST evaluate the alert rules now
+router.post('/evaluate', async (req, res) => {
+  try {
+    const { raised, resolved } = await alerts.evaluateAlerts();
+    res.redirect(`/alerts?evaluated=1&raised=${raised.length}&resolved=${resolved}`);
+  } catch (err) {
+    console.error('Error evaluating alerts:', err);
+    res.status(500).render('error', {
+      message: 'Error evaluating alert rules',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST send a test email
+router.post('/test-email', async (req, res) => {
+  const to = (req.body.to || '').trim();
+  
+  try {
+    await email.sendTestEmail(to);
+    res.redirect(`/alerts?emailed=${encodeURIComponent(to || config.smtp.to.join(', '))}`);
+  } catch (err) {
+    console.error('Error sending test email:', err);
+    try {
+      await renderAlertsPage(res, {
+        status: 400,
+        error: `Error sending test email: ${err.message}`
+      });
+    } catch (renderErr) {
+      res.status(500).render('error', {
+        message: 'Error loading alerts',
+        error: { status: 500, stack: renderErr.message }
+      });
+    }
+  }
+});
+
+// POST acknowledge an open alert
+router.post('/:id/acknowledge', async (req, res) => {
+  try {
+    const { actor, errors } = alerts.normalizeActor(req.body.by);
+    
+    if (errors.length > 0) {
+      return res.status(400).render('error', {
+        message: errors.join('; '),
+        error: { status: 400, stack: '' }
+      });
+    }
+    
+    await db.acknowledgeAlerts({ alertId: parseInt(req.params.id, 10) || 0 }, actor);
+    
+    // Back to the alerts page or the certificate the alert was acknowledged from
+    const returnTo = req.body.returnTo || '';
+    res.redirect(returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : '/alerts');
+  } catch (err) {
+    console.error('Error acknowledging alert:', err);
+    res.status(500).render('error', {
+      message: 'Error acknowledging alert',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// Helper function to render the alert rule form
+async function renderRuleForm(res, rule, options = {}) {
+  const channels = await db.getNotificationChannels();
+  
+  res.status(options.status || 200).render('alerts/rule-form', {
+    title: rule.id ? 'Edit Alert Rule' : 'Create Alert Rule',
+    error: options.error || null,
+    rule: {
+      ...rule,
+      thresholds: Array.isArray(rule.thresholds) ? rule.thresholds.join(', ') : rule.thresholds || '',
+      channel_ids: [].concat(rule.channel_ids || []).map(Number)
+    },
+    conditions: alerts.ALERT_CONDITIONS,
+    environments: metadata.ENVIRONMENTS,
+    channels,
+    channelTypes: webhooks.CHANNEL_TYPES,
+    isNew: !rule.id
+  });
+}
+
+// Helper function to read the alert rule form (unchecked checkboxes are not sent)
+function ruleFromForm(body) {
+  return alerts.normalizeRule({ ...body, enabled: body.enabled === 'on', channelIds: body.channelIds || [] });
+}
+
+// Helper function to keep the submitted alert rule form values when it is shown again
+function submittedRule(body, id) {
+  return { ...body, id, enabled: body.enabled === 'on', channel_ids: body.channelIds || [] };
+}
+
+// GET form to create an alert rule
+router.get('/rules/new', async (req, res) => {
+  try {
+    await renderRuleForm(res, {
+      id: null,
+      name: '',
+      condition: 'expiring',
+      thresholds: alerts.DEFAULT_THRESHOLDS,
+      tag: '',
+      environment: '',
+      issuer: '',
+      enabled: true,
+      channel_ids: []
+    });
+  } catch (err) {
+    console.error('Error loading alert rule form:', err);
+    res.status(500).render('error', {
+      message: 'Error loading alert rule form',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST create an alert rule
+router.post('/rules', async (req, res) => {
+  try {
+    const { rule, errors } = ruleFromForm(req.body);
+    
+    if (errors.length > 0) {
+      return await renderRuleForm(res, submittedRule(req.body, null), {
+        status: 400,
+        error: errors.join('; ')
+      });
+    }
+    
+    await db.saveAlertRule(rule);
+    res.redirect('/alerts');
+  } catch (err) {
+    console.error('Error creating alert rule:', err);
+    res.status(500).render('error', {
+      message: 'Error creating alert rule',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// GET form to edit an alert rule
+router.get('/rules/:id/edit', async (req, res) => {
+  try {
+    const rule = await db.getAlertRuleById(req.params.id);
+    
+    if (!rule) {
+      return res.status(404).render('error', {
+        message: 'Alert rule not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    await renderRuleForm(res, rule);
+  } catch (err) {
+    console.error('Error getting alert rule:', err);
+    res.status(500).render('error', {
+      message: 'Error loading alert rule',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// PUT update an alert rule
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const existing = await db.getAlertRuleById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).render('error', {
+        message: 'Alert rule not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const { rule, errors } = ruleFromForm(req.body);
+    
+    if (errors.length > 0) {
+      return await renderRuleForm(res, submittedRule(req.body, existing.id), {
+        status: 400,
+        error: errors.join('; ')
+      });
+    }
+    
+    await db.saveAlertRule({ ...rule, id: existing.id });
+    res.redirect('/alerts');
+  } catch (err) {
+    console.error('Error updating alert rule:', err);
+    res.status(500).render('error', {
+      message: 'Error updating alert rule',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// DELETE an alert rule and its alerts
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    await db.deleteAlertRule(req.params.id);
+    res.redirect('/alerts');
+  } catch (err) {
+    console.error('Error deleting alert rule:', err);
+    res.status(500).render('error', {
+      message: 'Error deleting alert rule',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// Bootstrap colors of the delivery states
+const DELIVERY_CLASSES = {
+  delivered: 'success',
+  pending: 'warning',
+  failed: 'danger'
+};
+
+// GET notification channels and the delivery log
+router.get('/channels', async (req, res) => {
+  try {
+    const channelId = parseInt(req.query.channel, 10) || null;
+    const status = DELIVERY_CLASSES[req.query.status] ? req.query.status : '';
+    const channels = await db.getNotificationChannels();
+    const deliveries = await db.getDeliveries({ channelId, status, limit: 200 });
+    
+    let notice = null;
+    if (req.query.tested) {
+      notice = req.query.result === 'delivered'
+        ? 'Test message delivered'
+        : `Test message failed: ${req.query.error || 'see the delivery log'}`;
+    }
+    
+    res.render('alerts/channels', {
+      title: 'Notification Channels',
+      notice,
+      noticeClass: req.query.result === 'delivered' ? 'success' : 'danger',
+      channelTypes: webhooks.CHANNEL_TYPES,
+      channels,
+      channelId,
+      status,
+      deliveryStatuses: Object.keys(DELIVERY_CLASSES),
+      deliveries: deliveries.map(delivery => ({
+        ...delivery,
+        created_at: moment(delivery.created_at).format('YYYY-MM-DD HH:mm:ss'),
+        updated_at: delivery.updated_at ? moment(delivery.updated_at).format('YYYY-MM-DD HH:mm:ss') : '',
+        statusClass: DELIVERY_CLASSES[delivery.status] || 'secondary'
+      }))
+    });
+  } catch (err) {
+    console.error('Error getting notification channels:', err);
+    res.status(500).render('error', {
+      message: 'Error loading notification channels',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// Helper function to render the notification channel form
+function renderChannelForm(res, channel, options = {}) {
+  res.status(options.status || 200).render('alerts/channel-form', {
+    title: channel.id ? 'Edit Notification Channel' : 'Create Notification Channel',
+    error: options.error || null,
+    // The stored secret is never sent back to the browser, the form only tells whether there is one
+    channel: { ...channel, secret: '' },
+    hasSecret: Boolean(channel.secret),
+    channelTypes: webhooks.CHANNEL_TYPES,
+    isNew: !channel.id
+  });
+}
+
+// Helper function to read the notification channel form (unchecked checkboxes are not sent)
+function channelFromForm(body) {
+  return webhooks.normalizeChannel({ ...body, sendChanges: body.sendChanges === 'on', enabled: body.enabled === 'on' });
+}
+
+// Helper function to keep the submitted channel form values when it is shown again
+function submittedChannel(body, id) {
+  return { ...body, id, send_changes: body.sendChanges === 'on', enabled: body.enabled === 'on' };
+}
+
+// GET form to create a notification channel
+router.get('/channels/new', (req, res) => {
+  renderChannelForm(res, {
+    id: null,
+    name: '',
+    type: 'webhook',
+    url: '',
+    secret: '',
+    send_changes: false,
+    enabled: true
+  });
+});
+
+// POST create a notification channel
+router.post('/channels', async (req, res) => {
+  try {
+    const { channel, errors } = channelFromForm(req.body);
+    
+    if (errors.length > 0) {
+      return renderChannelForm(res, submittedChannel(req.body, null), {
+        status: 400,
+        error: errors.join('; ')
+      });
+    }
+    
+    await db.saveNotificationChannel(channel);
+    res.redirect('/alerts/channels');
+  } catch (err) {
+    console.error('Error creating notification channel:', err);
+    res.status(500).render('error', {
+      message: 'Error creating notification channel',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// GET form to edit a notification channel
+router.get('/channels/:id/edit', async (req, res) => {
+  try {
+    const channel = await db.getNotificationChannelById(req.params.id);
+    
+    if (!channel) {
+      return res.status(404).render('error', {
+        message: 'Notification channel not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    renderChannelForm(res, channel);
+  } catch (err) {
+    console.error('Error getting notification channel:', err);
+    res.status(500).render('error', {
+      message: 'Error loading notification channel',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// PUT update a notification channel
+router.put('/channels/:id', async (req, res) => {
+  try {
+    const existing = await db.getNotificationChannelById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).render('error', {
+        message: 'Notification channel not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const { channel, errors } = channelFromForm(req.body);
+    
+    if (errors.length > 0) {
+      return renderChannelForm(res, { ...submittedChannel(req.body, existing.id), secret: existing.secret }, {
+        status: 400,
+        error: errors.join('; ')
+      });
+    }
+    
+    // A blank secret keeps the stored one unless it is removed
+    const secret = req.body.removeSecret === 'on' ? null : channel.secret || existing.secret;
+    await db.saveNotificationChannel({ ...channel, secret, id: existing.id });
+    res.redirect('/alerts/channels');
+  } catch (err) {
+    console.error('Error updating notification channel:', err);
+    res.status(500).render('error', {
+      message: 'Error updating notification channel',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST send a test message to a notification channel
+router.post('/channels/:id/test', async (req, res) => {
+  try {
+    const channel = await db.getNotificationChannelById(req.params.id);
+    
+    if (!channel) {
+      return res.status(404).render('error', {
+        message: 'Notification channel not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const outcome = await webhooks.sendTest(channel);
+    const params = new URLSearchParams({ tested: outcome.id, result: outcome.status, error: outcome.error || '' });
+    res.redirect(`/alerts/channels?${params.toString()}`);
+  } catch (err) {
+    console.error('Error testing notification channel:', err);
+    res.status(500).render('error', {
+      message: 'Error testing notification channel',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// DELETE a notification channel and its delivery log
+router.delete('/channels/:id', async (req, res) => {
+  try {
+    await db.deleteNotificationChannel(req.params.id);
+    res.redirect('/alerts/channels');
+  } catch (err) {
+    console.error('Error deleting notification channel:', err);
+    res.status(500).render('error', {
+      message: 'Error deleting notification channel',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,39 +1,117 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../modules/database');
+const starttls = require('../modules/starttls');
+const tlsprobe = require('../modules/tlsprobe');
+const metadata = require('../modules/metadata');
+const alerts = require('../modules/alerts');
 const moment = require('moment');
 
+// Columns the certificate list can be sorted by (see db.CERTIFICATE_SORTS)
+const SORT_COLUMNS = ['host', 'days_remaining', 'status', 'grade'];
+
+// Certificates per page of the list
+const PAGE_SIZE = 100;
+
+// Alerting filter of the list, as db.queryCertificates filters
+const ALERTING_FILTERS = {
+  active: { muted: false, snoozed: false },
+  snoozed: { snoozed: true },
+  muted: { muted: true }
+};
+
 // GET all certificates
 router.get('/', async (req, res) => {
   try {
-    const certificates = await db.getAllCertificates();
+    const filters = {
+      trust: req.query.trust || '',
+      hostname: req.query.hostname || '',
+      san: (req.query.san || '').trim(),
+      owner: (req.query.owner || '').trim(),
+      team: (req.query.team || '').trim(),
+      contactEmail: (req.query.contactEmail || '').trim(),
+      notes: (req.query.notes || '').trim(),
+      environment: metadata.ENVIRONMENTS.includes(req.query.environment) || req.query.environment === 'none' ? req.query.environment : '',
+      tag: metadata.parseTags(req.query.tag || '').join(','),
+      alerting: ALERTING_FILTERS[req.query.alerting] ? req.query.alerting : '',
+      group: metadata.GROUP_FIELDS[req.query.group] ? req.query.group : '',
+      // Muted endpoints are left out of the counts unless asked for
+      countMuted: req.query.countMuted === '1' ? '1' : ''
+    };
+    
+    const sort = {
+      column: SORT_COLUMNS.includes(req.query.sort) ? req.query.sort : 'days_remaining',
+      direction: req.query.direction === 'desc' ? 'desc' : 'asc'
+    };
+    
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    
+    // Filtering, sorting and paging are done by the database
+    const { rows, total } = await db.queryCertificates({
+      filters: {
+        // 'unknown' matches certificates scanned before trust validation existed
+        trustStatus: filters.trust,
+        hostnameStatus: filters.hostname,
+        // Search any subject alternative name (DNS, IP, email or URI)
+        san: filters.san,
+        owner: filters.owner,
+        team: filters.team,
+        contactEmail: filters.contactEmail,
+        // Substring of the free-text notes
+        notes: filters.notes,
+        environment: filters.environment,
+        // Endpoints with any of the comma-separated tags
+        tag: metadata.parseTags(filters.tag),
+        ...ALERTING_FILTERS[filters.alerting]
+      },
+      // Grouped lists sort by the group column first so each group stays together across pages
+      sort: [metadata.GROUP_FIELDS[filters.group], sort.column, 'host', 'port']
+        .filter(field => field)
+        .filter((field, index, fields) => fields.indexOf(field) === index)
+        .map((field, index) => ({ field, direction: index === 0 ? sort.direction : 'asc' })),
+      limit: PAGE_SIZE,
+      offset: (page - 1) * PAGE_SIZE
+    });
+    
+    const pagination = {
+      page,
+      pages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+      total
+    };
+    
+    const openAlerts = await db.countOpenAlertsByCertificate();
     
     // Process for view
-    const processedCerts = certificates.map(cert => {
+    const processedCerts = rows.map(cert => {
       return {
         ...cert,
+        ...silenceForView(cert),
+        openAlerts: openAlerts.get(cert.id) || { open: 0, unacknowledged: 0 },
         self_signed: cert.self_signed ? 'Yes' : 'No',
         valid_from: moment(cert.valid_from).format('YYYY-MM-DD'),
         valid_to: moment(cert.valid_to).format('YYYY-MM-DD'),
         last_scanned: moment(cert.last_scanned).format('YYYY-MM-DD HH:mm'),
         statusClass: cert.status === 'valid' ? 'success' : 
                     cert.status === 'warning' ? 'warning' : 
-                    cert.status === 'expired' ? 'danger' : 'secondary'
+                    cert.status === 'expired' ? 'danger' : 'secondary',
+        trustClass: getTrustClass(cert.trust_status),
+        gradeClass: getGradeClass(cert.grade)
       };
     });
     
-    // Count certificates by status
-    const stats = {
-      total: certificates.length,
-      valid: certificates.filter(c => c.status === 'valid').length,
-      warning: certificates.filter(c => c.status === 'warning').length,
-      expired: certificates.filter(c => c.status === 'expired').length,
-      error: certificates.filter(c => c.status === 'error').length
-    };
+    // Count all certificates by status
+    const stats = await db.countCertificatesByStatus({ includeMuted: filters.countMuted === '1' });
     
     res.render('certificates/index', { 
       certificates: processedCerts,
+      groups: filters.group ? metadata.groupByMetadata(processedCerts, filters.group) : null,
+      environments: metadata.ENVIRONMENTS,
       stats: stats,
+      filters,
+      sort,
+      pagination,
+      returnTo: req.originalUrl,
+      today: moment().format('YYYY-MM-DD'),
       title: 'SSL Certificates'
     });
   } catch (err) {
@@ -57,6 +135,59 @@ router.get('/:id', async (req, res) => {
       });
     }
     
+    // Chain from the leaf's issuer up to the root, flagging intermediates that expire before the leaf
+    const leafExpiry = new Date(certificate.valid_to);
+    const chain = (await db.getCertificateChain(certificate.host, certificate.port)).map(entry => ({
+      ...entry,
+      expiresBeforeLeaf: !entry.is_root && new Date(entry.valid_to) < leafExpiry,
+      valid_from: moment(entry.valid_from).format('YYYY-MM-DD HH:mm:ss'),
+      valid_to: moment(entry.valid_to).format('YYYY-MM-DD HH:mm:ss')
+    }));
+    
+    // Accepted versions and cipher suites, grouped by version for display
+    const tls = certificate.tls_protocols ? {
+      versions: tlsprobe.TLS_VERSIONS.map(version => ({
+        version,
+        supported: certificate.tls_protocols.includes(version),
+        deprecated: tlsprobe.DEPRECATED_VERSIONS.includes(version),
+        ciphers: (certificate.tls_ciphers || []).filter(c => c.version === version)
+      })),
+      // Cipher suites are only enumerated when CERTIFYEYE_TLS_PROBE_CIPHERS is set
+      ciphersProbed: Array.isArray(certificate.tls_ciphers),
+      weakCount: (certificate.tls_ciphers || []).filter(c => c.weak).length,
+      noForwardSecrecyCount: (certificate.tls_ciphers || []).filter(c => !c.forwardSecrecy).length
+    } : null;
+    
+    // Scan history grouped into periods during which the endpoint presented the same certificate
+    const timeline = buildTimeline(await db.getCertificateObservations(certificate.id));
+    
+    // Where this certificate is deployed: endpoints presenting it as their leaf or in their chain
+    const record = certificate.fingerprint ? await db.getX509Certificate(certificate.fingerprint) : null;
+    const deployments = record
+      ? {
+        firstSeen: record.first_seen ? moment(record.first_seen).format('YYYY-MM-DD HH:mm:ss') : null,
+        endpoints: (await db.getEndpointsByFingerprint(certificate.fingerprint)).filter(other => other.id !== certificate.id)
+      }
+      : null;
+    
+    // Other endpoints presenting a different certificate for the same key pair
+    const sharedKey = certificate.spki_sha256
+      ? (await db.getCertificatesBySpki(certificate.spki_sha256)).filter(other => other.fingerprint !== certificate.fingerprint)
+      : [];
+    
+    // Open alerts and who acknowledged, snoozed or muted the endpoint
+    const openAlerts = (await db.getAlerts({ state: 'open', certificateId: certificate.id })).map(alert => ({
+      ...alert,
+      triggered_at: moment(alert.triggered_at).format('YYYY-MM-DD HH:mm'),
+      acknowledged_at: alert.acknowledged_at ? moment(alert.acknowledged_at).format('YYYY-MM-DD HH:mm') : null
+    }));
+    const actions = (await db.getEndpointActions(certificate.id, 20)).map(action => ({
+      ...action,
+      created_at: moment(action.created_at).format('YYYY-MM-DD HH:mm'),
+      snoozed_until: action.snoozed_until ? moment(action.snoozed_until).format('YYYY-MM-DD HH:mm') : null
+    }));
+    Object.assign(certificate, silenceForView(certificate));
+    
     // Process for view
     certificate.self_signed = certificate.self_signed ? 'Yes' : 'No';
     certificate.valid_from = moment(certificate.valid_from).format('YYYY-MM-DD HH:mm:ss');
@@ -65,9 +196,22 @@ router.get('/:id', async (req, res) => {
     certificate.statusClass = certificate.status === 'valid' ? 'success' : 
                              certificate.status === 'warning' ? 'warning' : 
                              certificate.status === 'expired' ? 'danger' : 'secondary';
+    certificate.trustClass = getTrustClass(certificate.trust_status);
+    certificate.gradeClass = getGradeClass(certificate.grade);
     
     res.render('certificates/details', { 
       certificate,
+      chain,
+      tls,
+      deployments,
+      sharedKey,
+      timeline,
+      openAlerts,
+      actions,
+      returnTo: req.originalUrl,
+      today: moment().format('YYYY-MM-DD'),
+      protocols: starttls.PROTOCOLS,
+      environments: metadata.ENVIRONMENTS,
       title: `Certificate: ${certificate.host}:${certificate.port}`
     });
   } catch (err) {
@@ -79,6 +223,146 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET certificate as a PEM file
+router.get('/:id/pem', async (req, res) => {
+  try {
+    const certificate = await db.getCertificateById(req.params.id);
+    
+    if (!certificate || !certificate.pem) {
+      return res.status(404).render('error', { 
+        message: 'Certificate PEM not found, rescan the endpoint to store it',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const filename = `${certificate.host}_${certificate.port}.pem`.replace(/[^A-Za-z0-9._-]/g, '_');
+    res.attachment(filename);
+    res.type('application/x-pem-file');
+    res.send(certificate.pem);
+  } catch (err) {
+    console.error('Error downloading certificate PEM:', err);
+    res.status(500).render('error', { 
+      message: 'Error downloading certificate',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// PUT certificate metadata (owner, team, contact email, environment, tags and notes)
+router.put('/:id/metadata', async (req, res) => {
+  try {
+    const { values, errors } = metadata.normalizeMetadata({
+      owner: req.body.owner || '',
+      team: req.body.team || '',
+      contactEmail: req.body.contactEmail || '',
+      environment: req.body.environment || '',
+      tags: req.body.tags || '',
+      notes: req.body.notes || ''
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).render('error', { 
+        message: errors.join('; '),
+        error: { status: 400, stack: '' }
+      });
+    }
+    
+    const found = await db.updateCertificateMetadata(req.params.id, values);
+    
+    if (!found) {
+      return res.status(404).render('error', { 
+        message: 'Certificate not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    res.redirect(`/certificates/${req.params.id}`);
+  } catch (err) {
+    console.error('Error updating certificate metadata:', err);
+    res.status(500).render('error', { 
+      message: 'Error updating certificate metadata',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// Helper function to send the user back to the page an action was taken from
+function redirectBack(req, res) {
+  const returnTo = req.body.returnTo || '';
+  res.redirect(returnTo.startsWith('/') && !returnTo.startsWith('//') ? returnTo : `/certificates/${req.params.id}`);
+}
+
+// Helper function to run an acknowledge, snooze or mute form, answering 400 or 404 when it cannot be applied
+async function runEndpointAction(req, res, label, apply) {
+  try {
+    const { actor, errors } = alerts.normalizeActor(req.body.by);
+    
+    if (errors.length > 0) {
+      return res.status(400).render('error', { 
+        message: errors.join('; '),
+        error: { status: 400, stack: '' }
+      });
+    }
+    
+    const outcome = await apply(actor);
+    
+    if (outcome.errors && outcome.errors.length > 0) {
+      return res.status(400).render('error', { 
+        message: outcome.errors.join('; '),
+        error: { status: 400, stack: '' }
+      });
+    }
+    
+    if (!outcome.found) {
+      return res.status(404).render('error', { 
+        message: 'Certificate not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    redirectBack(req, res);
+  } catch (err) {
+    console.error(`Error trying to ${label}:`, err);
+    res.status(500).render('error', { 
+      message: `Error trying to ${label}`,
+      error: { status: 500, stack: err.message }
+    });
+  }
+}
+
+// POST acknowledge every open alert of an endpoint
+router.post('/:id/acknowledge', (req, res) => runEndpointAction(req, res, 'acknowledge alerts', async (actor) => {
+  const certificate = await db.getCertificateById(req.params.id);
+  if (certificate) {
+    await db.acknowledgeAlerts({ certificateId: certificate.id }, actor);
+  }
+  return { found: Boolean(certificate) };
+}));
+
+// PUT snooze an endpoint until a date
+router.put('/:id/snooze', (req, res) => runEndpointAction(req, res, 'snooze certificate', async (actor) => {
+  const { until, errors } = alerts.normalizeSnooze(req.body.until);
+  if (errors.length > 0) return { errors };
+  return { found: await db.snoozeCertificate(req.params.id, until, actor) };
+}));
+
+// DELETE lift the snooze of an endpoint
+router.delete('/:id/snooze', (req, res) => runEndpointAction(req, res, 'lift the snooze', async (actor) => ({
+  found: await db.snoozeCertificate(req.params.id, null, actor)
+})));
+
+// PUT mute an endpoint with a reason
+router.put('/:id/mute', (req, res) => runEndpointAction(req, res, 'mute certificate', async (actor) => {
+  const { reason, errors } = alerts.normalizeMuteReason(req.body.reason);
+  if (errors.length > 0) return { errors };
+  return { found: await db.muteCertificate(req.params.id, reason, actor) };
+}));
+
+// DELETE unmute an endpoint
+router.delete('/:id/mute', (req, res) => runEndpointAction(req, res, 'unmute certificate', async (actor) => ({
+  found: await db.muteCertificate(req.params.id, null, actor)
+})));
+
 // DELETE certificate
 router.delete('/:id', async (req, res) => {
   try {
@@ -101,4 +385,74 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Helper function to group observations (newest first) into consecutive periods
+// with the same certificate; failed scans form periods of their own
+function buildTimeline(observations) {
+  const periods = [];
+  
+  for (const observation of observations) {
+    const key = observation.status === 'error' ? 'error' : observation.fingerprint;
+    const current = periods[periods.length - 1];
+    
+    if (current && current.key === key) {
+      current.firstSeen = observation.observed_at;
+      current.scans++;
+      continue;
+    }
+    
+    periods.push({
+      key,
+      fingerprint: observation.fingerprint,
+      subject: observation.subject,
+      serialNumber: observation.serial_number,
+      validTo: observation.valid_to ? moment(observation.valid_to).format('YYYY-MM-DD') : null,
+      error: observation.status === 'error' ? (observation.error || 'Scan failed') : null,
+      firstSeen: observation.observed_at,
+      lastSeen: observation.observed_at,
+      scans: 1
+    });
+  }
+  
+  return periods.map(period => ({
+    ...period,
+    firstSeen: moment(period.firstSeen).format('YYYY-MM-DD HH:mm'),
+    lastSeen: moment(period.lastSeen).format('YYYY-MM-DD HH:mm')
+  }));
+}
+
+// Helper function to describe the mute and snooze of an endpoint; a snooze that ended no longer counts
+function silenceForView(cert) {
+  const snoozed = Boolean(cert.snoozed_until && new Date(cert.snoozed_until) > new Date());
+  
+  return {
+    muted: Boolean(cert.muted_at),
+    mutedAt: cert.muted_at ? moment(cert.muted_at).format('YYYY-MM-DD HH:mm') : null,
+    snoozed,
+    snoozedUntil: snoozed ? moment(cert.snoozed_until).format('YYYY-MM-DD HH:mm') : null,
+    snoozedAt: snoozed ? moment(cert.snoozed_at).format('YYYY-MM-DD HH:mm') : null
+  };
+}
+
+// Helper function to map a trust status to a Bootstrap color
+function getTrustClass(trustStatus) {
+  switch (trustStatus) {
+    case 'trusted': return 'success';
+    case 'untrusted': return 'danger';
+    default: return 'secondary';
+  }
+}
+
+// Helper function to map a grade to a Bootstrap color
+function getGradeClass(grade) {
+  switch (grade) {
+    case 'A': return 'success';
+    case 'B': return 'primary';
+    case 'C': return 'warning';
+    case 'D':
+    case 'E':
+    case 'F': return 'danger';
+    default: return 'secondary';
+  }
+}
+
 module.exports = router;
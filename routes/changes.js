@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const changes = require('../modules/changes');
+const moment = require('moment');
+
+// Bootstrap colors of the change types
+const CHANGE_CLASSES = {
+  renewed: 'success',
+  replaced: 'warning',
+  downgraded: 'danger',
+  reverted: 'info'
+};
+
+// GET change feed
+router.get('/', async (req, res) => {
+  try {
+    const filters = {
+      type: changes.CHANGE_TYPES.includes(req.query.type) ? req.query.type : '',
+      host: (req.query.host || '').trim(),
+      certificate: parseInt(req.query.certificate, 10) || ''
+    };
+    
+    const events = await db.getCertificateChanges({
+      type: filters.type,
+      host: filters.host,
+      certificateId: filters.certificate,
+      limit: 500
+    });
+    
+    res.render('changes/index', {
+      title: 'Certificate Changes',
+      filters,
+      changeTypes: changes.CHANGE_TYPES,
+      changes: events.map(event => ({
+        ...event,
+        detected_at: moment(event.detected_at).format('YYYY-MM-DD HH:mm'),
+        previous_valid_to: event.previous_valid_to ? moment(event.previous_valid_to).format('YYYY-MM-DD') : '',
+        new_valid_to: event.new_valid_to ? moment(event.new_valid_to).format('YYYY-MM-DD') : '',
+        typeClass: CHANGE_CLASSES[event.change_type] || 'secondary'
+      }))
+    });
+  } catch (err) {
+    console.error('Error getting certificate changes:', err);
+    res.status(500).render('error', {
+      message: 'Error loading certificate changes',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const digests = require('../modules/digests');
+const scheduler = require('../modules/scheduler');
+const email = require('../modules/email');
+const webhooks = require('../modules/webhooks');
+const moment = require('moment');
+
+// Helper function to format an optional timestamp for display
+function formatTime(value) {
+  return value ? moment(value).format('YYYY-MM-DD HH:mm') : '';
+}
+
+// GET digest schedules and the archive of sent digests
+router.get('/', async (req, res) => {
+  try {
+    const digestId = parseInt(req.query.digest, 10) || null;
+    const list = await db.getDigests();
+    const reports = await db.getDigestReports({ digestId, limit: 100 });
+    const channels = await db.getNotificationChannels();
+    
+    let notice = null;
+    if (req.query.ran) {
+      notice = `Digest archived as report #${req.query.ran}`;
+    }
+    
+    res.render('digests/index', {
+      title: 'Digests',
+      notice,
+      frequencies: digests.DIGEST_FREQUENCIES,
+      smtpConfigured: email.isConfigured(),
+      channelNames: Object.fromEntries(channels.map(channel => [channel.id, channel.name])),
+      digestId,
+      digests: list.map(digest => ({
+        ...digest,
+        last_run: formatTime(digest.last_run),
+        next_run: formatTime(digest.next_run)
+      })),
+      reports: reports.map(report => ({
+        ...report,
+        created_at: formatTime(report.created_at),
+        period: `${formatTime(report.period_start)} to ${formatTime(report.period_end)}`,
+        summary: digests.summaryLines(report.counts)
+      }))
+    });
+  } catch (err) {
+    console.error('Error getting digests:', err);
+    res.status(500).render('error', {
+      message: 'Error loading digests',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// Helper function to render the digest form
+async function renderDigestForm(res, digest, options = {}) {
+  const channels = await db.getNotificationChannels();
+  
+  res.status(options.status || 200).render('digests/form', {
+    title: digest.id ? 'Edit Digest' : 'Create Digest',
+    error: options.error || null,
+    digest,
+    frequencies: digests.DIGEST_FREQUENCIES,
+    channels,
+    channelTypes: webhooks.CHANNEL_TYPES,
+    smtpConfigured: email.isConfigured(),
+    isNew: !digest.id
+  });
+}
+
+// Helper function to read the digest form (unchecked checkboxes are not sent)
+function digestFromForm(body) {
+  return digests.normalizeDigest({ ...body, enabled: body.enabled === 'on' });
+}
+
+// Helper function to keep the submitted digest form values when it is shown again
+function submittedDigest(body, id) {
+  return {
+    ...body,
+    id,
+    recipients: String(body.recipients || '').split(/[,;\s]+/).filter(Boolean),
+    channel_ids: [].concat(body.channelIds || []).map(Number),
+    enabled: body.enabled === 'on'
+  };
+}
+
+// GET form to create a digest
+router.get('/new', async (req, res) => {
+  try {
+    await renderDigestForm(res, {
+      id: null,
+      name: '',
+      frequency: 'weekly',
+      recipients: [],
+      channel_ids: [],
+      enabled: true
+    });
+  } catch (err) {
+    console.error('Error loading digest form:', err);
+    res.status(500).render('error', {
+      message: 'Error loading digest form',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST create a digest
+router.post('/', async (req, res) => {
+  try {
+    const { digest, errors } = digestFromForm(req.body);
+    
+    if (errors.length > 0) {
+      return renderDigestForm(res, submittedDigest(req.body, null), {
+        status: 400,
+        error: errors.join('; ')
+      });
+    }
+    
+    const id = await db.saveDigest(digest);
+    scheduler.scheduleDigest(await db.getDigestById(id));
+    res.redirect('/digests');
+  } catch (err) {
+    console.error('Error creating digest:', err);
+    res.status(500).render('error', {
+      message: 'Error creating digest',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// GET an archived digest as it was sent
+router.get('/reports/:id', async (req, res) => {
+  try {
+    const report = await db.getDigestReportById(req.params.id);
+    
+    if (!report) {
+      return res.status(404).render('error', {
+        message: 'Digest report not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    res.type('html').send(report.html);
+  } catch (err) {
+    console.error('Error getting digest report:', err);
+    res.status(500).render('error', {
+      message: 'Error loading digest report',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// GET form to edit a digest
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const digest = await db.getDigestById(req.params.id);
+    
+    if (!digest) {
+      return res.status(404).render('error', {
+        message: 'Digest not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    await renderDigestForm(res, digest);
+  } catch (err) {
+    console.error('Error getting digest:', err);
+    res.status(500).render('error', {
+      message: 'Error loading digest',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// PUT update a digest
+router.put('/:id', async (req, res) => {
+  try {
+    const existing = await db.getDigestById(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).render('error', {
+        message: 'Digest not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const { digest, errors } = digestFromForm(req.body);
+    
+    if (errors.length > 0) {
+      return renderDigestForm(res, submittedDigest(req.body, existing.id), {
+        status: 400,
+        error: errors.join('; ')
+      });
+    }
+    
+    await db.saveDigest({ ...digest, id: existing.id });
+    scheduler.scheduleDigest(await db.getDigestById(existing.id));
+    res.redirect('/digests');
+  } catch (err) {
+    console.error('Error updating digest:', err);
+    res.status(500).render('error', {
+      message: 'Error updating digest',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST build and send a digest now
+router.post('/:id/run', async (req, res) => {
+  try {
+    const digest = await db.getDigestById(req.params.id);
+    
+    if (!digest) {
+      return res.status(404).render('error', {
+        message: 'Digest not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const { reportId } = await scheduler.runDigestNow(digest.id);
+    res.redirect(`/digests?ran=${reportId}`);
+  } catch (err) {
+    console.error('Error running digest:', err);
+    res.status(500).render('error', {
+      message: 'Error running digest',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// DELETE a digest; its archived reports are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    scheduler.cancelDigest(parseInt(req.params.id, 10));
+    await db.deleteDigest(req.params.id);
+    res.redirect('/digests');
+  } catch (err) {
+    console.error('Error deleting digest:', err);
+    res.status(500).render('error', {
+      message: 'Error deleting digest',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+module.exports = router;
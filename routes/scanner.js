@@ -2,15 +2,19 @@ const express = require('express');
 const router = express.Router();
 const scanner = require('../modules/scanner');
 const db = require('../modules/database');
+const pipeline = require('../modules/pipeline');
+const starttls = require('../modules/starttls');
 
 // GET scanner form
 router.get('/', (req, res) => {
   res.render('scanner/index', { 
     title: 'SSL Certificate Scanner',
     error: null,
+    protocols: starttls.PROTOCOLS,
     formData: {
       hosts: '',
-      ports: '443,8443'
+      ports: '443,8443',
+      protocol: 'auto'
     }
   });
 });
@@ -35,6 +39,7 @@ router.post('/', async (req, res) => {
     if (hosts.length === 0) {
       return res.render('scanner/index', {
         title: 'SSL Certificate Scanner',
+        protocols: starttls.PROTOCOLS,
         error: 'Please provide at least one valid host',
         formData: req.body
       });
@@ -43,37 +48,59 @@ router.post('/', async (req, res) => {
     if (ports.length === 0) {
       return res.render('scanner/index', {
         title: 'SSL Certificate Scanner',
+        protocols: starttls.PROTOCOLS,
         error: 'Please provide at least one valid port',
         formData: req.body
       });
     }
     
-    // Start scanning (async)
-    const results = await scanner.scanHosts(hosts, ports);
+    const protocol = req.body.protocol || 'auto';
+    if (!starttls.isValidProtocol(protocol)) {
+      return res.render('scanner/index', {
+        title: 'SSL Certificate Scanner',
+        protocols: starttls.PROTOCOLS,
+        error: `Unsupported protocol: ${protocol}`,
+        formData: req.body
+      });
+    }
     
-    // Save results to database
-    for (const cert of results) {
-      await db.saveCertificate(cert);
+    // Expand IP ranges (CIDR or dash notation) into individual hosts
+    let targets;
+    try {
+      targets = scanner.expandHosts(hosts);
+    } catch (rangeErr) {
+      return res.render('scanner/index', {
+        title: 'SSL Certificate Scanner',
+        protocols: starttls.PROTOCOLS,
+        error: rangeErr.message,
+        formData: req.body
+      });
     }
     
+    // Scan and save the results as a scan run
+    const { runId, results, summary } = await pipeline.runScan({
+      trigger: 'manual',
+      hosts: targets,
+      ports,
+      protocol
+    });
+    
     // Show results page
     res.render('scanner/results', {
       title: 'Scan Results',
+      runId,
       results,
       scanSummary: {
-        hosts: hosts.length,
+        hosts: targets.length,
         ports: ports.length,
-        total: results.length,
-        valid: results.filter(r => r.status === 'valid').length,
-        warning: results.filter(r => r.status === 'warning').length,
-        expired: results.filter(r => r.status === 'expired').length,
-        error: results.filter(r => r.status === 'error').length
+        ...summary
       }
     });
   } catch (err) {
     console.error('Scan error:', err);
     res.render('scanner/index', {
       title: 'SSL Certificate Scanner',
+      protocols: starttls.PROTOCOLS,
       error: `Error performing scan: ${err.message}`,
       formData: req.body
     });
@@ -85,9 +112,11 @@ router.get('/quick', (req, res) => {
   res.render('scanner/quick', {
     title: 'Quick Scan',
     error: null,
+    protocols: starttls.PROTOCOLS,
     formData: {
       host: '',
-      port: '443'
+      port: '443',
+      protocol: 'auto'
     }
   });
 });
@@ -101,6 +130,7 @@ router.post('/quick', async (req, res) => {
     if (!host) {
       return res.render('scanner/quick', {
         title: 'Quick Scan',
+        protocols: starttls.PROTOCOLS,
         error: 'Please provide a valid host',
         formData: req.body
       });
@@ -109,52 +139,136 @@ router.post('/quick', async (req, res) => {
     if (isNaN(port) || port <= 0 || port >= 65536) {
       return res.render('scanner/quick', {
         title: 'Quick Scan',
+        protocols: starttls.PROTOCOLS,
         error: 'Please provide a valid port (1-65535)',
         formData: req.body
       });
     }
     
-    // Perform quick scan
-    const results = await scanner.scanHost(host, [port]);
+    const protocol = req.body.protocol || 'auto';
+    if (!starttls.isValidProtocol(protocol)) {
+      return res.render('scanner/quick', {
+        title: 'Quick Scan',
+        protocols: starttls.PROTOCOLS,
+        error: `Unsupported protocol: ${protocol}`,
+        formData: req.body
+      });
+    }
     
-    // Save results to database
-    for (const cert of results) {
-      await db.saveCertificate(cert);
+    // A quick scan may also target an IP range
+    let targets;
+    try {
+      targets = scanner.expandHosts([host]);
+    } catch (rangeErr) {
+      return res.render('scanner/quick', {
+        title: 'Quick Scan',
+        protocols: starttls.PROTOCOLS,
+        error: rangeErr.message,
+        formData: req.body
+      });
     }
     
-    // Redirect to certificate details if successful
-    if (results.length > 0 && results[0].status !== 'error') {
-      // Get certificate ID from database (since scanHost doesn't return the ID)
-      const certs = await db.getAllCertificates();
-      const cert = certs.find(c => c.host === host && c.port === port);
-      
-      if (cert) {
-        return res.redirect(`/certificates/${cert.id}`);
-      }
+    // Perform quick scan and save the results as a scan run
+    const { runId, results, summary } = await pipeline.runScan({
+      trigger: 'quick',
+      hosts: targets,
+      ports: [port],
+      protocol
+    });
+    
+    // Redirect to certificate details if a single host was scanned successfully
+    if (results.length === 1 && results[0].status !== 'error' && results[0].certificateId) {
+      return res.redirect(`/certificates/${results[0].certificateId}`);
     }
     
-    // Show results page if couldn't find the certificate or there was an error
+    // Show results page if there was more than one target or an error
     res.render('scanner/results', {
       title: 'Quick Scan Results',
+      runId,
       results,
       scanSummary: {
-        hosts: 1,
+        hosts: targets.length,
         ports: 1,
-        total: results.length,
-        valid: results.filter(r => r.status === 'valid').length,
-        warning: results.filter(r => r.status === 'warning').length,
-        expired: results.filter(r => r.status === 'expired').length,
-        error: results.filter(r => r.status === 'error').length
+        ...summary
       }
     });
   } catch (err) {
     console.error('Quick scan error:', err);
     res.render('scanner/quick', {
       title: 'Quick Scan',
+      protocols: starttls.PROTOCOLS,
       error: `Error performing scan: ${err.message}`,
       formData: req.body
     });
   }
 });
 
+// GET scan run history
+router.get('/history', async (req, res) => {
+  try {
+    const trigger = pipeline.SCAN_TRIGGERS.includes(req.query.trigger) ? req.query.trigger : null;
+    const runs = await db.getScanRuns({ trigger, limit: 200 });
+    
+    res.render('scanner/history', {
+      title: 'Scan History',
+      runs,
+      triggers: pipeline.SCAN_TRIGGERS,
+      trigger,
+      formatDuration
+    });
+  } catch (err) {
+    console.error('Error loading scan history:', err);
+    res.status(500).render('error', {
+      message: 'Error loading scan history',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// GET single scan run with its per-target results
+router.get('/history/:id', async (req, res) => {
+  try {
+    const run = await db.getScanRunById(req.params.id);
+    
+    if (!run) {
+      return res.status(404).render('error', {
+        message: 'Scan run not found',
+        error: { status: 404, stack: '' }
+      });
+    }
+    
+    const results = await db.getScanRunResults(run.id);
+    
+    let scheduledScan = null;
+    if (run.scheduled_scan_id) {
+      scheduledScan = await db.getScheduledScanById(run.scheduled_scan_id);
+    }
+    
+    res.render('scanner/run', {
+      title: `Scan Run #${run.id}`,
+      run,
+      results,
+      scheduledScan,
+      formatDuration
+    });
+  } catch (err) {
+    console.error('Error loading scan run:', err);
+    res.status(500).render('error', {
+      message: 'Error loading scan run',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// Helper function to display a run duration in human-readable format
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms} ms`;
+  
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds} s`;
+  
+  return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+}
+
 module.exports = router;
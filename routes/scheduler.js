@@ -1,26 +1,58 @@
 const express = require('express');
 const router = express.Router();
 const scheduler = require('../modules/scheduler');
+const schedules = require('../modules/schedules');
+const scanner = require('../modules/scanner');
+const starttls = require('../modules/starttls');
 const db = require('../modules/database');
 const moment = require('moment');
 
+// Choices of the schedule fields in the scheduler form
+router.use((req, res, next) => {
+  res.locals.scheduleTypes = schedules.SCHEDULE_TYPES;
+  res.locals.weekdays = schedules.WEEKDAYS;
+  res.locals.timeZones = schedules.getTimeZones();
+  res.locals.overlapPolicies = scheduler.OVERLAP_POLICIES;
+  next();
+});
+
+// Helper function to read the overlap policy from the form
+function overlapPolicyFromForm(body) {
+  return scheduler.OVERLAP_POLICIES[body.overlapPolicy] ? body.overlapPolicy : 'skip';
+}
+
+// Helper function to describe the run of a scan in progress, if any
+function runningState(scanId) {
+  const running = scheduler.getRunningScan(scanId);
+  return running ? { since: moment(running.startedAt).format('YYYY-MM-DD HH:mm'), queued: running.queued } : null;
+}
+
 // GET scheduler dashboard
 router.get('/', async (req, res) => {
   try {
     const scheduledScans = await db.getAllScheduledScans();
     
+    let notice = null;
+    if (req.query.queued) {
+      const queued = scheduledScans.find(scan => scan.id === parseInt(req.query.queued, 10));
+      notice = `"${queued ? queued.name : 'The scan'}" is still running, the run is queued and starts when the current one finishes`;
+    }
+    
     // Format for view
     const formattedScans = scheduledScans.map(scan => ({
       ...scan,
       last_run: scan.last_run ? moment(scan.last_run).format('YYYY-MM-DD HH:mm') : 'Never',
-      next_run: scan.next_run ? moment(scan.next_run).format('YYYY-MM-DD HH:mm') : 'Not scheduled',
+      next_run: scan.next_run ? schedules.formatRunTime(scan.next_run, scan.timezone) : 'Not scheduled',
+      protocol_display: scan.protocol && scan.protocol !== 'auto' ? starttls.PROTOCOLS[scan.protocol] : 'Auto',
       hosts_count: scan.hosts.length,
       ports_count: scan.ports.length,
-      frequency_display: getFrequencyDisplay(scan.frequency)
+      frequency_display: schedules.describeSchedule(scan.frequency, scan.timezone),
+      running: runningState(scan.id)
     }));
     
     res.render('scheduler/index', {
       title: 'Scheduled Scans',
+      notice,
       scheduledScans: formattedScans
     });
   } catch (err) {
@@ -42,8 +74,13 @@ router.get('/new', (req, res) => {
       hosts: [],
       ports: [443, 8443],
       frequency: 'daily',
+      timezone: '',
+      ...schedules.parseSchedule('daily'),
+      overlapPolicy: 'skip',
+      protocol: 'auto',
       active: true
     },
+    protocols: starttls.PROTOCOLS,
     isNew: true
   });
 });
@@ -68,6 +105,20 @@ router.post('/', async (req, res) => {
         title: 'Create Scheduled Scan',
         error: 'Please provide at least one valid host',
         scan: { ...req.body, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
+        isNew: true
+      });
+    }
+    
+    // IP ranges are stored as entered and expanded on every run, but must be valid now
+    try {
+      scanner.expandHosts(hosts);
+    } catch (rangeErr) {
+      return res.status(400).render('scheduler/form', {
+        title: 'Create Scheduled Scan',
+        error: rangeErr.message,
+        scan: { ...req.body, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
         isNew: true
       });
     }
@@ -77,6 +128,30 @@ router.post('/', async (req, res) => {
         title: 'Create Scheduled Scan',
         error: 'Please provide at least one valid port',
         scan: { ...req.body, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
+        isNew: true
+      });
+    }
+    
+    if (!starttls.isValidProtocol(req.body.protocol || 'auto')) {
+      return res.status(400).render('scheduler/form', {
+        title: 'Create Scheduled Scan',
+        error: `Unsupported protocol: ${req.body.protocol}`,
+        scan: { ...req.body, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
+        isNew: true
+      });
+    }
+    
+    // Presets and custom cron expressions are checked before they reach node-schedule
+    const schedule = schedules.normalizeSchedule(req.body);
+    
+    if (schedule.errors.length > 0) {
+      return res.status(400).render('scheduler/form', {
+        title: 'Create Scheduled Scan',
+        error: schedule.errors.join('; '),
+        scan: { ...req.body, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
         isNew: true
       });
     }
@@ -86,7 +161,10 @@ router.post('/', async (req, res) => {
       name: req.body.name,
       hosts: hosts,
       ports: ports,
-      frequency: req.body.frequency,
+      protocol: req.body.protocol || 'auto',
+      frequency: schedule.frequency,
+      timezone: schedule.timezone,
+      overlapPolicy: overlapPolicyFromForm(req.body),
       active: req.body.active === 'on' || req.body.active === true
     };
     
@@ -106,11 +184,37 @@ router.post('/', async (req, res) => {
       title: 'Create Scheduled Scan',
       error: `Error creating scheduled scan: ${err.message}`,
       scan: { ...req.body, hosts: [], ports: [] },
+      protocols: starttls.PROTOCOLS,
       isNew: true
     });
   }
 });
 
+// GET the next run times of the schedule in the form, as JSON for the preview
+router.get('/preview', (req, res) => {
+  const { frequency, timezone, errors } = schedules.normalizeSchedule(req.query);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; ')
+    });
+  }
+  
+  res.json({
+    success: true,
+    data: {
+      frequency,
+      timezone,
+      description: schedules.describeSchedule(frequency, timezone),
+      nextRuns: schedules.getNextRuns(frequency, timezone, 5).map(run => ({
+        time: run.toISOString(),
+        display: schedules.formatRunTime(run, timezone)
+      }))
+    }
+  });
+});
+
 // GET edit scheduled scan form
 router.get('/:id/edit', async (req, res) => {
   try {
@@ -126,10 +230,13 @@ router.get('/:id/edit', async (req, res) => {
     // Format for view
     scan.hosts = scan.hosts.join('\n');
     scan.ports = scan.ports.join(', ');
+    Object.assign(scan, schedules.parseSchedule(scan.frequency));
+    scan.overlapPolicy = scan.overlap_policy || 'skip';
     
     res.render('scheduler/form', {
       title: `Edit Scheduled Scan: ${scan.name}`,
       scan,
+      protocols: starttls.PROTOCOLS,
       isNew: false
     });
   } catch (err) {
@@ -163,6 +270,41 @@ router.put('/:id', async (req, res) => {
         title: 'Edit Scheduled Scan',
         error: 'Please provide valid hosts and ports',
         scan: { ...req.body, id: scanId, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
+        isNew: false
+      });
+    }
+    
+    try {
+      scanner.expandHosts(hosts);
+    } catch (rangeErr) {
+      return res.status(400).render('scheduler/form', {
+        title: 'Edit Scheduled Scan',
+        error: rangeErr.message,
+        scan: { ...req.body, id: scanId, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
+        isNew: false
+      });
+    }
+    
+    if (!starttls.isValidProtocol(req.body.protocol || 'auto')) {
+      return res.status(400).render('scheduler/form', {
+        title: 'Edit Scheduled Scan',
+        error: `Unsupported protocol: ${req.body.protocol}`,
+        scan: { ...req.body, id: scanId, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
+        isNew: false
+      });
+    }
+    
+    const schedule = schedules.normalizeSchedule(req.body);
+    
+    if (schedule.errors.length > 0) {
+      return res.status(400).render('scheduler/form', {
+        title: 'Edit Scheduled Scan',
+        error: schedule.errors.join('; '),
+        scan: { ...req.body, id: scanId, hosts: [], ports: [] },
+        protocols: starttls.PROTOCOLS,
         isNew: false
       });
     }
@@ -183,7 +325,10 @@ router.put('/:id', async (req, res) => {
       name: req.body.name,
       hosts: hosts,
       ports: ports,
-      frequency: req.body.frequency,
+      protocol: req.body.protocol || 'auto',
+      frequency: schedule.frequency,
+      timezone: schedule.timezone,
+      overlapPolicy: overlapPolicyFromForm(req.body),
       active: req.body.active === 'on' || req.body.active === true,
       lastRun: existingScan.last_run,
       nextRun: existingScan.next_run
@@ -192,8 +337,8 @@ router.put('/:id', async (req, res) => {
     // Save to database
     await db.saveScheduledScan(scan);
     
-    // Update schedule
-    scheduler.scheduleJob(scan);
+    // Update schedule with the saved row
+    scheduler.scheduleJob(await db.getScheduledScanById(scanId));
     
     res.redirect('/scheduler');
   } catch (err) {
@@ -202,6 +347,7 @@ router.put('/:id', async (req, res) => {
       title: 'Edit Scheduled Scan',
       error: `Error updating scheduled scan: ${err.message}`,
       scan: { ...req.body, id: req.params.id, hosts: [], ports: [] },
+      protocols: starttls.PROTOCOLS,
       isNew: false
     });
   }
@@ -236,10 +382,14 @@ router.post('/:id/run', async (req, res) => {
   try {
     const scanId = parseInt(req.params.id, 10);
     
-    // Run the scan
-    await scheduler.runScanNow(scanId);
+    // Run the scan and show the recorded run; a run skipped because the scan is still running is recorded too
+    const run = await scheduler.runScanNow(scanId);
     
-    res.redirect('/scheduler');
+    if (run.queued) {
+      return res.redirect(`/scheduler?queued=${scanId}`);
+    }
+    
+    res.redirect(`/scanner/history/${run.runId}`);
   } catch (err) {
     console.error('Error running scheduled scan:', err);
     res.status(500).render('error', {
@@ -249,15 +399,4 @@ router.post('/:id/run', async (req, res) => {
   }
 });
 
-// Helper function to display frequency in human-readable format
-function getFrequencyDisplay(frequency) {
-  switch (frequency) {
-    case 'hourly': return 'Every hour';
-    case 'daily': return 'Every day';
-    case 'weekly': return 'Every week';
-    case 'monthly': return 'Every month';
-    default: return frequency; // Custom cron expression
-  }
-}
-
 module.exports = router;
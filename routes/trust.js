@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const db = require('../modules/database');
+const truststore = require('../modules/truststore');
+const moment = require('moment');
+
+// Render the trusted CA list, optionally with an error or notice
+async function renderTrustPage(res, options = {}) {
+  const cas = await db.getAllTrustedCAs();
+  
+  res.status(options.status || 200).render('trust/index', {
+    title: 'Trusted CAs',
+    error: options.error || null,
+    notice: options.notice || null,
+    formData: options.formData || { name: '', pem: '' },
+    trustedCAs: cas.map(ca => ({
+      ...ca,
+      valid_to: moment(ca.valid_to).format('YYYY-MM-DD'),
+      added_at: moment(ca.added_at).format('YYYY-MM-DD HH:mm'),
+      expired: new Date(ca.valid_to) < new Date()
+    }))
+  });
+}
+
+// GET trusted CA list and upload form
+router.get('/', async (req, res) => {
+  try {
+    await renderTrustPage(res, { notice: req.query.added ? `${req.query.added} CA certificate(s) added` : null });
+  } catch (err) {
+    console.error('Error getting trusted CAs:', err);
+    res.status(500).render('error', {
+      message: 'Error loading trusted CAs',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+// POST upload CA certificate(s)
+router.post('/', async (req, res) => {
+  const name = req.body.name?.trim();
+  const pem = req.body.pem || '';
+  
+  try {
+    if (!name) {
+      return await renderTrustPage(res, {
+        status: 400,
+        error: 'Please provide a name for the CA',
+        formData: req.body
+      });
+    }
+    
+    const added = await truststore.addTrustedCAs(name, pem);
+    res.redirect(`/trust?added=${added}`);
+  } catch (err) {
+    console.error('Error adding trusted CA:', err);
+    try {
+      await renderTrustPage(res, {
+        status: 400,
+        error: `Error adding CA certificate: ${err.message}`,
+        formData: req.body
+      });
+    } catch (renderErr) {
+      res.status(500).render('error', {
+        message: 'Error loading trusted CAs',
+        error: { status: 500, stack: renderErr.message }
+      });
+    }
+  }
+});
+
+// DELETE trusted CA
+router.delete('/:id', async (req, res) => {
+  try {
+    await truststore.removeTrustedCA(req.params.id);
+    res.redirect('/trust');
+  } catch (err) {
+    console.error('Error deleting trusted CA:', err);
+    res.status(500).render('error', {
+      message: 'Error deleting trusted CA',
+      error: { status: 500, stack: err.message }
+    });
+  }
+});
+
+module.exports = router;
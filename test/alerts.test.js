@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alerts = require('../modules/alerts');
+
+const cert = { tags: ['pci', 'public'], environment: 'prod', issuer: "Let's Encrypt R3" };
+
+test('inScope matches every endpoint for a rule without limits', () => {
+  assert.equal(alerts.inScope({ tag: null, environment: null, issuer: null }, cert), true);
+  assert.equal(alerts.inScope({ tag: null, environment: null, issuer: null }, { tags: [], environment: null, issuer: null }), true);
+});
+
+test('inScope requires the tag, the environment and a part of the issuer', () => {
+  assert.equal(alerts.inScope({ tag: 'pci', environment: 'prod', issuer: 'encrypt' }, cert), true);
+  assert.equal(alerts.inScope({ tag: 'internal' }, cert), false);
+  assert.equal(alerts.inScope({ environment: 'dev' }, cert), false);
+  assert.equal(alerts.inScope({ issuer: 'DigiCert' }, cert), false);
+  assert.equal(alerts.inScope({ issuer: 'R3' }, { ...cert, issuer: null }), false);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChange } = require('../modules/changes');
+
+// Stored row of the previous certificate (snake_case)
+const previous = {
+  fingerprint: 'AA:01',
+  subject: 'CN=www.example.com',
+  issuer: 'R3',
+  spki_sha256: 'key-1',
+  valid_to: '2026-01-31T12:00:00.000Z',
+  key_algorithm: 'RSA',
+  key_size: 2048,
+  weak_key: 0,
+  signature_algorithm: 'SHA256withRSA'
+};
+
+// Scan result of the new certificate (camelCase), a renewal unless overridden
+function scanned(overrides = {}) {
+  return {
+    fingerprint: 'AA:02',
+    subject: 'CN=www.example.com',
+    issuer: 'R3',
+    spkiSha256: 'key-1',
+    validTo: '2026-04-30T12:00:00.000Z',
+    keyAlgorithm: 'RSA',
+    keySize: 2048,
+    weakKey: false,
+    signatureAlgorithm: 'SHA256withRSA',
+    ...overrides
+  };
+}
+
+test('detectChange ignores new endpoints and unchanged certificates', () => {
+  assert.equal(detectChange(null, scanned()), null);
+  assert.equal(detectChange({ ...previous, fingerprint: null }, scanned()), null);
+  assert.equal(detectChange(previous, scanned({ fingerprint: 'AA:01' })), null);
+});
+
+test('detectChange reports a later certificate with the same subject, issuer and key as renewed', () => {
+  assert.deepEqual(detectChange(previous, scanned()), {
+    type: 'renewed',
+    details: ['Expiry moved from 2026-01-31 to 2026-04-30']
+  });
+});
+
+test('detectChange reports a new issuer, key, subject or earlier expiry as replaced', () => {
+  const issuer = detectChange(previous, scanned({ issuer: 'E1' }));
+  assert.equal(issuer.type, 'replaced');
+  assert.ok(issuer.details.includes('Issuer changed from R3 to E1'));
+
+  const key = detectChange(previous, scanned({ spkiSha256: 'key-2' }));
+  assert.equal(key.type, 'replaced');
+  assert.ok(key.details.includes('New key pair'));
+
+  assert.equal(detectChange(previous, scanned({ subject: 'CN=example.com' })).type, 'replaced');
+  assert.equal(detectChange(previous, scanned({ validTo: '2025-12-31T12:00:00.000Z' })).type, 'replaced');
+});
+
+test('detectChange reports a weaker key or signature as downgraded', () => {
+  const key = detectChange(previous, scanned({ keySize: 1024 }));
+  assert.equal(key.type, 'downgraded');
+  assert.equal(key.details[0], 'Key weakened from RSA 2048 to RSA 1024 bits');
+
+  const weak = detectChange(previous, scanned({ weakKey: true, weakKeyReason: 'RSA exponent 3' }));
+  assert.equal(weak.type, 'downgraded');
+  assert.equal(weak.details[0], 'New key is weak: RSA exponent 3');
+
+  const signature = detectChange(previous, scanned({ signatureAlgorithm: 'SHA1withRSA' }));
+  assert.equal(signature.type, 'downgraded');
+  assert.equal(signature.details[0], 'Signature weakened from SHA256withRSA to SHA1withRSA');
+});
+
+test('detectChange compares key strength across algorithms', () => {
+  // A 256-bit EC key (128 bits of strength) is stronger than RSA 2048 (112 bits)
+  assert.equal(detectChange(previous, scanned({ keyAlgorithm: 'EC', keySize: 256, spkiSha256: 'key-2' })).type, 'replaced');
+  assert.equal(detectChange(
+    { ...previous, key_algorithm: 'EC', key_size: 384 },
+    scanned({ keyAlgorithm: 'RSA', keySize: 3072 })
+  ).type, 'downgraded');
+});
+
+test('detectChange reports a certificate seen on the endpoint before as reverted, ahead of a downgrade', () => {
+  const change = detectChange(previous, scanned({ keySize: 1024 }), ['AA:00', 'AA:02']);
+  assert.equal(change.type, 'reverted');
+  assert.equal(change.details[0], 'Certificate was presented by this endpoint before');
+});
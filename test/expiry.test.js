@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../modules/config');
+const expiry = require('../modules/expiry');
+
+const now = new Date('2026-03-01T12:00:00.000Z');
+const days = (count) => new Date(now.getTime() + count * 24 * 60 * 60 * 1000).toISOString();
+
+test('daysRemaining counts whole days and goes negative once expired', () => {
+  assert.equal(expiry.daysRemaining(days(10), now), 10);
+  assert.equal(expiry.daysRemaining(days(9.9), now), 9);
+  assert.equal(expiry.daysRemaining(days(0.5), now), 0);
+  assert.equal(expiry.daysRemaining(days(-0.1), now), -1);
+  assert.equal(expiry.daysRemaining(days(-3), now), -3);
+});
+
+test('daysRemaining returns null without a usable date', () => {
+  assert.equal(expiry.daysRemaining(null, now), null);
+  assert.equal(expiry.daysRemaining('', now), null);
+  assert.equal(expiry.daysRemaining('not a date', now), null);
+});
+
+test('expiryStatus switches to warning within the warning period', () => {
+  const warningDays = config.expiry.warningDays;
+
+  assert.equal(expiry.expiryStatus(days(warningDays + 1), now), 'valid');
+  assert.equal(expiry.expiryStatus(days(warningDays), now), 'valid');
+  assert.equal(expiry.expiryStatus(days(warningDays - 0.5), now), 'warning');
+  assert.equal(expiry.expiryStatus(days(0.5), now), 'warning');
+  assert.equal(expiry.expiryStatus(days(-0.5), now), 'expired');
+  assert.equal(expiry.expiryStatus('not a date', now), null);
+});
+
+test('statusBoundaries match expiryStatus', () => {
+  const { expiredBefore, warningBefore } = expiry.statusBoundaries(now);
+
+  assert.equal(expiredBefore, now.toISOString());
+  assert.equal(expiry.expiryStatus(new Date(new Date(expiredBefore).getTime() - 1), now), 'expired');
+  assert.equal(expiry.expiryStatus(expiredBefore, now), 'warning');
+  assert.equal(expiry.expiryStatus(new Date(new Date(warningBefore).getTime() - 1), now), 'warning');
+  assert.equal(expiry.expiryStatus(warningBefore, now), 'valid');
+});
+
+test('expiresWithinBoundary includes every certificate with at most that many days left', () => {
+  const boundary = expiry.expiresWithinBoundary(7, now);
+
+  assert.equal(expiry.daysRemaining(new Date(new Date(boundary).getTime() - 1), now), 7);
+  assert.equal(expiry.daysRemaining(boundary, now), 8);
+});
+
+test('withLiveExpiry replaces the stored days and status but keeps errors', () => {
+  const stored = { id: 1, valid_to: days(-2), days_remaining: 40, status: 'valid' };
+  assert.deepEqual(expiry.withLiveExpiry(stored, now), { id: 1, valid_to: days(-2), days_remaining: -2, status: 'expired' });
+
+  const failed = { id: 2, valid_to: days(40), days_remaining: 40, status: 'error' };
+  assert.equal(expiry.withLiveExpiry(failed, now).status, 'error');
+  assert.equal(expiry.withLiveExpiry(failed, now).days_remaining, 40);
+
+  const undated = { id: 3, valid_to: null, days_remaining: null, status: 'error' };
+  assert.deepEqual(expiry.withLiveExpiry(undated, now), undated);
+});
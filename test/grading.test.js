@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const grading = require('../modules/grading');
+
+const settings = { caps: { expired: 'F', sha1Signature: 'C', deprecatedProtocol: 'B', untrusted: 'nonsense' } };
+
+test('gradeCertificate takes the lowest cap of all issues', () => {
+  const { grade, reasons } = grading.gradeCertificate({
+    signatureAlgorithm: 'SHA1withRSA',
+    tlsProtocols: ['TLSv1.1', 'TLSv1.2'],
+    tlsCiphers: null
+  }, settings);
+
+  assert.equal(grade, 'C');
+  assert.deepEqual(reasons.map(reason => [reason.check, reason.grade]), [['sha1Signature', 'C'], ['deprecatedProtocol', 'B']]);
+});
+
+test('gradeCertificate caps at F when a configured cap is not a grade', () => {
+  assert.equal(grading.capFor('untrusted', settings), 'F');
+  assert.equal(grading.gradeCertificate({ trustStatus: 'untrusted', trustError: 'SELF_SIGNED' }, settings).grade, 'F');
+});
+
+test('withExpiredCap lowers a stored grade once the certificate has expired', () => {
+  assert.deepEqual(grading.withExpiredCap('A', [], settings), {
+    grade: 'F',
+    reasons: [{ check: 'expired', message: 'Certificate has expired', grade: 'F' }]
+  });
+
+  // A lower stored grade stays
+  const lenient = { caps: { expired: 'B' } };
+  assert.equal(grading.withExpiredCap('C', [{ check: 'sha1Signature', grade: 'C' }], lenient).grade, 'C');
+});
+
+test('withExpiredCap leaves grades that already count the expiry alone', () => {
+  const reasons = [{ check: 'expired', message: 'Certificate has expired', grade: 'F' }];
+  assert.deepEqual(grading.withExpiredCap('F', reasons, settings), { grade: 'F', reasons });
+});
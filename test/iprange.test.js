@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const iprange = require('../modules/iprange');
+
+test('expandRange leaves out the network and broadcast addresses of an IPv4 block', () => {
+  assert.deepEqual(iprange.expandRange('10.0.0.0/30', 256), ['10.0.0.1', '10.0.0.2']);
+});
+
+test('expandRange keeps both addresses of a /31 and the single address of a /32', () => {
+  assert.deepEqual(iprange.expandRange('10.0.0.0/31', 256), ['10.0.0.0', '10.0.0.1']);
+  assert.deepEqual(iprange.expandRange('10.0.0.7/32', 256), ['10.0.0.7']);
+});
+
+test('expandRange aligns a CIDR address that is not the network address', () => {
+  assert.deepEqual(iprange.expandRange('192.168.1.77/30', 256), ['192.168.1.77', '192.168.1.78']);
+});
+
+test('expandRange expands dash ranges, including the short form', () => {
+  assert.deepEqual(iprange.expandRange('10.0.0.254-10.0.1.1', 256), ['10.0.0.254', '10.0.0.255', '10.0.1.0', '10.0.1.1']);
+  assert.deepEqual(iprange.expandRange('10.0.0.1-3', 256), ['10.0.0.1', '10.0.0.2', '10.0.0.3']);
+});
+
+test('expandRange expands IPv6 ranges in compressed form', () => {
+  assert.deepEqual(iprange.expandRange('2001:db8::/127', 256), ['2001:db8::', '2001:db8::1']);
+  assert.deepEqual(iprange.expandRange('2001:db8::fe-2001:db8::100', 256), ['2001:db8::fe', '2001:db8::ff', '2001:db8::100']);
+});
+
+test('expandRange rejects ranges larger than the maximum', () => {
+  assert.throws(() => iprange.expandRange('10.0.0.0/24', 253), /contains 254 addresses, which exceeds the maximum of 253/);
+  assert.equal(iprange.expandRange('10.0.0.0/24', 254).length, 254);
+  assert.throws(() => iprange.expandRange('2001:db8::/64', 1024), /exceeds the maximum/);
+});
+
+test('expandRange rejects invalid and reversed ranges', () => {
+  assert.throws(() => iprange.expandRange('10.0.0.0/33', 256), /Invalid IP range/);
+  assert.throws(() => iprange.expandRange('10.0.0.0/2x', 256), /Invalid IP range/);
+  assert.throws(() => iprange.expandRange('10.0.0.1-2001:db8::1', 256), /Invalid IP range/);
+  assert.throws(() => iprange.expandRange('10.0.0.1-256', 256), /Invalid IP range/);
+  assert.throws(() => iprange.expandRange('10.0.0.9-10.0.0.1', 256), /end address is before start address/);
+});
+
+test('expandHosts keeps hostnames with dashes and drops duplicates in order', () => {
+  assert.deepEqual(
+    iprange.expandHosts(['web-01.example.com', '10.0.0.1-2', '10.0.0.2', ' web-01.example.com '], 256),
+    ['web-01.example.com', '10.0.0.1', '10.0.0.2']
+  );
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const { migrations } = require('../modules/migrations');
+
+// In-memory database with the query helpers migrations receive (see database.runMigrations)
+function openDatabase() {
+  const db = new sqlite3.Database(':memory:');
+
+  const run = (query, params = []) => new Promise((resolve, reject) => {
+    db.run(query, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+  const all = (query, params = []) => new Promise((resolve, reject) => {
+    db.all(query, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const get = (query, params = []) => new Promise((resolve, reject) => {
+    db.get(query, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+  const addColumn = async (table, name, type) => {
+    const existing = await all(`PRAGMA table_info(${table})`);
+    if (!existing.some(c => c.name === name)) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  };
+
+  return {
+    query: { run, all, get, addColumn },
+    columns: async (table) => (await all(`PRAGMA table_info(${table})`)).map(c => c.name),
+    close: () => new Promise(resolve => db.close(resolve))
+  };
+}
+
+// Apply every migration in order, each in its own transaction
+async function migrate(query) {
+  for (const migration of migrations) {
+    await query.run('BEGIN');
+    await migration.up(query);
+    await query.run('COMMIT');
+  }
+}
+
+test('migration versions start at 1 and increase by one', () => {
+  migrations.forEach((migration, index) => {
+    assert.equal(migration.version, index + 1);
+    assert.equal(typeof migration.description, 'string');
+    assert.equal(typeof migration.up, 'function');
+  });
+});
+
+test('migrations build the full schema on an empty database', async (t) => {
+  const db = openDatabase();
+  t.after(db.close);
+
+  await migrate(db.query);
+
+  const tables = (await db.query.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+  for (const table of ['certificates', 'certificate_chains', 'certificate_observations', 'certificate_changes',
+    'scan_runs', 'scan_run_results', 'x509_certificates', 'trusted_cas', 'alert_rules', 'alerts',
+    'notification_channels', 'notification_deliveries', 'endpoint_actions', 'digests', 'digest_reports', 'scheduled_scans']) {
+    assert.ok(tables.includes(table), `missing table ${table}`);
+  }
+
+  assert.ok((await db.columns('scheduled_scans')).includes('overlap_policy'));
+  assert.ok((await db.columns('scan_runs')).includes('note'));
+  assert.ok((await db.columns('certificates')).includes('grade_reasons'));
+});
+
+test('migrations upgrade a database created before schema versioning', async (t) => {
+  const db = openDatabase();
+  t.after(db.close);
+
+  // Version 0 schema as written by the first releases, with their date format
+  await migrations[0].up(db.query);
+  await db.query.run(`
+    INSERT INTO certificates (host, port, subject, issuer, valid_from, valid_to, fingerprint, status, last_scanned, days_remaining)
+    VALUES ('www.example.com', 443, 'CN=www.example.com, O=Example Inc', 'R3',
+      'Aug  2 00:00:00 2025 GMT', 'Oct 31 23:59:59 2025 GMT', 'AA:BB', 'valid', '2025-09-01T08:00:00.000Z', 60)
+  `);
+  await db.query.run("INSERT INTO scheduled_scans (name, hosts, ports, frequency) VALUES ('nightly', 'www.example.com', '443', 'daily')");
+
+  await migrate(db.query);
+
+  const cert = await db.query.get('SELECT * FROM certificates');
+  assert.equal(cert.host, 'www.example.com');
+  assert.equal(cert.common_name, 'www.example.com');
+  assert.equal(cert.organization, 'Example Inc');
+  assert.equal(cert.valid_from, '2025-08-02T00:00:00.000Z');
+  assert.equal(cert.valid_to, '2025-10-31T23:59:59.000Z');
+
+  const scan = await db.query.get('SELECT * FROM scheduled_scans');
+  assert.equal(scan.name, 'nightly');
+  assert.equal(scan.overlap_policy, 'skip');
+});
+
+test('migrations skip tables and columns an unversioned database already has', async (t) => {
+  const db = openDatabase();
+  t.after(db.close);
+
+  // Releases before versioning added some of the later columns and tables themselves
+  await migrations[0].up(db.query);
+  await migrations[1].up(db.query);
+  await db.query.run('ALTER TABLE certificates ADD COLUMN protocol TEXT');
+  await db.query.run("INSERT INTO certificates (host, port, protocol) VALUES ('mail.example.com', 25, 'smtp')");
+
+  await migrate(db.query);
+
+  const cert = await db.query.get('SELECT * FROM certificates');
+  assert.equal(cert.protocol, 'smtp');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const scanpool = require('../modules/scanpool');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Worker that records how many tasks run at once, overall, per host and per subnet
+function tracker(duration = 10) {
+  const stats = { active: 0, max: 0, byHost: new Map(), maxHost: 0, bySubnet: new Map(), maxSubnet: 0, starts: [] };
+
+  const bump = (counts, key, delta) => {
+    const count = (counts.get(key) || 0) + delta;
+    counts.set(key, count);
+    return count;
+  };
+
+  stats.worker = async (task) => {
+    stats.starts.push({ host: task.host, at: Date.now() });
+    stats.max = Math.max(stats.max, ++stats.active);
+    stats.maxHost = Math.max(stats.maxHost, bump(stats.byHost, task.host, 1));
+    stats.maxSubnet = Math.max(stats.maxSubnet, bump(stats.bySubnet, scanpool.subnetKey(task.host), 1));
+
+    await sleep(duration);
+
+    stats.active--;
+    bump(stats.byHost, task.host, -1);
+    bump(stats.bySubnet, scanpool.subnetKey(task.host), -1);
+    return `${task.host}:${task.port}`;
+  };
+
+  return stats;
+}
+
+const limits = { concurrency: 4, perHostLimit: 2, perSubnetLimit: 3, hostDelay: 0 };
+
+test('subnetKey groups IPv4 by /24, IPv6 by /64 and keeps hostnames apart', () => {
+  assert.equal(scanpool.subnetKey('10.0.0.1'), scanpool.subnetKey('10.0.0.254'));
+  assert.notEqual(scanpool.subnetKey('10.0.0.1'), scanpool.subnetKey('10.0.1.1'));
+  assert.equal(scanpool.subnetKey('2001:db8::1'), scanpool.subnetKey('2001:db8::ffff:1'));
+  assert.notEqual(scanpool.subnetKey('2001:db8::1'), scanpool.subnetKey('2001:db8:0:1::1'));
+  assert.equal(scanpool.subnetKey('example.com'), 'example.com');
+});
+
+test('runPool resolves an empty task list', async () => {
+  assert.deepEqual(await scanpool.runPool([], async () => 'never', limits), []);
+});
+
+test('runPool returns results in task order whatever the completion order', async () => {
+  const tasks = [30, 5, 20, 1].map((delay, index) => ({ host: `host${index}.example.com`, delay }));
+  const results = await scanpool.runPool(tasks, async task => {
+    await sleep(task.delay);
+    return task.host;
+  }, limits);
+
+  assert.deepEqual(results, tasks.map(task => task.host));
+});
+
+test('runPool stays within the concurrency, per-host and per-subnet limits', async () => {
+  const stats = tracker();
+  const tasks = [];
+  for (let i = 1; i <= 6; i++) {
+    for (const port of [443, 8443, 9443]) {
+      tasks.push({ host: `10.0.${i % 2}.${i}`, port });
+    }
+  }
+
+  const results = await scanpool.runPool(tasks, stats.worker, limits);
+
+  assert.deepEqual(results, tasks.map(task => `${task.host}:${task.port}`));
+  assert.equal(stats.max, 4);
+  assert.equal(stats.maxHost, 2);
+  assert.equal(stats.maxSubnet, 3);
+});
+
+test('runPool shares its limits between concurrent calls', async () => {
+  const stats = tracker();
+  const shared = { ...limits, perHostLimit: 1 };
+  const call = (prefix) => scanpool.runPool(
+    [1, 2, 3, 4].map(port => ({ host: 'shared.example.com', port: `${prefix}${port}` })).concat({ host: `${prefix}.example.com`, port: 1 }),
+    stats.worker,
+    shared
+  );
+
+  const [a, b, c] = await Promise.all([call('a'), call('b'), call('c')]);
+
+  assert.equal(a.length + b.length + c.length, 15);
+  assert.equal(stats.maxHost, 1);
+  assert.ok(stats.max <= 4);
+});
+
+test('runPool spaces connections to the same host by the host delay', async () => {
+  const stats = tracker(1);
+  await scanpool.runPool(
+    [1, 2, 3].map(port => ({ host: 'slow.example.com', port })),
+    stats.worker,
+    { ...limits, hostDelay: 50 }
+  );
+
+  const gaps = stats.starts.slice(1).map((start, index) => start.at - stats.starts[index].at);
+  assert.equal(gaps.length, 2);
+  // Timers may fire a millisecond early
+  for (const gap of gaps) assert.ok(gap >= 49, `gap of ${gap} ms`);
+});
+
+test('runPool turns a failing task into an undefined result', async () => {
+  const results = await scanpool.runPool(
+    [{ host: 'a.example.com' }, { host: 'b.example.com' }],
+    async task => {
+      if (task.host === 'a.example.com') throw new Error('boom');
+      return 'ok';
+    },
+    limits
+  );
+
+  assert.deepEqual(results, [undefined, 'ok']);
+});
+
+test('waitForHost holds back a further connection until the host delay has passed', async () => {
+  const stats = tracker(1);
+  let waited = null;
+
+  await scanpool.runPool([{ host: 'probe.example.com' }], async (task, taskLimits) => {
+    const start = Date.now();
+    await scanpool.waitForHost(task.host, taskLimits.hostDelay);
+    waited = Date.now() - start;
+    return stats.worker(task);
+  }, { ...limits, hostDelay: 40 });
+
+  assert.ok(waited >= 39, `waited ${waited} ms`);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../modules/config');
+const db = require('../modules/database');
+const pipeline = require('../modules/pipeline');
+const scheduler = require('../modules/scheduler');
+
+// Scheduled scan row as stored by the database
+function scheduledScan(overrides = {}) {
+  return {
+    id: 1,
+    name: 'nightly',
+    hosts: 'www.example.com',
+    ports: '443',
+    protocol: 'auto',
+    frequency: '0 * * * *',
+    timezone: 'UTC',
+    overlap_policy: 'skip',
+    active: 1,
+    ...overrides
+  };
+}
+
+// Replace the pipeline and database calls of the scheduler; scans wait until released
+function stubScans(t) {
+  const calls = { runs: [], skipped: [] };
+  const pending = [];
+
+  t.mock.method(pipeline, 'runScan', (request) => {
+    calls.runs.push(request.note);
+    return new Promise(resolve => pending.push(() => resolve({ runId: calls.runs.length, results: [], summary: {} })));
+  });
+  t.mock.method(pipeline, 'recordSkippedRun', async (request, note) => {
+    calls.skipped.push(note);
+    return 100 + calls.skipped.length;
+  });
+  t.mock.method(db, 'getScheduledScanById', async () => null);
+
+  // Finish the oldest running scan and let the scheduler react
+  calls.finish = async () => {
+    pending.shift()();
+    await new Promise(resolve => setImmediate(resolve));
+  };
+  // Finish every scan as soon as it starts
+  calls.autoFinish = () => {
+    pipeline.runScan.mock.mockImplementation(async (request) => {
+      calls.runs.push(request.note);
+      return { runId: calls.runs.length, results: [], summary: {} };
+    });
+  };
+
+  return calls;
+}
+
+const hours = (from, count) => Array.from({ length: count }, (_, index) => new Date(new Date(from).getTime() + index * 60 * 60 * 1000));
+
+test('runScheduled skips a run while the previous one is still going', async (t) => {
+  const calls = stubScans(t);
+  const scan = scheduledScan();
+
+  const first = scheduler.runScheduled(scan);
+  assert.ok(scheduler.getRunningScan(scan.id));
+
+  const second = await scheduler.runScheduled(scan);
+  assert.deepEqual(second, { runId: 101, skipped: true });
+  assert.match(calls.skipped[0], /^Skipped: the run started at .* is still in progress$/);
+
+  await calls.finish();
+  assert.equal((await first).runId, 1);
+  assert.equal(scheduler.getRunningScan(scan.id), null);
+  assert.equal(calls.runs.length, 1);
+});
+
+test('runScheduled queues one run with the queue overlap policy and skips further ones', async (t) => {
+  const calls = stubScans(t);
+  const scan = scheduledScan({ id: 2, overlap_policy: 'queue' });
+
+  const first = scheduler.runScheduled(scan);
+  assert.deepEqual(await scheduler.runScheduled(scan), { runId: null, queued: true });
+  assert.equal((await scheduler.runScheduled(scan)).skipped, true);
+  assert.match(calls.skipped[0], /another run is already queued$/);
+
+  // The queued run starts as soon as the first one finishes
+  await calls.finish();
+  await first;
+  assert.equal(calls.runs.length, 2);
+  assert.match(calls.runs[1], /^Queued behind the run started at /);
+  assert.ok(scheduler.getRunningScan(scan.id));
+
+  await calls.finish();
+  assert.equal(scheduler.getRunningScan(scan.id), null);
+});
+
+test('getMissedRuns lists the runs due from the stored next run until now', () => {
+  const now = new Date('2026-03-01T12:30:00Z');
+
+  assert.deepEqual(scheduler.getMissedRuns(scheduledScan({ next_run: null }), now), []);
+  assert.deepEqual(scheduler.getMissedRuns(scheduledScan({ next_run: '2026-03-01T13:00:00.000Z' }), now), []);
+  assert.deepEqual(
+    scheduler.getMissedRuns(scheduledScan({ next_run: '2026-03-01T10:00:00.000Z' }), now).map(run => run.toISOString()),
+    ['2026-03-01T10:00:00.000Z', '2026-03-01T11:00:00.000Z', '2026-03-01T12:00:00.000Z']
+  );
+});
+
+test('catchUp runs the scan once with the once policy', async (t) => {
+  const calls = stubScans(t);
+  calls.autoFinish();
+
+  await scheduler.catchUp(scheduledScan({ id: 3 }), hours('2026-03-01T10:00:00Z', 3), 'once');
+
+  assert.equal(calls.runs.length, 1);
+  assert.match(calls.runs[0], /^Catch-up of 3 run\(s\) missed since Sun 2026-03-01 10:00/);
+  assert.equal(calls.skipped.length, 0);
+});
+
+test('catchUp records the missed runs as skipped with the skip policy', async (t) => {
+  const calls = stubScans(t);
+  calls.autoFinish();
+
+  await scheduler.catchUp(scheduledScan({ id: 4 }), hours('2026-03-01T10:00:00Z', 3), 'skip');
+
+  assert.equal(calls.runs.length, 0);
+  assert.deepEqual(calls.skipped, ['Skipped 3 run(s) missed since Sun 2026-03-01 10:00 while CertifyEye was down (catch-up policy: skip)']);
+});
+
+test('catchUp runs the most recent missed runs up to the limit with the all policy', async (t) => {
+  const calls = stubScans(t);
+  calls.autoFinish();
+  const limit = config.scheduler.maxCatchUpRuns;
+  config.scheduler.maxCatchUpRuns = 2;
+  t.after(() => { config.scheduler.maxCatchUpRuns = limit; });
+
+  await scheduler.catchUp(scheduledScan({ id: 5 }), hours('2026-03-01T10:00:00Z', 5), 'all');
+
+  assert.equal(calls.skipped.length, 1);
+  assert.match(calls.skipped[0], /^Skipped 3 of 5 run\(s\) missed/);
+  assert.equal(calls.runs.length, 2);
+  assert.match(calls.runs[0], /^Catch-up 1 of 2: run due Sun 2026-03-01 13:00 was missed/);
+  assert.match(calls.runs[1], /^Catch-up 2 of 2: run due Sun 2026-03-01 14:00 was missed/);
+});
+
+test('catchUp runs none of the missed runs when the limit is 0', async (t) => {
+  const calls = stubScans(t);
+  calls.autoFinish();
+  const limit = config.scheduler.maxCatchUpRuns;
+  config.scheduler.maxCatchUpRuns = 0;
+  t.after(() => { config.scheduler.maxCatchUpRuns = limit; });
+
+  await scheduler.catchUp(scheduledScan({ id: 6 }), hours('2026-03-01T10:00:00Z', 4), 'all');
+
+  assert.equal(calls.runs.length, 0);
+  assert.match(calls.skipped[0], /^Skipped 4 of 4 run\(s\) missed/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schedules = require('../modules/schedules');
+
+test('normalizeSchedule builds the cron expression of each preset', () => {
+  const cases = [
+    [{ scheduleType: 'hourly', minute: '15' }, '15 * * * *'],
+    [{ scheduleType: 'hourly' }, '0 * * * *'],
+    [{ scheduleType: 'daily', time: '02:30' }, '30 2 * * *'],
+    [{ scheduleType: 'weekdays', time: '6:05' }, '5 6 * * 1-5'],
+    [{ scheduleType: 'weekly', time: '23:59', dayOfWeek: '0' }, '59 23 * * 0'],
+    [{ scheduleType: 'monthly', time: '00:00', dayOfMonth: '31' }, '0 0 31 * *'],
+    [{ scheduleType: 'custom', cron: '  */10   8-18 * * 1-5 ' }, '*/10 8-18 * * 1-5']
+  ];
+
+  for (const [input, frequency] of cases) {
+    assert.deepEqual(schedules.normalizeSchedule(input), { frequency, timezone: null, errors: [] });
+  }
+});
+
+test('normalizeSchedule rejects numbers with trailing text or out of range', () => {
+  const invalid = [
+    { scheduleType: 'hourly', minute: '5x' },
+    { scheduleType: 'hourly', minute: '60' },
+    { scheduleType: 'hourly', minute: '-1' },
+    { scheduleType: 'hourly', minute: '1.5' },
+    { scheduleType: 'weekly', time: '02:00', dayOfWeek: '7' },
+    { scheduleType: 'weekly', time: '02:00', dayOfWeek: '3x' },
+    { scheduleType: 'monthly', time: '02:00', dayOfMonth: '0' },
+    { scheduleType: 'monthly', time: '02:00', dayOfMonth: '' },
+    { scheduleType: 'daily', time: '24:00' },
+    { scheduleType: 'daily', time: '2:5' }
+  ];
+
+  for (const input of invalid) {
+    assert.equal(schedules.normalizeSchedule(input).errors.length, 1, JSON.stringify(input));
+  }
+});
+
+test('normalizeSchedule rejects unknown schedules, time zones and bad cron expressions', () => {
+  assert.match(schedules.normalizeSchedule({ scheduleType: 'yearly' }).errors[0], /^Invalid schedule/);
+  assert.deepEqual(schedules.normalizeSchedule({ scheduleType: 'daily', time: '02:00', timezone: 'Mars/Olympus' }).errors, ['Unknown time zone: Mars/Olympus']);
+  assert.deepEqual(schedules.normalizeSchedule({ scheduleType: 'custom', cron: '' }).errors, ['Please provide a cron expression']);
+  assert.match(schedules.normalizeSchedule({ scheduleType: 'custom', cron: '0 2 * *' }).errors[0], /expected 5 fields/);
+  assert.match(schedules.normalizeSchedule({ scheduleType: 'custom', cron: '0 2 30 2 *' }).errors[0], /^Invalid cron expression/);
+});
+
+test('normalizeSchedule keeps a valid time zone', () => {
+  assert.deepEqual(
+    schedules.normalizeSchedule({ scheduleType: 'daily', time: '02:30', timezone: ' Europe/Berlin ' }),
+    { frequency: '30 2 * * *', timezone: 'Europe/Berlin', errors: [] }
+  );
+});
+
+test('getRunsBetween includes both ends of the period', () => {
+  const runs = schedules.getRunsBetween('0 * * * *', 'UTC', new Date('2026-03-01T10:00:00Z'), new Date('2026-03-01T13:00:00Z'));
+
+  assert.deepEqual(runs.map(run => run.toISOString()), [
+    '2026-03-01T10:00:00.000Z',
+    '2026-03-01T11:00:00.000Z',
+    '2026-03-01T12:00:00.000Z',
+    '2026-03-01T13:00:00.000Z'
+  ]);
+});
+
+test('getRunsBetween understands the frequency keywords and stops at the limit', () => {
+  const from = new Date('2026-03-01T00:30:00Z');
+  const until = new Date('2026-03-31T00:00:00Z');
+
+  assert.equal(schedules.getRunsBetween('daily', 'UTC', from, until).length, 30);
+  assert.deepEqual(
+    schedules.getRunsBetween('daily', 'UTC', from, until, 2).map(run => run.toISOString()),
+    ['2026-03-02T00:00:00.000Z', '2026-03-03T00:00:00.000Z']
+  );
+  assert.deepEqual(schedules.getRunsBetween('weekly', 'UTC', from, new Date('2026-03-07T00:00:00Z')), []);
+});
+
+test('getRunsBetween evaluates the schedule in its time zone', () => {
+  // 02:30 in Berlin is 01:30 UTC in winter and 00:30 UTC in summer
+  const winter = schedules.getRunsBetween('30 2 * * *', 'Europe/Berlin', new Date('2026-01-10T00:00:00Z'), new Date('2026-01-12T00:00:00Z'));
+  const summer = schedules.getRunsBetween('30 2 * * *', 'Europe/Berlin', new Date('2026-07-10T00:00:00Z'), new Date('2026-07-12T00:00:00Z'));
+
+  assert.deepEqual(winter.map(run => run.toISOString()), ['2026-01-10T01:30:00.000Z', '2026-01-11T01:30:00.000Z']);
+  assert.deepEqual(summer.map(run => run.toISOString()), ['2026-07-10T00:30:00.000Z', '2026-07-11T00:30:00.000Z']);
+});